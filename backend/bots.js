@@ -0,0 +1,162 @@
+import { cardCode, scoreCodes, scoreCategory, getRaiseLimits, HAND_RANKINGS, MAX_SEATS } from './poker.js';
+import { parseEquityRequest, calculateEquity } from './equity.js';
+
+// House bots: players run by the server to fill tables that would otherwise wait. A strategy
+// sees only what the player to act could see (its own cards, the board and the betting) and
+// returns an action for the engine, the same { action, amount } an agent would send.
+
+export const HOUSE_BOT_STRATEGIES = ['random', 'tight_passive', 'equity'];
+export const DEFAULT_HOUSE_BOT_STRATEGY = 'equity';
+export const DEFAULT_HOUSE_BOT_WAIT_MS = 60000;
+
+// Equity runs per decision; enough to rank a hand, cheap enough to run on every turn
+const EQUITY_ITERATIONS = 1000;
+
+const ID_PREFIX = 'house:';
+
+export function isHouseBotId(moltbookId) {
+  return String(moltbookId).startsWith(ID_PREFIX);
+}
+
+export function isHouseBot(seat) {
+  return Boolean(seat) && isHouseBotId(seat.moltbook_id);
+}
+
+/**
+ * Validates admin settings for a table's house bots: { enabled, count, strategy, wait_seconds }.
+ * count is how many bots to seat beside a lone agent (null fills to the minimum to start);
+ * wait_seconds is how long the table waits before they sit down. Fields left out keep their
+ * `current` value. Returns { settings } or { error }.
+ */
+export function parseHouseBotSettings(body = {}, current = {}) {
+  const settings = { ...current };
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    settings.enabled = body.enabled;
+  }
+  if (body.count !== undefined) {
+    if (body.count !== null && (!Number.isInteger(body.count) || body.count < 1 || body.count > MAX_SEATS - 1)) {
+      return { error: `count must be a whole number from 1 to ${MAX_SEATS - 1}, or null to fill to the minimum` };
+    }
+    settings.count = body.count;
+  }
+  if (body.strategy !== undefined) {
+    if (!HOUSE_BOT_STRATEGIES.includes(body.strategy)) {
+      return { error: 'strategy must be one of: ' + HOUSE_BOT_STRATEGIES.join(', ') };
+    }
+    settings.strategy = body.strategy;
+  }
+  if (body.wait_seconds !== undefined) {
+    if (body.wait_seconds !== null && (!Number.isInteger(body.wait_seconds) || body.wait_seconds < 0 || body.wait_seconds > 3600)) {
+      return { error: 'wait_seconds must be a whole number from 0 to 3600, or null for the server default' };
+    }
+    settings.wait_ms = body.wait_seconds === null ? null : body.wait_seconds * 1000;
+  }
+  return { settings };
+}
+
+// The seat a house bot takes; it buys in from the house rather than from an account
+export function houseBotSeat(seatIndex, strategy, buyIn, now = new Date()) {
+  return {
+    moltbook_id: `${ID_PREFIX}${seatIndex}`,
+    moltbook_name: `House Bot ${seatIndex + 1}`,
+    house_bot: strategy,
+    stack: buyIn,
+    buy_in: buyIn,
+    bot_version: null,
+    client_seed: null,
+    seated_at: now
+  };
+}
+
+// What the bot to act at a table may look at
+export function houseBotView(table) {
+  const game = table.game;
+  const playerId = game.current_turn_player;
+  const hand = game.player_hands[playerId];
+  const seat = table.seats.find(s => s?.moltbook_id === playerId);
+  const stack = seat?.stack || 0;
+  return {
+    hole_cards: hand.hole_cards,
+    board: game.community_cards,
+    pot: game.pot,
+    to_call: Math.min(game.current_bet - hand.current_bet, stack),
+    current_bet: game.current_bet,
+    big_blind: game.big_blind,
+    stack,
+    limits: getRaiseLimits(game, hand, stack),
+    opponents: game.active_players.filter(id => id !== playerId && !game.player_hands[id].folded).length
+  };
+}
+
+const checkOrCall = view => ({ action: view.to_call > 0 ? 'call' : 'check' });
+const checkOrFold = view => ({ action: view.to_call > 0 ? 'fold' : 'check' });
+
+// A raise to `target`, kept inside the table limits; a call (or check) when raising is closed
+function raiseTo(view, target) {
+  if (!view.limits.can_raise) return checkOrCall(view);
+  const amount = Math.max(view.limits.min_raise_to, Math.min(view.limits.max_raise_to, Math.round(target)));
+  return { action: 'raise', amount };
+}
+
+function playRandom(view, random) {
+  const roll = random();
+  if (view.to_call > 0 && roll < 0.2) return { action: 'fold' };
+  if (roll < 0.85) return checkOrCall(view);
+  const { min_raise_to, max_raise_to } = view.limits;
+  return raiseTo(view, min_raise_to + random() * (Math.min(max_raise_to, view.current_bet + view.pot) - min_raise_to));
+}
+
+// Plays few hands and rarely bets: pairs of sevens or better, two broadway cards and suited
+// aces before the flop; a pair made with its own cards afterwards. Never calls big bets light.
+function playTightPassive(view) {
+  const [a, b] = view.hole_cards.map(card => card.value).sort((x, y) => y - x);
+  const suited = view.hole_cards[0].suit === view.hole_cards[1].suit;
+
+  if (view.board.length === 0) {
+    const premium = a === b && a >= 12;
+    const playable = (a === b && a >= 7) || (a >= 10 && b >= 10) || (a === 14 && suited);
+    if (premium) return raiseTo(view, view.current_bet * 3);
+    if (playable && view.to_call <= view.big_blind * 4) return checkOrCall(view);
+    return checkOrFold(view);
+  }
+
+  const codes = view.hole_cards.map(cardCode);
+  const boardCodes = view.board.map(cardCode);
+  const made = scoreCategory(scoreCodes([...codes, ...boardCodes]));
+  const boardOnly = scoreCategory(scoreCodes(boardCodes));
+  if (made <= boardOnly) return checkOrFold(view);
+  if (made >= HAND_RANKINGS.TWO_PAIR || view.to_call <= view.pot / 2) return checkOrCall(view);
+  return checkOrFold(view);
+}
+
+// Compares its equity against random hands with the price of a call; bets its strong hands
+// at about three quarters of the pot
+function playEquity(view, random) {
+  const { request } = parseEquityRequest({
+    hole_cards: view.hole_cards,
+    board: view.board,
+    opponents: Math.max(1, view.opponents),
+    iterations: EQUITY_ITERATIONS
+  });
+  const { equity } = calculateEquity(request, random);
+  const potOdds = view.to_call > 0 ? view.to_call / (view.pot + view.to_call) : 0;
+  const strong = 1 / (Math.max(1, view.opponents) + 1) + 0.2;
+
+  if (equity >= strong && random() < 0.8) return raiseTo(view, view.current_bet + (view.pot + view.to_call) * 0.75);
+  if (view.to_call === 0 || equity >= potOdds) return checkOrCall(view);
+  return { action: 'fold' };
+}
+
+/**
+ * Picks the action for a house bot. `view` comes from houseBotView; `random` is Math.random
+ * or any function with the same range, so games can be replayed with a seeded generator.
+ */
+export function chooseHouseBotAction(strategy, view, random = Math.random) {
+  switch (strategy) {
+    case 'random': return playRandom(view, random);
+    case 'tight_passive': return playTightPassive(view);
+    default: return playEquity(view, random);
+  }
+}
@@ -0,0 +1,50 @@
+import { transactionAttempt } from './db.js';
+
+const tableQueues = new Map();
+
+export const CONFLICT_CODE = 'TABLE_CONFLICT';
+
+export function conflictError(message = 'The table changed while your request was processed. Retry.') {
+  const error = new Error(message);
+  error.code = CONFLICT_CODE;
+  error.retryable = true;
+  return error;
+}
+
+export function isConflict(error) {
+  return error?.code === CONFLICT_CODE;
+}
+
+// Runs table commands one at a time per table within this process
+export function withTableLock(tableId, work) {
+  const key = tableId.toString();
+  const previous = tableQueues.get(key) || Promise.resolve();
+  const run = previous.then(() => work(), () => work());
+  const tail = run.catch(() => {});
+  tableQueues.set(key, tail);
+  tail.then(() => {
+    if (tableQueues.get(key) === tail) tableQueues.delete(key);
+  });
+  return run;
+}
+
+// Optimistic write guarded by the table's version; protects against other server processes.
+// Inside a transaction the new version is applied to `table` when the transaction commits.
+export async function updateTable(db, table, update, session) {
+  const attempt = transactionAttempt(session);
+  const version = attempt?.versions.get(table) ?? (table.version || 0);
+  const result = await db.collection('tables').updateOne(
+    { _id: table._id, $or: [{ version }, ...(version === 0 ? [{ version: { $exists: false } }] : [])] },
+    { ...update, $inc: { ...(update.$inc || {}), version: 1 } },
+    session ? { session } : {}
+  );
+
+  if (result.matchedCount === 0) {
+    console.log('[CONCURRENCY] Version conflict on table', table._id.toString(), 'at version', version);
+    throw conflictError();
+  }
+
+  if (attempt) attempt.versions.set(table, version + 1);
+  else table.version = version + 1;
+  return result;
+}
@@ -1,9 +1,31 @@
 import { MongoClient } from 'mongodb';
+import { createMemoryDb } from './memory-db.js';
 
 let db = null;
 let client = null;
+let storage = null;
+
+// STORAGE picks the backend: "mongo" (needs MONGODB_URI) or "memory" (optionally saved to STORAGE_FILE).
+// Without STORAGE, MongoDB is used when MONGODB_URI is set and memory otherwise.
+export function storageBackend() {
+  return process.env.STORAGE || (process.env.MONGODB_URI ? 'mongo' : 'memory');
+}
 
 export async function connect() {
+  storage = storageBackend();
+
+  if (storage === 'memory') {
+    const file = process.env.STORAGE_FILE || null;
+    db = await createMemoryDb(file);
+    console.log('[DB] Using in-memory storage', file ? `saved to ${file}` : '(data is lost on restart)');
+    return db;
+  }
+
+  if (storage !== 'mongo') {
+    console.log('[DB] ERROR: Unknown STORAGE', storage, '- use "mongo" or "memory"');
+    return null;
+  }
+
   const uri = process.env.MONGODB_URI;
 
   // Skip connection if no URI provided
@@ -31,10 +53,56 @@ export function getDb() {
   return db;
 }
 
+export function getStorage() {
+  return db ? storage : null;
+}
+
+let transactionsSupported = true;
+const attempts = new WeakMap();
+
+// The transaction attempt running on a session. `versions` holds the table versions it wrote;
+// they reach the callers' table objects only once it commits, and a retried attempt starts over.
+export function transactionAttempt(session) {
+  return session ? attempts.get(session) : undefined;
+}
+
+// Runs work(session) in a transaction. Standalone servers without replica sets
+// cannot run transactions, so there the work runs without a session instead.
+export async function withTransaction(work) {
+  if (!client || !transactionsSupported) {
+    return work(undefined);
+  }
+
+  const session = client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      attempts.set(session, { versions: new Map() });
+      result = await work(session);
+    });
+    for (const [table, version] of attempts.get(session).versions) {
+      table.version = version;
+    }
+    return result;
+  } catch (error) {
+    if (error.code === 20 || /replica set|Transaction numbers/i.test(error.message)) {
+      console.log('[DB] Transactions not supported by this server, continuing without them');
+      transactionsSupported = false;
+      return work(undefined);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
 export async function close() {
   if (client) {
     await client.close();
   }
+  if (db && db.flush) {
+    await db.flush();
+  }
 }
 
 // #PLACEHOLDER - Remove this function when user starts to work on his project
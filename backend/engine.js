@@ -0,0 +1,788 @@
+import {
+  createSeededDeck, dealCards, cardsToString,
+  determineWinners, calculatePots, getRaiseLimits,
+  GAME_PHASES, ACTION_TIMEOUT_MS,
+  TIME_BANK_START_MS, TIME_BANK_REFILL_MS, TIME_BANK_MAX_MS, SIT_OUT_AFTER_TIMEOUTS
+} from './poker.js';
+import { EVENT_TYPES } from './events.js';
+
+// Pure Hold'em engine. Every entry point takes a table ({ seats, game, config, ... }) and returns
+// { table, events, log, transfers, hand_complete, error } without touching the database or the
+// event bus. transfers lists each chip movement between a stack and the pot for the ledger.
+// The input table is not modified; seats and game are copied before any change.
+
+const STREETS = {
+  [GAME_PHASES.PRE_FLOP]: { next: GAME_PHASES.FLOP, cards: 3, label: 'FLOP' },
+  [GAME_PHASES.FLOP]: { next: GAME_PHASES.TURN, cards: 1, label: 'TURN' },
+  [GAME_PHASES.TURN]: { next: GAME_PHASES.RIVER, cards: 1, label: 'RIVER' },
+  [GAME_PHASES.RIVER]: { next: GAME_PHASES.SHOWDOWN, cards: 0, label: 'SHOWDOWN' }
+};
+
+// Deep copy of plain objects, arrays and dates; anything else (ObjectIds) is shared. Much
+// cheaper than structuredClone, which matters when the simulator plays millions of hands.
+function copyValue(value) {
+  if (Array.isArray(value)) return value.map(copyValue);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    const copy = {};
+    for (const key in value) copy[key] = copyValue(value[key]);
+    return copy;
+  }
+  return value;
+}
+
+function createContext(table, now) {
+  const copy = {
+    ...table,
+    seats: table.seats.map(seat => seat ? { ...seat } : null),
+    game: table.game ? copyValue(table.game) : null
+  };
+  return { table: copy, game: copy.game, events: [], log: [], transfers: [], hand_complete: null, now };
+}
+
+function result(ctx) {
+  return { table: ctx.table, events: ctx.events, log: ctx.log, transfers: ctx.transfers, hand_complete: ctx.hand_complete, error: null };
+}
+
+function failure(status, message, details = {}) {
+  return { table: null, events: [], log: [], transfers: [], hand_complete: null, error: { status, message, ...details } };
+}
+
+function emit(ctx, type, data, to = null) {
+  ctx.events.push({ type, data, to });
+}
+
+function seatOf(ctx, playerId) {
+  return ctx.table.seats.find(s => s && s.moltbook_id === playerId) || null;
+}
+
+function handSeatOf(game, playerId) {
+  return game.hand_seats.find(s => s.moltbook_id === playerId) || null;
+}
+
+function recordAction(ctx, playerId, action, amount = 0, extra = {}) {
+  const { game } = ctx;
+  const handSeat = handSeatOf(game, playerId);
+  const entry = {
+    street: game.phase,
+    moltbook_id: playerId,
+    moltbook_name: handSeat?.moltbook_name || 'Unknown',
+    seat: handSeat ? handSeat.seat : null,
+    action,
+    amount,
+    stack_after: seatOf(ctx, playerId)?.stack ?? null,
+    ...extra,
+    at: ctx.now
+  };
+  game.actions.push(entry);
+
+  const { at, moltbook_id, ...publicEntry } = entry;
+  emit(ctx, EVENT_TYPES.ACTION, {
+    hand_number: game.hand_number,
+    ...publicEntry,
+    pot: game.pot,
+    current_bet: game.current_bet
+  });
+}
+
+function announceTurn(ctx) {
+  const { game } = ctx;
+  const hand = game.player_hands[game.current_turn_player];
+  emit(ctx, EVENT_TYPES.YOUR_TURN, {
+    hand_number: game.hand_number,
+    phase: game.phase,
+    pot: game.pot,
+    current_bet: game.current_bet,
+    amount_to_call: hand ? game.current_bet - hand.current_bet : 0,
+    time_limit_ms: ACTION_TIMEOUT_MS,
+    time_bank_ms: seatOf(ctx, game.current_turn_player)?.time_bank_ms ?? TIME_BANK_START_MS,
+    deadline: game.turn_deadline
+  }, game.current_turn_player);
+}
+
+// A turn lasts the base clock plus whatever is left in the player's time bank. Players sitting
+// out (only dealt in at tournaments) are acted for as soon as their turn comes.
+function deadlineFor(seat, startedAt) {
+  if (seat?.sitting_out) return new Date(startedAt);
+  return new Date(new Date(startedAt).getTime() + ACTION_TIMEOUT_MS + (seat?.time_bank_ms ?? TIME_BANK_START_MS));
+}
+
+/**
+ * When the current turn times out, or null when nobody is to act. Hands started before time
+ * banks existed have no stored deadline and get the base clock.
+ */
+export function turnDeadline(game) {
+  if (!game?.turn_started_at || !game.current_turn_player) return null;
+  return new Date(game.turn_deadline ?? new Date(game.turn_started_at).getTime() + ACTION_TIMEOUT_MS);
+}
+
+/**
+ * A fresh clock for the player to act, as { turn_started_at, turn_deadline }; used when a
+ * paused table resumes.
+ */
+export function restartTurnClock(table, now = new Date()) {
+  const seat = table.seats.find(s => s && s.moltbook_id === table.game.current_turn_player);
+  return { turn_started_at: now, turn_deadline: deadlineFor(seat, now) };
+}
+
+// Time past the base clock comes out of the bank. A timeout empties it and counts towards
+// sitting out; acting in time resets the count.
+function chargeTurnTime(ctx, playerId, timedOut) {
+  const seat = seatOf(ctx, playerId);
+  if (!seat) return;
+
+  if (!timedOut) {
+    const overtime = Math.max(0, ctx.now - new Date(ctx.game.turn_started_at) - ACTION_TIMEOUT_MS);
+    seat.time_bank_ms = Math.max(0, (seat.time_bank_ms ?? TIME_BANK_START_MS) - overtime);
+    seat.timeouts = 0;
+    return;
+  }
+
+  seat.time_bank_ms = 0;
+  if (seat.sitting_out) return;
+  seat.timeouts = (seat.timeouts || 0) + 1;
+  if (seat.timeouts >= SIT_OUT_AFTER_TIMEOUTS) {
+    seat.sitting_out = true;
+    ctx.log.push(`${seat.moltbook_name} is sitting out after ${seat.timeouts} timeouts in a row`);
+    emit(ctx, EVENT_TYPES.PLAYER_SAT_OUT, {
+      seat: ctx.table.seats.indexOf(seat),
+      name: seat.moltbook_name,
+      reason: 'timeouts',
+      timeouts: seat.timeouts
+    });
+  }
+}
+
+const TRANSFER_KINDS = { ante: 'ante', small_blind: 'blind', big_blind: 'blind', post_in: 'blind' };
+
+// Moves chips from a seat's stack into the hand; a stack that runs out is all-in
+function commitChips(ctx, playerId, amount, action) {
+  const seat = seatOf(ctx, playerId);
+  const hand = ctx.game.player_hands[playerId];
+  const paid = Math.min(amount, seat ? seat.stack : 0);
+  seat.stack -= paid;
+  hand.current_bet += paid;
+  hand.total_bet += paid;
+  ctx.game.pot += paid;
+  if (seat.stack <= 0) hand.all_in = true;
+  if (paid > 0) {
+    ctx.transfers.push({ kind: TRANSFER_KINDS[action] || 'bet', action, moltbook_id: playerId, amount: paid, to_pot: true });
+  }
+  return paid;
+}
+
+function awardChips(ctx, playerId, amount, kind = 'pot_award') {
+  if (amount <= 0) return;
+  seatOf(ctx, playerId).stack += amount;
+  ctx.transfers.push({ kind, moltbook_id: playerId, amount, to_pot: false });
+}
+
+function canAct(game, playerId) {
+  const hand = game.player_hands[playerId];
+  return hand && !hand.folded && !hand.all_in;
+}
+
+// Next player clockwise (in hand seat order) after the given position who can still act
+function nextToAct(game, fromIndex) {
+  const count = game.hand_seats.length;
+  for (let step = 1; step <= count; step++) {
+    const index = (fromIndex + step) % count;
+    if (canAct(game, game.hand_seats[index].moltbook_id)) return index;
+  }
+  return -1;
+}
+
+// Index in hand_seats of the last seat at or before the button (which may be an empty, dead
+// button seat), so that nextToAct from it starts with the first player left of the button
+function buttonPosition(game) {
+  const buttonSeat = game.button_seat ?? game.hand_seats[game.dealer_index]?.seat ?? -1;
+  let position = game.hand_seats.length - 1;
+  game.hand_seats.forEach((handSeat, index) => {
+    if (handSeat.seat <= buttonSeat) position = index;
+  });
+  return position;
+}
+
+function setTurn(ctx, index) {
+  const { game } = ctx;
+  game.current_turn_index = index;
+  game.current_turn_player = game.hand_seats[index].moltbook_id;
+  game.turn_started_at = ctx.now;
+  game.turn_deadline = deadlineFor(seatOf(ctx, game.current_turn_player), ctx.now);
+  ctx.log.push(`${game.hand_seats[index].moltbook_name}'s turn`);
+  announceTurn(ctx);
+}
+
+// The round is over when everyone who can act has acted since the last full raise and matched the bet
+function bettingRoundComplete(game) {
+  return Object.entries(game.player_hands)
+    .filter(([id]) => canAct(game, id))
+    .every(([, hand]) => hand.acted_raise_count !== undefined && hand.acted_raise_count !== null &&
+      hand.current_bet === game.current_bet);
+}
+
+function continueHand(ctx, fromIndex) {
+  const { game } = ctx;
+  const live = Object.values(game.player_hands).filter(hand => !hand.folded);
+
+  if (live.length === 1) {
+    game.phase = GAME_PHASES.SHOWDOWN;
+    resolveHand(ctx);
+    return;
+  }
+
+  const waiting = Object.keys(game.player_hands).filter(id => canAct(game, id));
+  const highestBet = Math.max(...Object.values(game.player_hands).map(hand => hand.current_bet));
+  const nobodyToAct = waiting.length === 0 ||
+    (waiting.length === 1 && game.player_hands[waiting[0]].current_bet >= highestBet);
+
+  if (nobodyToAct || bettingRoundComplete(game)) {
+    advanceStreet(ctx);
+    return;
+  }
+
+  setTurn(ctx, nextToAct(game, fromIndex));
+}
+
+function dealStreet(ctx) {
+  const { game } = ctx;
+  const street = STREETS[game.phase];
+
+  const newCards = street.cards > 0 ? dealCards(game.deck, street.cards) : [];
+  game.community_cards = [...game.community_cards, ...newCards];
+  game.phase = street.next;
+  game.current_bet = 0;
+  game.min_raise = game.big_blind;
+  game.full_raise_count = 0;
+  game.last_raiser = null;
+  for (const hand of Object.values(game.player_hands)) {
+    hand.current_bet = 0;
+    hand.acted_raise_count = null;
+  }
+
+  if (newCards.length > 0) {
+    ctx.log.push(`${street.label}: ${cardsToString(newCards)}`);
+    emit(ctx, EVENT_TYPES.STREET_DEALT, {
+      hand_number: game.hand_number,
+      phase: game.phase,
+      new_cards: newCards,
+      community_cards: [...game.community_cards],
+      pot: game.pot
+    });
+  } else {
+    ctx.log.push('SHOWDOWN');
+  }
+}
+
+function advanceStreet(ctx) {
+  const { game } = ctx;
+
+  // With at most one player able to bet, the rest of the board is dealt straight through
+  while (STREETS[game.phase]) {
+    dealStreet(ctx);
+
+    if (game.phase === GAME_PHASES.SHOWDOWN) {
+      resolveHand(ctx);
+      return;
+    }
+
+    const waiting = Object.keys(game.player_hands).filter(id => canAct(game, id));
+    if (waiting.length > 1) {
+      setTurn(ctx, nextToAct(game, buttonPosition(game)));
+      return;
+    }
+  }
+}
+
+// Hand seats in clockwise order starting with the first one left of the button
+function seatsFromButton(game) {
+  const seats = game.hand_seats;
+  const start = buttonPosition(game) + 1;
+  return seats.map((_, offset) => seats[(start + offset) % seats.length]);
+}
+
+// The part of the biggest bet that nobody matched goes back to its owner before pots are awarded
+function returnUncalledBet(ctx) {
+  const { game } = ctx;
+  const [top, next] = Object.entries(game.player_hands).sort(([, a], [, b]) => b.total_bet - a.total_bet);
+  if (!next || top[1].folded) return;
+
+  const [playerId, hand] = top;
+  const amount = hand.total_bet - next[1].total_bet;
+  if (amount <= 0) return;
+
+  hand.total_bet -= amount;
+  hand.current_bet = Math.max(0, hand.current_bet - amount);
+  game.pot -= amount;
+  awardChips(ctx, playerId, amount, 'uncalled_bet');
+
+  const name = handSeatOf(game, playerId)?.moltbook_name || 'Unknown';
+  game.uncalled_bets = [...(game.uncalled_bets || []), { moltbook_id: playerId, moltbook_name: name, amount }];
+  recordAction(ctx, playerId, 'uncalled_bet_returned', amount);
+  ctx.log.push(`Uncalled bet of $${amount} returned to ${name}`);
+}
+
+function resolveHand(ctx) {
+  const { game, table } = ctx;
+  returnUncalledBet(ctx);
+
+  const remainingPlayers = Object.entries(game.player_hands)
+    .filter(([, hand]) => !hand.folded)
+    .map(([id, hand]) => ({
+      moltbook_id: id,
+      moltbook_name: handSeatOf(game, id)?.moltbook_name || 'Unknown',
+      hole_cards: hand.hole_cards,
+      total_bet: hand.total_bet
+    }));
+
+  if (remainingPlayers.length === 1) {
+    const winner = remainingPlayers[0];
+    awardChips(ctx, winner.moltbook_id, game.pot);
+    ctx.log.push(`${winner.moltbook_name} wins $${game.pot} (all others folded)`);
+  } else {
+    const pots = calculatePots(
+      Object.entries(game.player_hands).map(([id, hand]) => ({
+        moltbook_id: id,
+        total_bet: hand.total_bet,
+        folded: hand.folded
+      }))
+    );
+
+    const winnings = {};
+    const buttonOrder = seatsFromButton(game).map(s => s.moltbook_id);
+    game.pots = [];
+
+    for (const pot of pots) {
+      const contenders = remainingPlayers.filter(p => pot.eligible.includes(p.moltbook_id));
+      const potWinners = determineWinners(contenders, game.community_cards)
+        .sort((a, b) => buttonOrder.indexOf(a.player.moltbook_id) - buttonOrder.indexOf(b.player.moltbook_id));
+      const potShare = Math.floor(pot.amount / potWinners.length);
+      // Chips that don't split evenly go one each to the winners closest to the button's left
+      const oddChips = pot.amount - potShare * potWinners.length;
+      const shareOf = index => potShare + (index < oddChips ? 1 : 0);
+
+      for (const [index, winner] of potWinners.entries()) {
+        const id = winner.player.moltbook_id;
+        if (!winnings[id]) {
+          winnings[id] = {
+            moltbook_id: id,
+            moltbook_name: winner.player.moltbook_name,
+            hand_name: winner.hand.name,
+            hand_description: winner.hand.description,
+            pot_share: 0,
+            pots: []
+          };
+        }
+        winnings[id].pot_share += shareOf(index);
+        winnings[id].pots.push({ pot: pot.name, amount: shareOf(index) });
+
+        ctx.log.push(`${winner.player.moltbook_name} wins $${shareOf(index)} from ${pot.name.toLowerCase()} with ${winner.hand.description}`);
+      }
+
+      game.pots.push({
+        name: pot.name,
+        amount: pot.amount,
+        eligible: contenders.map(p => p.moltbook_name),
+        winners: potWinners.map((w, index) => ({
+          moltbook_id: w.player.moltbook_id,
+          moltbook_name: w.player.moltbook_name,
+          hand_name: w.hand.name,
+          hand_description: w.hand.description,
+          amount: shareOf(index)
+        }))
+      });
+    }
+
+    for (const winner of Object.values(winnings)) {
+      awardChips(ctx, winner.moltbook_id, winner.pot_share);
+    }
+    game.winners = Object.values(winnings);
+  }
+
+  const showdownPlayers = remainingPlayers.length > 1 ? remainingPlayers.map(p => p.moltbook_id) : [];
+
+  game.phase = GAME_PHASES.WAITING;
+  table.status = 'hand_complete';
+  ctx.hand_complete = { showdown_players: showdownPlayers };
+
+  emit(ctx, EVENT_TYPES.SHOWDOWN, {
+    hand_number: game.hand_number,
+    community_cards: [...game.community_cards],
+    shown_cards: remainingPlayers.length > 1
+      ? remainingPlayers.map(p => ({ name: p.moltbook_name, cards: p.hole_cards }))
+      : [],
+    pot: game.pot,
+    pots: game.pots || null,
+    winners: game.winners || remainingPlayers.map(p => ({ moltbook_name: p.moltbook_name, pot_share: game.pot }))
+  });
+}
+
+// Seat numbers clockwise after `from`, wrapping round the table
+function seatsAfter(from, seatCount) {
+  return Array.from({ length: seatCount }, (_, step) => (from + 1 + step) % seatCount);
+}
+
+/**
+ * Works out the button and blinds by seat number. The big blind moves one occupied seat
+ * clockwise every hand; the small blind goes to last hand's big blind seat and the button to
+ * last hand's small blind seat, so a player who leaves leaves a dead small blind or a dead button
+ * behind rather than letting anyone skip a blind. New players seated between the button and the
+ * big blind wait for the button to pass; anywhere else they post a big blind to be dealt in.
+ * Heads-up the button posts the small blind. Returns seat numbers; smallBlind is null when the
+ * small blind is dead, smallBlindSeat then still says where it was.
+ */
+function choosePositions(table, eligible) {
+  const seatCount = table.seats.length;
+  const previous = table.game;
+
+  if (previous && Number.isInteger(previous.big_blind_seat)) {
+    const played = new Set((previous.hand_seats || []).map(s => s.moltbook_id));
+    const isNew = seat => !played.has(table.seats[seat].moltbook_id);
+    const bigBlind = seatsAfter(previous.big_blind_seat, seatCount).find(seat => eligible.includes(seat));
+    const button = previous.small_blind_seat;
+    const blindZone = [button, ...seatsAfter(button, seatCount).slice(0, (bigBlind - button - 1 + seatCount) % seatCount)];
+    const dealt = eligible.filter(seat => !isNew(seat) || seat === bigBlind || !blindZone.includes(seat));
+
+    if (dealt.length === 2) {
+      const other = dealt.find(seat => seat !== bigBlind);
+      return { button: other, smallBlind: other, bigBlind, postIns: [], dealt };
+    }
+    if (dealt.length > 2) {
+      const smallBlind = previous.big_blind_seat;
+      return {
+        button,
+        smallBlind: dealt.includes(smallBlind) ? smallBlind : null,
+        smallBlindSeat: smallBlind,
+        bigBlind,
+        postIns: dealt.filter(seat => isNew(seat) && seat !== bigBlind),
+        dealt
+      };
+    }
+  }
+
+  // First hand at the table (or after it emptied out): the button starts at the first player
+  const [button, second, third] = eligible;
+  return eligible.length === 2
+    ? { button, smallBlind: button, bigBlind: second, postIns: [], dealt: eligible }
+    : { button, smallBlind: second, bigBlind: third, postIns: [], dealt: eligible };
+}
+
+/**
+ * Deals a new hand. options: { config, minimumStack, minPlayers, serverSeed, nextServerSeed, now }.
+ * serverSeed/nextServerSeed are { seed, hash }; the next one is stored for the following hand.
+ */
+export function startHand(table, { config, minimumStack, minPlayers = 2, serverSeed, nextServerSeed, now = new Date() }) {
+  if (table.status === 'playing') {
+    return failure(409, 'Hand already in progress', { code: 'HAND_IN_PROGRESS' });
+  }
+
+  // Players sitting out are skipped at cash tables; in tournaments they are dealt in and blinded off
+  const eligible = table.seats
+    .map((seat, index) => seat && seat.stack >= minimumStack && (!seat.sitting_out || table.tournament_id) ? index : null)
+    .filter(index => index !== null);
+
+  if (eligible.length < minPlayers) {
+    return failure(400, 'Not enough players to start', { code: 'NOT_ENOUGH_PLAYERS' });
+  }
+
+  const positions = choosePositions(table, eligible);
+  const activePlayers = positions.dealt.map(index => ({ ...table.seats[index], seatIndex: index }));
+  const playerAt = seat => activePlayers.find(p => p.seatIndex === seat);
+
+  const handNumber = (table.game?.hand_number || 0) + 1;
+  const clientSeed = activePlayers.map(p => p.client_seed || '').join('|');
+  const deck = createSeededDeck(serverSeed.seed, clientSeed, handNumber);
+
+  const playerHands = {};
+  for (const player of activePlayers) {
+    playerHands[player.moltbook_id] = {
+      hole_cards: dealCards(deck, 2),
+      folded: false,
+      current_bet: 0,
+      total_bet: 0
+    };
+  }
+
+  const ctx = createContext({ ...table, game: null }, now);
+  const game = {
+    phase: GAME_PHASES.PRE_FLOP,
+    deck,
+    community_cards: [],
+    pot: 0,
+    current_bet: 0,
+    min_raise: config.big_blind,
+    small_blind: config.small_blind,
+    big_blind: config.big_blind,
+    ante: config.ante,
+    full_raise_count: 0,
+    player_hands: playerHands,
+    active_players: activePlayers.map(p => p.moltbook_id),
+    button_seat: positions.button,
+    small_blind_seat: positions.smallBlindSeat ?? positions.smallBlind,
+    big_blind_seat: positions.bigBlind,
+    current_turn_index: null,
+    current_turn_player: null,
+    turn_started_at: null,
+    turn_deadline: null,
+    last_raiser: playerAt(positions.bigBlind).moltbook_id,
+    hand_number: handNumber,
+    server_seed: serverSeed.seed,
+    server_seed_hash: serverSeed.hash,
+    client_seed: clientSeed,
+    started_at: now,
+    hand_seats: activePlayers.map(p => ({
+      seat: p.seatIndex,
+      moltbook_id: p.moltbook_id,
+      moltbook_name: p.moltbook_name,
+      bot_version: p.bot_version || null,
+      house_bot: p.house_bot || null,
+      starting_stack: p.stack
+    })),
+    actions: []
+  };
+  ctx.game = game;
+  ctx.table.game = game;
+  ctx.table.config = config;
+  ctx.table.status = 'playing';
+  ctx.table.next_server_seed = nextServerSeed;
+
+  for (const player of activePlayers) {
+    const seat = ctx.table.seats[player.seatIndex];
+    seat.time_bank_ms = seat.time_bank_ms === undefined
+      ? TIME_BANK_START_MS
+      : Math.min(TIME_BANK_MAX_MS, seat.time_bank_ms + TIME_BANK_REFILL_MS);
+  }
+
+  const smallBlindPlayer = positions.smallBlind === null ? null : playerAt(positions.smallBlind);
+  const bigBlindPlayer = playerAt(positions.bigBlind);
+
+  ctx.log.push(`--- Hand #${handNumber} ---`);
+  ctx.log.push(`Players: ${activePlayers.map(p => p.moltbook_name).join(' vs ')}`);
+
+  // Short stacks (tournaments only) post what they have and are all-in. Antes are dead money.
+  const post = (playerId, action, amount) => {
+    const paid = commitChips(ctx, playerId, amount, action);
+    if (paid <= 0) return;
+    if (action === 'ante') playerHands[playerId].current_bet -= paid;
+    recordAction(ctx, playerId, action, paid, playerHands[playerId].all_in ? { all_in: true } : {});
+  };
+
+  if (config.ante > 0) {
+    for (const player of activePlayers) {
+      post(player.moltbook_id, 'ante', config.ante);
+    }
+    ctx.log.push(`Each player posts ante $${config.ante}`);
+  }
+  if (smallBlindPlayer) {
+    post(smallBlindPlayer.moltbook_id, 'small_blind', config.small_blind);
+    ctx.log.push(`${smallBlindPlayer.moltbook_name} posts small blind $${playerHands[smallBlindPlayer.moltbook_id].current_bet}`);
+  } else {
+    ctx.log.push('Dead small blind');
+  }
+  game.current_bet = config.big_blind;
+  post(bigBlindPlayer.moltbook_id, 'big_blind', config.big_blind);
+  ctx.log.push(`${bigBlindPlayer.moltbook_name} posts big blind $${playerHands[bigBlindPlayer.moltbook_id].current_bet}`);
+  for (const seat of positions.postIns) {
+    const player = playerAt(seat);
+    post(player.moltbook_id, 'post_in', config.big_blind);
+    ctx.log.push(`${player.moltbook_name} posts $${playerHands[player.moltbook_id].current_bet} to come in`);
+  }
+
+  // Announced after posting so the blinds show what was actually posted; postings follow the deal
+  const postings = ctx.events.splice(0);
+  emit(ctx, EVENT_TYPES.HAND_STARTED, {
+    hand_number: handNumber,
+    players: game.hand_seats.map(s => ({ seat: s.seat, name: s.moltbook_name, stack: s.starting_stack })),
+    button_seat: positions.button,
+    small_blind: smallBlindPlayer ? { seat: positions.smallBlind, amount: playerHands[smallBlindPlayer.moltbook_id].current_bet } : null,
+    big_blind: { seat: positions.bigBlind, amount: playerHands[bigBlindPlayer.moltbook_id].current_bet },
+    post_ins: positions.postIns.map(seat => ({ seat, amount: playerHands[playerAt(seat).moltbook_id].current_bet })),
+    ante: config.ante,
+    server_seed_hash: serverSeed.hash,
+    client_seed: clientSeed,
+    next_server_seed_hash: nextServerSeed.hash
+  });
+  for (const player of activePlayers) {
+    emit(ctx, EVENT_TYPES.CARDS_DEALT, {
+      hand_number: handNumber,
+      your_cards: playerHands[player.moltbook_id].hole_cards
+    }, player.moltbook_id);
+  }
+  ctx.events.push(...postings);
+
+  continueHand(ctx, activePlayers.indexOf(bigBlindPlayer));
+  return result(ctx);
+}
+
+/**
+ * Applies a player's action. options: { now, timedOut, outOfTurn, extra }.
+ * outOfTurn lets a player fold while someone else is to act (used when leaving the table);
+ * extra is copied onto the recorded action.
+ */
+export function applyAction(table, playerId, action, amount, { now = new Date(), timedOut = false, outOfTurn = false, extra = {} } = {}) {
+  const game = table.game;
+  if (!game) {
+    return failure(400, 'No active game at this table');
+  }
+  if (game.phase === GAME_PHASES.WAITING || game.phase === GAME_PHASES.SHOWDOWN) {
+    return failure(400, 'Hand is complete. Wait for next hand to start.');
+  }
+
+  const isTurn = game.current_turn_player === playerId;
+  if (!isTurn && !(outOfTurn && action === 'fold')) {
+    return failure(400, 'Not your turn', { current_turn: game.current_turn_player });
+  }
+  if (!game.player_hands[playerId] || game.player_hands[playerId].folded) {
+    return failure(400, 'You are not in this hand');
+  }
+  // The deadline holds to the millisecond, whether or not the timer has fired yet;
+  // callers answer TURN_EXPIRED by applying the timeout
+  const deadline = turnDeadline(game);
+  if (isTurn && !timedOut && !outOfTurn && deadline && now > deadline) {
+    return failure(409, 'Your turn ended at ' + deadline.toISOString(), { code: 'TURN_EXPIRED', turn_deadline: deadline });
+  }
+
+  const ctx = createContext(table, now);
+  const playerHand = ctx.game.player_hands[playerId];
+  const name = handSeatOf(ctx.game, playerId)?.moltbook_name || 'Unknown';
+  const amountToCall = ctx.game.current_bet - playerHand.current_bet;
+  const playerStack = seatOf(ctx, playerId)?.stack || 0;
+
+  const actionTaken = String(action).toLowerCase();
+  let betAmount = 0;
+
+  if (timedOut) ctx.log.push(`${name} timed out - auto-fold`);
+
+  switch (actionTaken) {
+    case 'fold':
+      playerHand.folded = true;
+      ctx.log.push(timedOut ? `${name} auto-folded (owed $${amountToCall})` : `${name} folds`);
+      break;
+
+    case 'check':
+      if (amountToCall > 0) {
+        return failure(400, 'Cannot check, must call ' + amountToCall);
+      }
+      ctx.log.push(timedOut ? `${name} auto-checked` : `${name} checks`);
+      break;
+
+    case 'call':
+      betAmount = commitChips(ctx, playerId, Math.min(amountToCall, playerStack), 'call');
+      ctx.log.push(playerHand.all_in ? `${name} is ALL-IN!` : `${name} calls $${betAmount}`);
+      break;
+
+    case 'raise': {
+      const limits = getRaiseLimits(ctx.game, playerHand, playerStack);
+      const raiseError = (code, message) => failure(400, message, {
+        code,
+        current_bet: ctx.game.current_bet,
+        min_raise_to: limits.min_raise_to,
+        max_raise_to: limits.max_raise_to
+      });
+
+      if (!limits.reopened) {
+        return raiseError('RAISE_NOT_REOPENED', 'Betting was not reopened by a full raise since you last acted. You can only call or fold');
+      }
+      if (!limits.can_raise) {
+        return raiseError('INSUFFICIENT_CHIPS_TO_RAISE', 'Your stack does not cover more than the current bet. You can only call (all-in) or fold');
+      }
+
+      const raiseAmount = amount === undefined || amount === null ? limits.min_raise_to : Number(amount);
+
+      if (!Number.isInteger(raiseAmount)) {
+        return raiseError('INVALID_AMOUNT', 'Raise amount must be a whole number (the total you are raising to)');
+      }
+      if (raiseAmount <= ctx.game.current_bet) {
+        return raiseError('RAISE_NOT_ABOVE_CURRENT_BET', 'Raise must be greater than current bet of ' + ctx.game.current_bet);
+      }
+      if (raiseAmount > limits.max_raise_to) {
+        return raiseError('RAISE_EXCEEDS_STACK', 'Raise exceeds your stack. Maximum raise is to ' + limits.max_raise_to);
+      }
+      if (raiseAmount < limits.min_raise_to) {
+        return raiseError('RAISE_BELOW_MINIMUM', 'Minimum raise is to ' + limits.min_raise_to + ' (or all-in for ' + limits.max_raise_to + ')');
+      }
+
+      // A raise below the minimum (only possible all-in) does not reopen betting
+      const raiseIncrement = raiseAmount - ctx.game.current_bet;
+      if (raiseIncrement >= limits.min_raise) {
+        ctx.game.min_raise = raiseIncrement;
+        ctx.game.full_raise_count = (ctx.game.full_raise_count || 0) + 1;
+      }
+
+      betAmount = commitChips(ctx, playerId, raiseAmount - playerHand.current_bet, 'raise');
+      ctx.game.current_bet = playerHand.current_bet;
+      ctx.game.last_raiser = playerId;
+      ctx.log.push(playerHand.all_in
+        ? `${name} goes ALL-IN for $${ctx.game.current_bet}!`
+        : `${name} raises to $${ctx.game.current_bet}`);
+      break;
+    }
+
+    default:
+      return failure(400, 'Invalid action. Use: fold, check, call, or raise');
+  }
+
+  playerHand.acted_raise_count = ctx.game.full_raise_count || 0;
+  if (isTurn) chargeTurnTime(ctx, playerId, timedOut);
+
+  recordAction(ctx, playerId, actionTaken, betAmount, {
+    ...(actionTaken === 'raise' ? { to: ctx.game.current_bet } : {}),
+    ...(playerHand.all_in ? { all_in: true } : {}),
+    ...(timedOut ? { timed_out: true } : {}),
+    ...extra
+  });
+
+  if (isTurn) {
+    continueHand(ctx, ctx.game.hand_seats.findIndex(s => s.moltbook_id === playerId));
+  } else if (Object.values(ctx.game.player_hands).filter(hand => !hand.folded).length === 1) {
+    ctx.game.phase = GAME_PHASES.SHOWDOWN;
+    resolveHand(ctx);
+  }
+
+  const outcome = result(ctx);
+  outcome.action = { action: actionTaken, amount: betAmount };
+  return outcome;
+}
+
+/**
+ * Checks (or folds, if facing a bet) for a player whose turn is past its deadline.
+ * Returns null when nobody has timed out.
+ */
+export function applyTimeout(table, { now = new Date() } = {}) {
+  const game = table.game;
+  const deadline = turnDeadline(game);
+  if (table.status !== 'playing' || !deadline || now < deadline) return null;
+
+  const playerId = game.current_turn_player;
+  const hand = game.player_hands[playerId];
+  if (!hand || hand.folded || hand.all_in) return null;
+
+  const amountToCall = game.current_bet - hand.current_bet;
+  return applyAction(table, playerId, amountToCall === 0 ? 'check' : 'fold', null, { now, timedOut: true });
+}
+
+/**
+ * Ends a hand that cannot finish normally: the rest of the board is dealt and every player who
+ * has not folded goes to showdown with the chips already committed.
+ */
+export function forceShowdown(table, { now = new Date() } = {}) {
+  const game = table.game;
+  if (table.status !== 'playing' || !game || !STREETS[game.phase]) {
+    return failure(400, 'No hand in progress at this table');
+  }
+
+  const ctx = createContext(table, now);
+  ctx.game.current_turn_player = null;
+  ctx.game.current_turn_index = null;
+  ctx.game.turn_started_at = null;
+  ctx.game.turn_deadline = null;
+
+  if (Object.values(ctx.game.player_hands).filter(hand => !hand.folded).length === 1) {
+    ctx.game.phase = GAME_PHASES.SHOWDOWN;
+  }
+  while (ctx.game.phase !== GAME_PHASES.SHOWDOWN) {
+    dealStreet(ctx);
+  }
+  resolveHand(ctx);
+  return result(ctx);
+}
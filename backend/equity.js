@@ -0,0 +1,398 @@
+import {
+  cardCode, scoreCodes, scoreCategory, describeScore, evaluateHand,
+  SUITS, RANKS, HAND_NAMES, MAX_SEATS
+} from './poker.js';
+
+// Equity calculator: the same scoring the server uses at showdown, run over every runout
+// (and every opponent holding) when there are few enough of them, otherwise over a fixed
+// number of random deals. Cards are written rank then suit: "Ah", "Td" or "10d", "7♣", or
+// given as { rank, suit } objects. Results carry card objects for the response serializer.
+// Ranges use the usual shorthand, comma separated: "QQ+", "22-55", "AKs", "ATo+", "KQ",
+// "A2s-A5s", exact hands like "AhKd", or "random".
+
+export const DEFAULT_ITERATIONS = 10000;
+export const MAX_ITERATIONS = 20000;
+// Every showdown scores each player's seven cards; one request scores at most this many hands,
+// which keeps the worst case near 150 ms. Enumeration gives way to Monte Carlo above it.
+export const MAX_HANDS_SCORED = 100000;
+export const MAX_OPPONENTS = MAX_SEATS - 1;
+
+// Rejected deals allowed per requested one before sampling stops
+const MAX_REJECTIONS = 20;
+// Search steps spent proving ranges can be dealt together before assuming they can
+const DEALABLE_SEARCH_LIMIT = 100000;
+
+const RANK_CHARS = '23456789TJQKA';
+const SUIT_CHARS = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades', '♥': 'hearts', '♦': 'diamonds', '♣': 'clubs', '♠': 'spades' };
+const CARD_PATTERN = /(10|[2-9tjqka])([hdcs♥♦♣♠])/giy;
+
+function codeToCard(code) {
+  return { suit: SUITS[code & 3], rank: RANKS[code >> 2], value: (code >> 2) + 2 };
+}
+
+function rankIndex(char) {
+  return RANK_CHARS.indexOf(char.toUpperCase());
+}
+
+// Card codes from "AhKd", "Ah Kd", "Ah,Kd", ["Ah", "Kd"] or [{ rank, suit }]; null if anything doesn't parse
+export function parseCards(input) {
+  const written = card => card && typeof card === 'object' ? `${card.rank}${String(card.suit).charAt(0)}` : card;
+  const text = Array.isArray(input) ? input.map(written).join(' ') : String(input ?? '');
+  const compact = text.replace(/[\s,]+/g, '');
+  const codes = [];
+  CARD_PATTERN.lastIndex = 0;
+  while (CARD_PATTERN.lastIndex < compact.length) {
+    const match = CARD_PATTERN.exec(compact);
+    if (!match) return null;
+    const rank = match[1] === '10' ? 8 : rankIndex(match[1]);
+    codes.push(cardCode({ value: rank + 2, suit: SUIT_CHARS[match[2].toLowerCase()] }));
+  }
+  return codes;
+}
+
+function combosFor(high, low, suitedness) {
+  const combos = [];
+  for (let a = 0; a < 4; a++) {
+    for (let b = 0; b < 4; b++) {
+      if (high === low && b <= a) continue;
+      if (suitedness === 's' && a !== b) continue;
+      if (suitedness === 'o' && a === b) continue;
+      combos.push([high * 4 + a, low * 4 + b]);
+    }
+  }
+  return combos;
+}
+
+const HAND_CLASS = /^([2-9TJQKA])([2-9TJQKA])([so]?)(\+?)$/i;
+
+function parseRangeToken(token) {
+  if (/^(random|any|\*)$/i.test(token)) {
+    const combos = [];
+    for (let a = 0; a < 52; a++) {
+      for (let b = a + 1; b < 52; b++) combos.push([a, b]);
+    }
+    return combos;
+  }
+
+  const exact = parseCards(token);
+  if (exact && exact.length === 2 && exact[0] !== exact[1]) return [exact];
+
+  const [from, to, extra] = token.split('-');
+  if (extra !== undefined) return null;
+  const first = HAND_CLASS.exec(from);
+  if (!first) return null;
+  let high = rankIndex(first[1]);
+  let low = rankIndex(first[2]);
+  const suitedness = first[3].toLowerCase();
+  if (low > high) [high, low] = [low, high];
+  if (high === low && suitedness) return null;
+
+  // "22-55" or "A2s-A5s": both ends share the pair or the top card and suitedness
+  let lowest = low;
+  let highest = low;
+  if (to !== undefined) {
+    const last = HAND_CLASS.exec(to);
+    if (!last || first[4] || last[4] || last[3].toLowerCase() !== suitedness) return null;
+    let lastHigh = rankIndex(last[1]);
+    let lastLow = rankIndex(last[2]);
+    if (lastLow > lastHigh) [lastHigh, lastLow] = [lastLow, lastHigh];
+    if ((high === low) !== (lastHigh === lastLow) || (high !== low && lastHigh !== high)) return null;
+    lowest = Math.min(low, lastLow);
+    highest = Math.max(low, lastLow);
+  } else if (first[4]) {
+    // "QQ+" climbs to AA; "ATs+" climbs the kicker up to one below the top card
+    highest = high === low ? 12 : high - 1;
+  }
+
+  const combos = [];
+  for (let rank = lowest; rank <= highest; rank++) {
+    combos.push(...(high === low ? combosFor(rank, rank, '') : combosFor(high, rank, suitedness)));
+  }
+  return combos;
+}
+
+// Two-card combos for a range string (or array of tokens); { combos } or { error }
+export function parseRange(input) {
+  const tokens = (Array.isArray(input) ? input.join(',') : String(input ?? '')).split(',').map(t => t.trim()).filter(Boolean);
+  if (tokens.length === 0) return { error: 'range is empty' };
+
+  const seen = new Set();
+  const combos = [];
+  for (const token of tokens) {
+    const found = parseRangeToken(token);
+    if (!found) return { error: `Could not read range "${token}"` };
+    for (const combo of found) {
+      const key = Math.min(...combo) * 52 + Math.max(...combo);
+      if (!seen.has(key)) {
+        seen.add(key);
+        combos.push(combo);
+      }
+    }
+  }
+  return { combos };
+}
+
+// The most Monte Carlo deals a request against this many opponents may ask for
+export function maxIterations(opponents) {
+  return Math.min(MAX_ITERATIONS, Math.floor(MAX_HANDS_SCORED / (opponents + 1)));
+}
+
+// Whether one hand from each range can be dealt without two sharing a card. Backtracks from
+// the narrowest range; a search that runs too long gives up and lets sampling find out.
+function dealable(opponents) {
+  const ranges = [...opponents].sort((a, b) => a.length - b.length);
+  const used = new Uint8Array(52);
+  let steps = 0;
+  const search = index => {
+    if (index === ranges.length || ++steps > DEALABLE_SEARCH_LIMIT) return true;
+    for (const [a, b] of ranges[index]) {
+      if (used[a] || used[b]) continue;
+      used[a] = used[b] = 1;
+      const found = search(index + 1);
+      used[a] = used[b] = 0;
+      if (found) return true;
+    }
+    return false;
+  };
+  return search(0);
+}
+
+// Validates a request body into { hero, board, opponents: [combos...], iterations } or { error }.
+// `opponents` is a count of random hands; `ranges` gives one range per opponent instead.
+export function parseEquityRequest({ hole_cards, board = [], opponents, ranges, iterations } = {}) {
+  const hero = parseCards(hole_cards);
+  if (!hero || hero.length !== 2) {
+    return { error: 'hole_cards must be two cards, e.g. "AhKd"' };
+  }
+  const boardCodes = parseCards(board);
+  if (!boardCodes || ![0, 3, 4, 5].includes(boardCodes.length)) {
+    return { error: 'board must be 0, 3, 4 or 5 cards' };
+  }
+  const dead = [...hero, ...boardCodes];
+  if (new Set(dead).size !== dead.length) {
+    return { error: 'The same card appears more than once' };
+  }
+
+  let rangeInputs;
+  if (ranges !== undefined) {
+    if (!Array.isArray(ranges) || ranges.length < 1 || ranges.length > MAX_OPPONENTS) {
+      return { error: `ranges must be a list of 1 to ${MAX_OPPONENTS} ranges, one per opponent` };
+    }
+    rangeInputs = ranges;
+  } else {
+    const count = opponents === undefined ? 1 : Number(opponents);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OPPONENTS) {
+      return { error: `opponents must be a whole number from 1 to ${MAX_OPPONENTS}` };
+    }
+    rangeInputs = Array(count).fill('random');
+  }
+
+  const opponentCombos = [];
+  for (const [index, range] of rangeInputs.entries()) {
+    const { combos, error } = parseRange(range);
+    if (error) return { error: `Opponent ${index + 1}: ${error}` };
+    const live = combos.filter(([a, b]) => !dead.includes(a) && !dead.includes(b));
+    if (live.length === 0) return { error: `Opponent ${index + 1}: no hands in range "${range}" are possible with these cards` };
+    opponentCombos.push(live);
+  }
+  if (opponentCombos.length * 2 + dead.length + (5 - boardCodes.length) > 52) {
+    return { error: 'Not enough cards left to deal every opponent' };
+  }
+  if (!dealable(opponentCombos)) {
+    return { error: 'The ranges cannot all be dealt at once: every choice of hands shares a card' };
+  }
+
+  const maxRuns = maxIterations(opponentCombos.length);
+  const runs = iterations === undefined ? Math.min(DEFAULT_ITERATIONS, maxRuns) : Number(iterations);
+  if (!Number.isInteger(runs) || runs < 100 || runs > maxRuns) {
+    return { error: `iterations must be a whole number from 100 to ${maxRuns} with ${opponentCombos.length} opponent(s)` };
+  }
+
+  return { request: { hero, board: boardCodes, opponents: opponentCombos, iterations: runs } };
+}
+
+function choose(n, k) {
+  let result = 1;
+  for (let i = 0; i < k; i++) result = result * (n - i) / (i + 1);
+  return Math.round(result);
+}
+
+function createTally() {
+  return { showdowns: 0, wins: 0, ties: 0, losses: 0, share: 0, hands: new Array(11).fill(0) };
+}
+
+// Scores one complete deal into the tally from the hero's and each opponent's seven cards
+function settle(tally, heroCards, opponentCards) {
+  const heroScore = scoreCodes(heroCards);
+  let best = 0;
+  let tied = 0;
+  for (const cards of opponentCards) {
+    const score = scoreCodes(cards);
+    if (score > best) {
+      best = score;
+      tied = 0;
+    }
+    if (score === best) tied++;
+  }
+  tally.showdowns++;
+  tally.hands[scoreCategory(heroScore)]++;
+  if (heroScore > best) {
+    tally.wins++;
+    tally.share++;
+  } else if (heroScore === best) {
+    tally.ties++;
+    tally.share += 1 / (tied + 1);
+  } else {
+    tally.losses++;
+  }
+}
+
+function showdown(tally, hero, board, holdings) {
+  settle(tally, [...hero, ...board], holdings.map(holding => [...holding, ...board]));
+}
+
+function enumerate(request, tally) {
+  const { hero, board, opponents } = request;
+  const used = new Uint8Array(52);
+  for (const code of [...hero, ...board]) used[code] = 1;
+  const holdings = [];
+
+  const runouts = (start, runout) => {
+    if (board.length + runout.length === 5) {
+      showdown(tally, hero, [...board, ...runout], holdings);
+      return;
+    }
+    for (let code = start; code < 52; code++) {
+      if (used[code]) continue;
+      runout.push(code);
+      runouts(code + 1, runout);
+      runout.pop();
+    }
+  };
+
+  const deal = index => {
+    if (index === opponents.length) {
+      runouts(0, []);
+      return;
+    }
+    for (const [a, b] of opponents[index]) {
+      if (used[a] || used[b]) continue;
+      used[a] = used[b] = 1;
+      holdings.push([a, b]);
+      deal(index + 1);
+      holdings.pop();
+      used[a] = used[b] = 0;
+    }
+  };
+
+  deal(0);
+}
+
+// Rejection sampling: a deal where two opponents' range picks collide is thrown away whole,
+// so every valid combination of holdings stays equally likely
+function simulate(request, tally, random) {
+  const { hero, board, opponents, iterations } = request;
+  const deck = [];
+  for (let code = 0; code < 52; code++) {
+    if (!hero.includes(code) && !board.includes(code)) deck.push(code);
+  }
+  const used = new Uint8Array(52);
+  let attempts = 0;
+
+  while (tally.showdowns < iterations) {
+    if (++attempts > iterations * MAX_REJECTIONS) break;
+    used.fill(0);
+    const holdings = [];
+    let collided = false;
+    for (const combos of opponents) {
+      const [a, b] = combos[Math.floor(random() * combos.length)];
+      if (used[a] || used[b]) {
+        collided = true;
+        break;
+      }
+      used[a] = used[b] = 1;
+      holdings.push([a, b]);
+    }
+    if (collided) continue;
+
+    const runout = [...board];
+    const pool = [...deck];
+    let left = pool.length;
+    while (runout.length < 5) {
+      const index = Math.floor(random() * left);
+      const code = pool[index];
+      pool[index] = pool[--left];
+      if (!used[code]) runout.push(code);
+    }
+    showdown(tally, hero, runout, holdings);
+  }
+}
+
+function exactShowdowns({ board, opponents }) {
+  const combos = opponents.reduce((product, list) => product * list.length, 1);
+  return combos * choose(52 - 2 - board.length - opponents.length * 2, 5 - board.length);
+}
+
+// Cards still to come that lift the hero into a better hand category than they hold now,
+// and better than the board alone would then show. Only meaningful on the flop and turn.
+export function findOuts(hero, board) {
+  if (board.length !== 3 && board.length !== 4) return null;
+  const current = scoreCategory(scoreCodes([...hero, ...board]));
+  const byHand = {};
+  const cards = [];
+  for (let code = 0; code < 52; code++) {
+    if (hero.includes(code) || board.includes(code)) continue;
+    const improved = scoreCategory(scoreCodes([...hero, ...board, code]));
+    const boardOnly = scoreCategory(scoreCodes([...board, code]));
+    if (improved > current && improved > boardOnly) {
+      const name = HAND_NAMES[improved];
+      (byHand[name] ||= []).push(codeToCard(code));
+      cards.push(codeToCard(code));
+    }
+  }
+  return { count: cards.length, cards, by_hand: byHand };
+}
+
+function madeHand(hero, board) {
+  if (board.length === 0) {
+    const score = scoreCodes(hero);
+    return { name: HAND_NAMES[scoreCategory(score)], description: describeScore(score), score, cards: hero.map(codeToCard) };
+  }
+  const hand = evaluateHand(hero.map(codeToCard), board.map(codeToCard));
+  return {
+    name: hand.name,
+    description: hand.description,
+    score: hand.score,
+    cards: hand.cards
+  };
+}
+
+const round = value => Math.round(value * 10000) / 10000;
+
+export function calculateEquity(request, random = Math.random) {
+  const tally = createTally();
+  const exact = exactShowdowns(request) * (request.opponents.length + 1) <= MAX_HANDS_SCORED;
+  if (exact) enumerate(request, tally);
+  else simulate(request, tally, random);
+
+  const total = tally.showdowns || 1;
+  const hands = {};
+  for (let category = 10; category >= 1; category--) {
+    if (tally.hands[category]) hands[HAND_NAMES[category]] = round(tally.hands[category] / total);
+  }
+
+  return {
+    hole_cards: request.hero.map(codeToCard),
+    board: request.board.map(codeToCard),
+    opponents: request.opponents.map(combos => ({ combos: combos.length })),
+    made_hand: madeHand(request.hero, request.board),
+    method: exact ? 'exact' : 'monte_carlo',
+    showdowns: tally.showdowns,
+    equity: round(tally.share / total),
+    win: round(tally.wins / total),
+    tie: round(tally.ties / total),
+    lose: round(tally.losses / total),
+    final_hands: hands,
+    outs: findOuts(request.hero, request.board)
+  };
+}
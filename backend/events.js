@@ -0,0 +1,125 @@
+import { serializeCards, DEFAULT_CARD_FORMAT } from './poker.js';
+
+const MAX_BUFFERED_EVENTS = 500;
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+export const EVENT_TYPES = {
+  HAND_STARTED: 'hand_started',
+  CARDS_DEALT: 'cards_dealt',
+  ACTION: 'action',
+  STREET_DEALT: 'street_dealt',
+  YOUR_TURN: 'your_turn',
+  SHOWDOWN: 'showdown',
+  PLAYER_JOINED: 'player_joined',
+  PLAYER_LEFT: 'player_left',
+  PLAYER_SAT_OUT: 'player_sat_out',
+  PLAYER_SAT_IN: 'player_sat_in',
+  TABLE_STATUS: 'table_status',
+  LEVEL_UP: 'level_up',
+  PLAYER_ELIMINATED: 'player_eliminated',
+  TOURNAMENT_COMPLETE: 'tournament_complete'
+};
+
+let sequence = 0;
+const buffers = new Map();
+const subscribers = new Map();
+
+function canSee(viewerId, event) {
+  return !event.to || event.to === viewerId;
+}
+
+function writeEvent(res, event, format) {
+  res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    seq: event.seq,
+    type: event.type,
+    table_id: event.table_id,
+    time: event.time,
+    ...serializeCards(event.data, format)
+  })}\n\n`);
+}
+
+// Events with a "to" id are private (hole cards, turn notices) and only reach that player's streams
+export function publishEvent(tableId, type, data = {}, to = null) {
+  const key = tableId.toString();
+  const event = {
+    seq: ++sequence,
+    type,
+    table_id: key,
+    time: new Date().toISOString(),
+    data,
+    to
+  };
+
+  if (!buffers.has(key)) buffers.set(key, []);
+  const buffer = buffers.get(key);
+  buffer.push(event);
+  if (buffer.length > MAX_BUFFERED_EVENTS) {
+    buffer.shift();
+  }
+
+  const tableSubscribers = subscribers.get(key);
+  if (tableSubscribers) {
+    for (const subscriber of tableSubscribers) {
+      if (canSee(subscriber.viewerId, event)) {
+        writeEvent(subscriber.res, event, subscriber.format);
+      }
+    }
+  }
+
+  console.log('[EVENTS]', type, '#' + event.seq, 'table', key, to ? '(private)' : '');
+  return event;
+}
+
+// Cards in the events are written in `format` (see serializeCards in poker.js)
+export function subscribe(tableId, viewerId, req, res, since = 0, format = DEFAULT_CARD_FORMAT) {
+  const key = tableId.toString();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: 2000\n\n`);
+
+  const buffer = buffers.get(key) || [];
+  const oldest = buffer.length > 0 ? buffer[0].seq : sequence + 1;
+  if (since > sequence) {
+    // The id is from before a server restart, when the sequence started again from 0
+    res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Event ' + since + ' is from before a server restart. Fetch the full state.' })}\n\n`);
+    since = 0;
+  } else if (since > 0 && since < oldest - 1) {
+    res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Events before seq ' + oldest + ' are no longer buffered. Fetch the full state.' })}\n\n`);
+  }
+  for (const event of buffer) {
+    if (event.seq > since && canSee(viewerId, event)) {
+      writeEvent(res, event, format);
+    }
+  }
+
+  const subscriber = { viewerId, res, format };
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(subscriber);
+  console.log('[EVENTS] Subscriber added to table', key, '- total:', subscribers.get(key).size);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const tableSubscribers = subscribers.get(key);
+    if (tableSubscribers) {
+      tableSubscribers.delete(subscriber);
+      if (tableSubscribers.size === 0) subscribers.delete(key);
+    }
+    console.log('[EVENTS] Subscriber left table', key);
+  });
+}
+
+// Drops a closed or deleted table's buffered events; open streams stay until their clients leave
+export function forgetTable(tableId) {
+  buffers.delete(tableId.toString());
+}
+
+export function currentSequence() {
+  return sequence;
+}
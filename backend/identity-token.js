@@ -0,0 +1,17 @@
+import dotenv from 'dotenv';
+import { signIdentityToken } from './identity.js';
+
+// Mints a token for the "token" identity provider:
+//   IDENTITY_TOKEN_SECRET=... npm run identity-token -- <agent-id> [name] [days-valid]
+dotenv.config();
+
+const [id, name = id, days] = process.argv.slice(2);
+const secret = process.env.IDENTITY_TOKEN_SECRET;
+
+if (!id || !secret) {
+  console.error('Usage: IDENTITY_TOKEN_SECRET=<secret> npm run identity-token -- <agent-id> [name] [days-valid]');
+  process.exit(1);
+}
+
+const exp = days ? Math.floor(Date.now() / 1000) + Math.round(Number(days) * 24 * 60 * 60) : undefined;
+console.log(signIdentityToken(secret, { sub: id, name, exp }));
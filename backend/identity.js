@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Identity providers turn a registration credential into { id, name } or null.
+// IDENTITY_PROVIDERS lists the enabled ones (default "moltbook"), e.g. "moltbook,allowlist,token".
+// Ids from providers other than Moltbook are prefixed with the provider name so they never collide.
+
+// Read when used rather than at import, so values from .env (loaded after imports) apply
+export function moltbookApiUrl() {
+  return process.env.MOLTBOOK_API_URL || 'https://www.moltbook.com/api/v1';
+}
+
+async function verifyMoltbookAgent(moltbookApiKey) {
+  console.log('[MOLTBOOK] Verifying agent with Moltbook API...');
+  console.log('[MOLTBOOK] API URL:', moltbookApiUrl());
+  console.log('[MOLTBOOK] Key prefix:', moltbookApiKey.substring(0, 12) + '...');
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 15000);
+
+  try {
+    console.log('[MOLTBOOK] Sending request...');
+    const startTime = Date.now();
+
+    const response = await fetch(`${moltbookApiUrl()}/agents/me`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${moltbookApiKey}`,
+        'Content-Type': 'application/json'
+      },
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+    const elapsed = Date.now() - startTime;
+    console.log('[MOLTBOOK] Response received in', elapsed, 'ms');
+    console.log('[MOLTBOOK] Response status:', response.status);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.log('[MOLTBOOK] Agent verification failed - status:', response.status);
+      console.log('[MOLTBOOK] Error response:', errorText);
+      return null;
+    }
+
+    const agentData = await response.json();
+    console.log('[MOLTBOOK] Agent verified:', JSON.stringify(agentData, null, 2));
+    return agentData;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (error.name === 'AbortError') {
+      console.log('[MOLTBOOK] ERROR: Request timed out after 15 seconds');
+      console.log('[MOLTBOOK] Moltbook API may be overloaded');
+    } else {
+      console.log('[MOLTBOOK] ERROR:', error.name, '-', error.message);
+    }
+    return null;
+  }
+}
+
+const moltbookProvider = {
+  name: 'moltbook',
+  credential_field: 'moltbook_api_key',
+  failure_message: 'Invalid Moltbook API key or agent not found',
+  async verify(credential) {
+    const agentData = await verifyMoltbookAgent(credential);
+    if (!agentData) return null;
+    const agent = agentData.agent || agentData;
+    return {
+      id: agent.id || agent.agent_id || agent._id,
+      name: agent.name || agent.username || 'Unknown Agent'
+    };
+  }
+};
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// IDENTITY_ALLOWLIST is a JSON list of { key, id, name } or the path to a file holding one
+function loadAllowlist() {
+  const source = process.env.IDENTITY_ALLOWLIST;
+  if (!source) return [];
+  const text = source.trim().startsWith('[') ? source : fs.readFileSync(source, 'utf8');
+  return JSON.parse(text)
+    .filter(entry => entry && entry.key && entry.id)
+    .map(entry => ({ keyHash: sha256(entry.key), id: String(entry.id), name: String(entry.name || entry.id) }));
+}
+
+const allowlistProvider = {
+  name: 'allowlist',
+  credential_field: 'access_key',
+  failure_message: 'Access key is not on this server\'s allow-list',
+  async verify(credential) {
+    const keyHash = sha256(credential);
+    const entry = loadAllowlist().find(candidate => crypto.timingSafeEqual(candidate.keyHash, keyHash));
+    return entry ? { id: entry.id, name: entry.name } : null;
+  }
+};
+
+function tokenSecret() {
+  return process.env.IDENTITY_TOKEN_SECRET || null;
+}
+
+function tokenSignature(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Tokens are base64url(JSON { sub, name, exp? }) + "." + base64url(HMAC-SHA256(secret, payload))
+export function signIdentityToken(secret, { sub, name, exp }) {
+  const payload = Buffer.from(JSON.stringify({ sub, name, ...(exp ? { exp } : {}) })).toString('base64url');
+  return `${payload}.${tokenSignature(secret, payload)}`;
+}
+
+export function verifyIdentityToken(secret, token, now = Date.now()) {
+  const [payload, signature, extra] = String(token).split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(tokenSignature(secret, payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!claims.sub || (claims.exp && claims.exp * 1000 < now)) return null;
+  return claims;
+}
+
+const tokenProvider = {
+  name: 'token',
+  credential_field: 'identity_token',
+  failure_message: 'Identity token is invalid, expired or not signed by this server',
+  async verify(credential) {
+    const secret = tokenSecret();
+    if (!secret) {
+      console.log('[IDENTITY] ERROR: token provider enabled without IDENTITY_TOKEN_SECRET');
+      return null;
+    }
+    const claims = verifyIdentityToken(secret, credential);
+    return claims ? { id: String(claims.sub), name: String(claims.name || claims.sub) } : null;
+  }
+};
+
+const PROVIDERS = {
+  moltbook: moltbookProvider,
+  allowlist: allowlistProvider,
+  token: tokenProvider
+};
+
+export const DEFAULT_PROVIDER = 'moltbook';
+
+export function enabledProviders() {
+  return (process.env.IDENTITY_PROVIDERS || DEFAULT_PROVIDER)
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => PROVIDERS[name]);
+}
+
+// An explicit provider wins; otherwise the request is matched by which credential field it sent
+export function pickProvider(body = {}) {
+  const enabled = enabledProviders();
+  const name = body.provider || enabled.find(candidate => body[PROVIDERS[candidate].credential_field]) || enabled[0];
+  return enabled.includes(name) ? PROVIDERS[name] : null;
+}
+
+export function accountIdFor(provider, identity) {
+  return provider.name === DEFAULT_PROVIDER ? identity.id : `${provider.name}:${identity.id}`;
+}
+
+export function describeProviders() {
+  return enabledProviders().map(name => ({ name, credential_field: PROVIDERS[name].credential_field }));
+}
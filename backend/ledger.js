@@ -0,0 +1,276 @@
+// Chip ledger. Every movement of chips is one transfer document { kind, from, to, amount, ... }
+// between two books, so each entry debits one book and credits another and the books always
+// sum to zero. Book names:
+//   house                      - issues chips (starting balances, admin adjustments) and takes write-offs
+//   wallet:<moltbook_id>       - an account balance
+//   stack:<table_id>:<id>      - a player's chips on a table
+//   pot:<table_id>             - chips in the hand being played at a table
+//   tournament:<id>            - buy-ins held for a tournament's prize pool
+//   tournament_chips:<id>      - issues a tournament's (prize-less) playing chips
+// Reconciliation compares every book's ledger balance with the balances actually stored. The
+// balances are kept in a checkpoint (ledger_checkpoints) so each run only reads newer entries.
+
+import { ObjectId } from 'mongodb';
+
+export const LEDGER_KINDS = {
+  STARTING_BALANCE: 'starting_balance',
+  OPENING_BALANCE: 'opening_balance',
+  ADMIN_ADJUSTMENT: 'admin_adjustment',
+  BUY_IN: 'buy_in',
+  REBUY: 'rebuy',
+  CASH_OUT: 'cash_out',
+  ANTE: 'ante',
+  BLIND: 'blind',
+  BET: 'bet',
+  POT_AWARD: 'pot_award',
+  UNCALLED_BET: 'uncalled_bet',
+  REFUND: 'refund',
+  TOURNAMENT_BUY_IN: 'tournament_buy_in',
+  TOURNAMENT_REFUND: 'tournament_refund',
+  TOURNAMENT_CHIPS: 'tournament_chips',
+  TOURNAMENT_PRIZE: 'tournament_prize',
+  WRITE_OFF: 'write_off'
+};
+
+export const HOUSE = 'house';
+
+export const books = {
+  wallet: moltbookId => `wallet:${moltbookId}`,
+  stack: (tableId, moltbookId) => `stack:${tableId}:${moltbookId}`,
+  pot: tableId => `pot:${tableId}`,
+  tournament: tournamentId => `tournament:${tournamentId}`,
+  tournamentChips: tournamentId => `tournament_chips:${tournamentId}`
+};
+
+// refs: { moltbook_id, table_id, tournament_id, hand_number, hand_id, reason, actor }
+export function transfer(kind, from, to, amount, refs = {}) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error(`Ledger transfers need a positive whole amount, got ${amount} for ${kind}`);
+  }
+  const entry = { kind, from, to, amount, at: new Date() };
+  for (const [key, value] of Object.entries(refs)) {
+    if (value !== undefined && value !== null) entry[key] = value;
+  }
+  return entry;
+}
+
+export async function recordTransfers(db, entries, session) {
+  const list = entries.filter(Boolean);
+  if (list.length === 0) return;
+  await db.collection('ledger').insertMany(list, session ? { session } : {});
+}
+
+// Stack and pot movements the engine reported for one table, as ledger entries
+export function handTransfers(table, game, moves) {
+  const tableId = table._id.toString();
+  return moves.map(move => {
+    const stack = books.stack(tableId, move.moltbook_id);
+    const pot = books.pot(tableId);
+    const [from, to] = move.to_pot ? [stack, pot] : [pot, stack];
+    return transfer(move.kind, from, to, move.amount, {
+      moltbook_id: move.moltbook_id,
+      table_id: table._id,
+      tournament_id: table.tournament_id,
+      hand_number: game.hand_number,
+      action: move.action
+    });
+  });
+}
+
+// How an entry changed one player's wallet and table stack
+export function describeForPlayer(entry, moltbookId) {
+  const change = book => (entry.to === book ? entry.amount : 0) - (entry.from === book ? entry.amount : 0);
+  return {
+    id: entry._id.toString(),
+    kind: entry.kind,
+    amount: entry.amount,
+    wallet_change: change(books.wallet(moltbookId)),
+    stack_change: entry.table_id ? change(books.stack(entry.table_id.toString(), moltbookId)) : 0,
+    from: entry.from,
+    to: entry.to,
+    table_id: entry.table_id?.toString() || null,
+    tournament_id: entry.tournament_id?.toString() || null,
+    hand_number: entry.hand_number ?? null,
+    hand_id: entry.hand_id || null,
+    action: entry.action || null,
+    reason: entry.reason || null,
+    at: entry.at
+  };
+}
+
+// Folds entries into book balances, starting from `balances` (which it updates) if given
+export function bookBalances(entries, balances = new Map()) {
+  let invalid = 0;
+  for (const entry of entries) {
+    if (!Number.isInteger(entry.amount) || entry.amount <= 0) invalid += 1;
+    balances.set(entry.from, (balances.get(entry.from) || 0) - entry.amount);
+    balances.set(entry.to, (balances.get(entry.to) || 0) + entry.amount);
+  }
+  return { balances, invalid };
+}
+
+// Every non-empty book implied by the stored accounts, tables and tournaments, with the ids it belongs to
+function storedBooks({ accounts, tables, tournaments }) {
+  const found = [];
+  for (const account of accounts) {
+    found.push({ book: books.wallet(account.moltbook_id), amount: account.balance || 0, refs: { moltbook_id: account.moltbook_id } });
+  }
+  for (const table of tables) {
+    const tableId = table._id.toString();
+    const refs = { table_id: table._id, tournament_id: table.tournament_id };
+    let chips = 0;
+    for (const seat of table.seats || []) {
+      if (!seat) continue;
+      found.push({ book: books.stack(tableId, seat.moltbook_id), amount: seat.stack || 0, refs: { ...refs, moltbook_id: seat.moltbook_id } });
+      chips += seat.stack || 0;
+    }
+    if (table.status === 'playing' && table.game) {
+      found.push({ book: books.pot(tableId), amount: table.game.pot || 0, refs: { ...refs, hand_number: table.game.hand_number } });
+      chips += table.game.pot || 0;
+    }
+    // Tournament chips are issued by their tournament, which is short by what is on the table
+    if (table.tournament_id) {
+      found.push({ book: books.tournamentChips(table.tournament_id.toString()), amount: -chips, refs: { tournament_id: table.tournament_id } });
+    }
+  }
+  for (const tournament of tournaments) {
+    if (tournament.status !== 'complete') {
+      found.push({ book: books.tournament(tournament._id.toString()), amount: tournament.prize_pool || 0, refs: { tournament_id: tournament._id } });
+    }
+  }
+  return found.filter(entry => entry.amount !== 0);
+}
+
+// What every book should hold according to the stored state
+export function expectedBalances(state) {
+  const expected = new Map();
+  for (const { book, amount } of storedBooks(state)) {
+    expected.set(book, (expected.get(book) || 0) + amount);
+  }
+  return expected;
+}
+
+// Entries that give every book its stored balance; used to open the books on a server that
+// already has accounts and tables from before the ledger existed
+export function openingTransfers(state) {
+  return storedBooks(state).map(({ book, amount, refs }) => amount > 0
+    ? transfer(LEDGER_KINDS.OPENING_BALANCE, HOUSE, book, amount, refs)
+    : transfer(LEDGER_KINDS.OPENING_BALANCE, book, HOUSE, -amount, refs));
+}
+
+export function compareBooks(ledger, expected) {
+  const discrepancies = [];
+  const names = new Set([...ledger.keys(), ...expected.keys()]);
+  names.delete(HOUSE);
+  for (const book of names) {
+    const recorded = ledger.get(book) || 0;
+    const actual = expected.get(book) || 0;
+    if (recorded !== actual) {
+      discrepancies.push({ book, ledger: recorded, actual, difference: actual - recorded });
+    }
+  }
+  return discrepancies.sort((a, b) => a.book.localeCompare(b.book));
+}
+
+export function summarizeBooks(balances) {
+  const totals = { issued: -(balances.get(HOUSE) || 0), wallets: 0, stacks: 0, pots: 0, tournament_escrow: 0, tournament_chips_in_play: 0 };
+  for (const [book, amount] of balances) {
+    if (book.startsWith('wallet:')) totals.wallets += amount;
+    else if (book.startsWith('stack:')) totals.stacks += amount;
+    else if (book.startsWith('pot:')) totals.pots += amount;
+    else if (book.startsWith('tournament_chips:')) totals.tournament_chips_in_play -= amount;
+    else if (book.startsWith('tournament:')) totals.tournament_escrow += amount;
+  }
+  return totals;
+}
+
+async function loadState(db) {
+  const [accounts, tables, tournaments] = await Promise.all([
+    db.collection('accounts').find({}, { projection: { moltbook_id: 1, balance: 1 } }).toArray(),
+    db.collection('tables').find({}, { projection: { seats: 1, status: 1, 'game.pot': 1, 'game.hand_number': 1, tournament_id: 1 } }).toArray(),
+    db.collection('tournaments').find({}, { projection: { status: 1, prize_pool: 1 } }).toArray()
+  ]);
+  return { accounts, tables, tournaments };
+}
+
+// Entries younger than this may belong to a transaction that is still committing, and one
+// that started earlier can still add entries with lower ids, so the checkpoint stays behind them
+const CHECKPOINT_LAG_MS = 60 * 1000;
+const CHECKPOINT_ID = 'books';
+
+// Book balances from the checkpoint plus the entries after it. The checkpoint moves up to the
+// entries older than checkpointLagMs.
+async function loadBooks(db, { checkpointLagMs = CHECKPOINT_LAG_MS } = {}) {
+  const checkpoints = db.collection('ledger_checkpoints');
+  const checkpoint = await checkpoints.findOne({ _id: CHECKPOINT_ID });
+  const balances = new Map((checkpoint?.balances || []).map(({ book, amount }) => [book, amount]));
+  let entries = checkpoint?.entries || 0;
+  let invalid = checkpoint?.invalid || 0;
+
+  const newer = await db.collection('ledger')
+    .find(checkpoint ? { _id: { $gt: checkpoint.through } } : {}, { projection: { from: 1, to: 1, amount: 1 } })
+    .sort({ _id: 1 })
+    .toArray();
+  const cutoff = ObjectId.createFromTime(Math.floor((Date.now() - checkpointLagMs) / 1000)).toHexString();
+  const settled = newer.filter(entry => entry._id.toHexString() < cutoff);
+
+  if (settled.length > 0) {
+    invalid += bookBalances(settled, balances).invalid;
+    entries += settled.length;
+    await checkpoints.updateOne({ _id: CHECKPOINT_ID }, {
+      $set: {
+        through: settled[settled.length - 1]._id,
+        entries,
+        invalid,
+        balances: [...balances].filter(([, amount]) => amount !== 0).map(([book, amount]) => ({ book, amount })),
+        updated_at: new Date()
+      }
+    }, { upsert: true });
+  }
+
+  const recent = newer.slice(settled.length);
+  invalid += bookBalances(recent, balances).invalid;
+  entries += recent.length;
+  return { entries, read: newer.length, invalid, balances, expected: expectedBalances(await loadState(db)) };
+}
+
+export async function openBooks(db) {
+  if (await db.collection('ledger').countDocuments({}) > 0) return 0;
+  const entries = openingTransfers(await loadState(db));
+  await recordTransfers(db, entries);
+  return entries.length;
+}
+
+/**
+ * Compares every book's ledger balance with the stored account balances, seat stacks, pots and
+ * prize pools, and checks that the chips stored add up to what the house has issued. Reads are
+ * not one snapshot, so a chip movement landing between them can look like a discrepancy; only
+ * books that still disagree by the same amount on a second pass `confirmAfterMs` later are
+ * reported.
+ */
+export async function reconcile(db, { confirmAfterMs = 3000, checkpointLagMs } = {}) {
+  let pass = await loadBooks(db, { checkpointLagMs });
+  let discrepancies = compareBooks(pass.balances, pass.expected);
+
+  if (discrepancies.length > 0 && confirmAfterMs > 0) {
+    await new Promise(resolve => setTimeout(resolve, confirmAfterMs));
+    const first = new Map(discrepancies.map(d => [d.book, d.difference]));
+    pass = await loadBooks(db, { checkpointLagMs });
+    discrepancies = compareBooks(pass.balances, pass.expected).filter(d => first.get(d.book) === d.difference);
+  }
+
+  const totals = summarizeBooks(pass.balances);
+  // Tournament stacks cancel against their tournament_chips book, so this is real chips only
+  const held = [...pass.expected.values()].reduce((sum, amount) => sum + amount, 0);
+  return {
+    checked_at: new Date(),
+    ok: discrepancies.length === 0 && pass.invalid === 0 && held === totals.issued,
+    entries: pass.entries,
+    entries_read: pass.read,
+    invalid_entries: pass.invalid,
+    conserved: held === totals.issued,
+    chips_held: held,
+    totals,
+    discrepancies
+  };
+}
@@ -0,0 +1,457 @@
+import fs from 'fs/promises';
+import { writeFileSync, renameSync } from 'fs';
+import { ObjectId, BSON } from 'mongodb';
+
+// In-memory stand-in for the small part of the MongoDB driver API the server uses:
+// collection().findOne/find/insertOne/insertMany/updateOne/updateMany (with upsert)/deleteMany
+// with the query and update operators that appear in server.js. Documents are copied in and
+// out so callers can never mutate stored state by accident. With a file path the data is saved
+// as Extended JSON shortly after a write (writes close together share one save) and loaded
+// again on start.
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    const copy = {};
+    for (const [key, inner] of Object.entries(value)) {
+      if (inner !== undefined) copy[key] = clone(inner);
+    }
+    return copy;
+  }
+  return value;
+}
+
+function comparable(value) {
+  if (value instanceof ObjectId) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function equals(a, b) {
+  if (a === null || a === undefined) return b === null || b === undefined;
+  if (b === null || b === undefined) return false;
+  if (a instanceof ObjectId || b instanceof ObjectId || a instanceof Date || b instanceof Date) {
+    return comparable(a) === comparable(b);
+  }
+  if (typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(BSON.EJSON.serialize(a)) === JSON.stringify(BSON.EJSON.serialize(b));
+  }
+  return a === b;
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+// Values at a dotted path; arrays along the way fan out like Mongo's implicit array traversal
+function resolvePath(doc, path) {
+  let values = [doc];
+  for (const part of path.split('.')) {
+    const next = [];
+    for (const value of values) {
+      if (value === null || value === undefined) continue;
+      if (Array.isArray(value) && !/^\d+$/.test(part)) {
+        for (const item of value) {
+          if (item && typeof item === 'object') next.push(item[part]);
+        }
+      } else {
+        next.push(value[part]);
+      }
+    }
+    values = next;
+  }
+  return values;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, part) => value == null ? undefined : value[part], doc);
+}
+
+function isOperatorObject(value) {
+  return value && typeof value === 'object' && value.constructor === Object &&
+    Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+function matchesCondition(values, condition) {
+  const candidates = values.flatMap(value => Array.isArray(value) ? [value, ...value] : [value]);
+  if (!isOperatorObject(condition)) {
+    return candidates.some(value => equals(value, condition)) || (candidates.length === 0 && condition === null);
+  }
+
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$eq': return matchesCondition(values, operand);
+      case '$ne': return !matchesCondition(values, operand);
+      case '$gt': return candidates.some(value => value != null && compare(value, operand) > 0);
+      case '$gte': return candidates.some(value => value != null && compare(value, operand) >= 0);
+      case '$lt': return candidates.some(value => value != null && compare(value, operand) < 0);
+      case '$lte': return candidates.some(value => value != null && compare(value, operand) <= 0);
+      case '$in': return operand.some(option => matchesCondition(values, option));
+      case '$nin': return !operand.some(option => matchesCondition(values, option));
+      case '$exists': return values.some(value => value !== undefined) === Boolean(operand);
+      case '$regex': {
+        const pattern = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+        return candidates.some(value => typeof value === 'string' && pattern.test(value));
+      }
+      case '$options': return true;
+      default: throw new Error(`Unsupported query operator ${op}`);
+    }
+  });
+}
+
+function evaluateExpression(doc, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (isOperatorObject(expression)) {
+    const [[op, args]] = Object.entries(expression);
+    const [a, b] = args.map(arg => evaluateExpression(doc, arg));
+    switch (op) {
+      case '$eq': return equals(a, b);
+      case '$ne': return !equals(a, b);
+      case '$gt': return compare(a, b) > 0;
+      case '$gte': return compare(a, b) >= 0;
+      case '$lt': return compare(a, b) < 0;
+      case '$lte': return compare(a, b) <= 0;
+      default: throw new Error(`Unsupported expression operator ${op}`);
+    }
+  }
+  return expression;
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    switch (key) {
+      case '$or': return condition.some(inner => matches(doc, inner));
+      case '$and': return condition.every(inner => matches(doc, inner));
+      case '$nor': return !condition.some(inner => matches(doc, inner));
+      case '$expr': return Boolean(evaluateExpression(doc, condition));
+      default: return matchesCondition(resolvePath(doc, key), condition);
+    }
+  });
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split('.');
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] === null || target[part] === undefined) target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const parts = path.split('.');
+  const parent = getPath(doc, parts.slice(0, -1).join('.')) ?? (parts.length === 1 ? doc : undefined);
+  if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+}
+
+// Applies the update in place and returns whether it changed anything
+function applyUpdate(doc, update) {
+  let changed = false;
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+      switch (op) {
+        case '$set':
+          if (current !== undefined && equals(current, value)) break;
+          setPath(doc, path, clone(value));
+          changed = true;
+          break;
+        case '$unset':
+          if (current === undefined) break;
+          unsetPath(doc, path);
+          changed = true;
+          break;
+        case '$inc':
+          if (current !== undefined && value === 0) break;
+          setPath(doc, path, (current || 0) + value);
+          changed = true;
+          break;
+        case '$max':
+          if (current !== undefined && current !== null && compare(value, current) <= 0) break;
+          setPath(doc, path, clone(value));
+          changed = true;
+          break;
+        case '$push': {
+          const items = value && value.$each ? value.$each : [value];
+          if (current !== undefined && items.length === 0) break;
+          setPath(doc, path, [...(current || []), ...items.map(clone)]);
+          changed = true;
+          break;
+        }
+        case '$pull': {
+          const list = current || [];
+          const remove = item => value && typeof value === 'object' && !(value instanceof ObjectId) && !isOperatorObject(value)
+            ? matches(item, value)
+            : matchesCondition([item], value);
+          const kept = list.filter(item => !remove(item));
+          if (kept.length === list.length) break;
+          setPath(doc, path, kept);
+          changed = true;
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${op}`);
+      }
+    }
+  }
+  return changed;
+}
+
+function project(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+  const entries = Object.entries(projection);
+  // { _id: 1 } on its own picks just the id; otherwise _id never decides the projection's kind
+  const including = entries.some(([key, value]) => key !== '_id' && value) || (entries.length === 1 && Boolean(projection._id));
+
+  if (!including) {
+    const copy = clone(doc);
+    for (const [key] of entries) unsetPath(copy, key);
+    return copy;
+  }
+
+  const copy = {};
+  if (projection._id !== 0) copy._id = doc._id;
+  for (const [key, value] of entries) {
+    if (!value || key === '_id') continue;
+    const found = getPath(doc, key);
+    if (found !== undefined) setPath(copy, key, found);
+  }
+  return copy;
+}
+
+class MemoryCursor {
+  constructor(loadDocs, projection) {
+    this.loadDocs = loadDocs;
+    this.projection = projection;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = 0;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  project(projection) {
+    this.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    let docs = this.loadDocs();
+    if (this.sortSpec) {
+      const keys = Object.entries(this.sortSpec);
+      docs.sort((a, b) => {
+        for (const [key, direction] of keys) {
+          const order = compare(getPath(a, key), getPath(b, key)) * direction;
+          if (order !== 0) return order;
+        }
+        return 0;
+      });
+    }
+    docs = docs.slice(this.skipCount, this.limitCount ? this.skipCount + this.limitCount : undefined);
+    return docs.map(doc => clone(project(doc, this.projection)));
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class MemoryCollection {
+  constructor(store, name) {
+    this.store = store;
+    this.name = name;
+  }
+
+  get docs() {
+    if (!this.store.collections[this.name]) this.store.collections[this.name] = [];
+    return this.store.collections[this.name];
+  }
+
+  find(query = {}, options = {}) {
+    return new MemoryCursor(() => this.docs.filter(doc => matches(doc, query)), options.projection);
+  }
+
+  async findOne(query = {}, options = {}) {
+    const [doc] = await this.find(query, options).sort(options.sort || null).limit(1).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(query = {}) {
+    return this.docs.filter(doc => matches(doc, query)).length;
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    if (this.docs.some(existing => equals(existing._id, doc._id))) {
+      throw new Error(`E11000 duplicate key error collection: ${this.name} _id: ${doc._id}`);
+    }
+    this.docs.push(clone(doc));
+    this.store.changed();
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async updateOne(query, update, options = {}) {
+    return this.update(query, update, false, options);
+  }
+
+  async updateMany(query, update, options = {}) {
+    return this.update(query, update, true, options);
+  }
+
+  update(query, update, many, { upsert = false } = {}) {
+    const targets = this.docs.filter(doc => matches(doc, query));
+    const selected = many ? targets : targets.slice(0, 1);
+    let modifiedCount = 0;
+
+    // Like Mongo, an upsert starts from the query's plain equality fields
+    if (selected.length === 0 && upsert) {
+      const doc = { _id: new ObjectId() };
+      for (const [path, value] of Object.entries(query)) {
+        if (!path.startsWith('$') && !isOperatorObject(value)) setPath(doc, path, clone(value));
+      }
+      applyUpdate(doc, update);
+      this.docs.push(doc);
+      this.store.changed();
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+
+    for (const doc of selected) {
+      if (applyUpdate(doc, update)) modifiedCount += 1;
+    }
+    if (modifiedCount > 0) this.store.changed();
+    return { acknowledged: true, matchedCount: selected.length, modifiedCount };
+  }
+
+  async deleteOne(query) {
+    const index = this.docs.findIndex(doc => matches(doc, query));
+    if (index === -1) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(index, 1);
+    this.store.changed();
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(query = {}) {
+    const keep = this.docs.filter(doc => !matches(doc, query));
+    const deletedCount = this.docs.length - keep.length;
+    this.store.collections[this.name] = keep;
+    if (deletedCount > 0) this.store.changed();
+    return { acknowledged: true, deletedCount };
+  }
+}
+
+// Writes within this long of the first unsaved one are saved together
+const SAVE_DELAY_MS = 200;
+
+class MemoryDb {
+  constructor(file) {
+    this.file = file;
+    this.collections = {};
+    this.saving = Promise.resolve();
+    this.saveTimer = null;
+    this.unsaved = false;
+    this.writing = 0;
+  }
+
+  async load() {
+    if (!this.file) return;
+    try {
+      this.collections = BSON.EJSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  changed() {
+    if (!this.file) return;
+    this.unsaved = true;
+    if (!this.saveTimer) this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+  }
+
+  // Saves are chained so the file always ends with the latest state
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.unsaved = false;
+    this.writing += 1;
+    const snapshot = BSON.EJSON.stringify(this.collections);
+    this.saving = this.saving
+      .then(() => fs.writeFile(`${this.file}.tmp`, snapshot))
+      .then(() => fs.rename(`${this.file}.tmp`, this.file))
+      .catch(error => console.log('[DB] ERROR: Could not save', this.file, '-', error.message))
+      .finally(() => { this.writing -= 1; });
+  }
+
+  // For a process that is about to stop and cannot wait for a pending or unfinished save
+  saveNow() {
+    if (!this.unsaved && this.writing === 0) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.unsaved = false;
+    try {
+      writeFileSync(`${this.file}.exit.tmp`, BSON.EJSON.stringify(this.collections));
+      renameSync(`${this.file}.exit.tmp`, this.file);
+    } catch (error) {
+      console.log('[DB] ERROR: Could not save', this.file, '-', error.message);
+    }
+  }
+
+  collection(name) {
+    return new MemoryCollection(this, name);
+  }
+
+  async command(command) {
+    if (command.ping) return { ok: 1 };
+    throw new Error(`Unsupported command ${Object.keys(command)[0]}`);
+  }
+
+  async flush() {
+    if (this.saveTimer) this.save();
+    await this.saving;
+  }
+}
+
+export async function createMemoryDb(file = null) {
+  const db = new MemoryDb(file);
+  await db.load();
+  if (file) {
+    // Writes still waiting for their save are written out before the process stops
+    process.on('exit', () => db.saveNow());
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, () => {
+        db.saveNow();
+        process.kill(process.pid, signal);
+      });
+    }
+  }
+  return db;
+}
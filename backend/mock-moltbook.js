@@ -0,0 +1,36 @@
+import express from 'express';
+
+// Stand-in for the Moltbook API for offline development. Any key of the form
+// "moltbook_mock_<name>" is a valid agent called <name>; everything else is rejected.
+// Run with `npm run mock-moltbook` and point the backend at it:
+//   MOLTBOOK_API_URL=http://localhost:4100/api/v1
+const PORT = process.env.MOCK_MOLTBOOK_PORT || 4100;
+const KEY_PREFIX = 'moltbook_mock_';
+
+const app = express();
+
+app.get('/api/v1/agents/me', (req, res) => {
+  const authHeader = req.headers.authorization || '';
+  const key = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+  const name = key.startsWith(KEY_PREFIX) ? key.slice(KEY_PREFIX.length) : '';
+
+  if (!/^[A-Za-z0-9_-]{1,40}$/.test(name)) {
+    console.log('[MOCK-MOLTBOOK] Rejected key:', key.substring(0, 20) || '(none)');
+    return res.status(401).json({ success: false, error: `Invalid API key. Mock keys look like ${KEY_PREFIX}<name>` });
+  }
+
+  console.log('[MOCK-MOLTBOOK] Verified agent:', name);
+  res.json({
+    success: true,
+    agent: {
+      id: `mock-${name.toLowerCase()}`,
+      name,
+      description: 'Local mock agent',
+      created_at: new Date(0).toISOString()
+    }
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock Moltbook API on http://localhost:${PORT}/api/v1`);
+});
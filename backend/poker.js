@@ -1,3 +1,20 @@
+import crypto from 'crypto';
+
+// The deck and showdown helpers narrate each deal for the server's log. Callers that play
+// hands in bulk, like the simulator, switch that off with setPokerLogging(false).
+let logging = true;
+
+/** Turns the deck and showdown log lines on or off; returns whether they were on. */
+export function setPokerLogging(enabled) {
+  const previous = logging;
+  logging = enabled;
+  return previous;
+}
+
+function log(...args) {
+  if (logging) console.log(...args);
+}
+
 const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
 const RANK_VALUES = { '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14 };
@@ -29,219 +46,327 @@ const HAND_NAMES = {
 };
 
 export function createDeck() {
-  console.log('[DECK] Creating new deck...');
+  log('[DECK] Creating new deck...');
   const deck = [];
   for (const suit of SUITS) {
     for (const rank of RANKS) {
       deck.push({ suit, rank, value: RANK_VALUES[rank] });
     }
   }
-  console.log('[DECK] Created deck with', deck.length, 'cards');
+  log('[DECK] Created deck with', deck.length, 'cards');
   return deck;
 }
 
-export function shuffleDeck(deck) {
-  console.log('[DECK] Shuffling deck...');
+// Deterministic integers from a seed: HMAC-SHA256(seed, counter) blocks, rejection-sampled to avoid modulo bias
+function seededRandomInt(seed) {
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+  const nextUint32 = () => {
+    if (buffer.length < 4) {
+      buffer = Buffer.concat([buffer, crypto.createHmac('sha256', seed).update(String(counter++)).digest()]);
+    }
+    const value = buffer.readUInt32BE(0);
+    buffer = buffer.subarray(4);
+    return value;
+  };
+
+  return (max) => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value;
+    do {
+      value = nextUint32();
+    } while (value >= limit);
+    return value % max;
+  };
+}
+
+// Without a seed the shuffle uses crypto randomness; with one it is reproducible for verification
+export function shuffleDeck(deck, seed = null) {
+  log('[DECK] Shuffling deck...', seed === null ? '' : '(seeded)');
+  const randomInt = seed === null ? (max) => crypto.randomInt(max) : seededRandomInt(seed);
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = randomInt(i + 1);
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
-  console.log('[DECK] Deck shuffled');
+  log('[DECK] Deck shuffled');
   return shuffled;
 }
 
+export function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+export function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// The shuffle seed mixes the secret server seed with the players' seeds and the hand number
+export function combineSeeds(serverSeed, clientSeed, handNumber) {
+  return crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${handNumber}`).digest('hex');
+}
+
+export function createSeededDeck(serverSeed, clientSeed, handNumber) {
+  return shuffleDeck(createDeck(), combineSeeds(serverSeed, clientSeed, handNumber));
+}
+
+// Mirrors the deal order of a hand: two hole cards per player in seat order, then flop, turn and river
+export function replayDeal(deck, playerCount) {
+  const remaining = [...deck];
+  const holeCards = [];
+  for (let i = 0; i < playerCount; i++) {
+    holeCards.push(remaining.splice(0, 2));
+  }
+  return { hole_cards: holeCards, board: remaining.splice(0, 5) };
+}
+
 export function dealCards(deck, count) {
-  console.log('[DECK] Dealing', count, 'cards...');
+  log('[DECK] Dealing', count, 'cards...');
   const dealt = deck.splice(0, count);
-  console.log('[DECK] Dealt:', dealt.map(c => `${c.rank}${c.suit[0]}`).join(', '));
-  console.log('[DECK] Remaining cards:', deck.length);
+  log('[DECK] Dealt:', dealt.map(c => `${c.rank}${c.suit[0]}`).join(', '));
+  log('[DECK] Remaining cards:', deck.length);
   return dealt;
 }
 
+const SUIT_EMOJIS = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
+const SUIT_LETTERS = { hearts: 'h', diamonds: 'd', clubs: 'c', spades: 's' };
+
 export function cardToString(card) {
-  const suitEmojis = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
-  return `${card.rank}${suitEmojis[card.suit]}`;
+  return `${card.rank}${SUIT_EMOJIS[card.suit]}`;
 }
 
 export function cardsToString(cards) {
   return cards.map(cardToString).join(' ');
 }
 
-function getCounts(cards) {
-  const counts = {};
-  for (const card of cards) {
-    counts[card.rank] = (counts[card.rank] || 0) + 1;
+// How cards are written in API responses and events: "A♠" (emoji, the default), "As" (short,
+// with T for ten) or { rank, suit } (json, rank as in RANKS and the suit's name)
+export const CARD_FORMATS = ['emoji', 'short', 'json'];
+export const DEFAULT_CARD_FORMAT = 'emoji';
+
+export function formatCard(card, format = DEFAULT_CARD_FORMAT) {
+  switch (format) {
+    case 'short': return `${card.rank === '10' ? 'T' : card.rank}${SUIT_LETTERS[card.suit]}`;
+    case 'json': return { rank: card.rank, suit: card.suit };
+    default: return cardToString(card);
   }
-  return counts;
 }
 
-function getSuitCounts(cards) {
-  const counts = {};
-  for (const card of cards) {
-    counts[card.suit] = (counts[card.suit] || 0) + 1;
-  }
-  return counts;
+function isCard(value) {
+  return SUITS.includes(value.suit) && RANK_VALUES[value.rank] !== undefined &&
+    Object.keys(value).every(key => key === 'suit' || key === 'rank' || key === 'value');
 }
 
-function getFlush(cards) {
-  const suitCounts = getSuitCounts(cards);
-  for (const [suit, count] of Object.entries(suitCounts)) {
-    if (count >= 5) {
-      return cards.filter(c => c.suit === suit).sort((a, b) => b.value - a.value).slice(0, 5);
-    }
+/**
+ * Copies a response body or event payload with every card object in it written in `format`.
+ * Handlers and the engine keep cards as { suit, rank, value } and leave the choice to this.
+ */
+export function serializeCards(value, format = DEFAULT_CARD_FORMAT) {
+  if (Array.isArray(value)) return value.map(item => serializeCards(item, format));
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    if (isCard(value)) return formatCard(value, format);
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, serializeCards(inner, format)]));
   }
-  return null;
+  return value;
 }
 
-function getStraight(cards) {
-  const uniqueValues = [...new Set(cards.map(c => c.value))].sort((a, b) => b - a);
-
-  if (uniqueValues.includes(14)) {
-    uniqueValues.push(1);
+// Hand evaluation works on card codes (rank index 0-12 for 2..A, times 4, plus suit index) and
+// 13-bit rank masks, with every per-mask answer precomputed, so scoring seven cards is a handful
+// of array lookups. A score packs the category and up to five tiebreak ranks into one integer:
+// category << 20 | r1 << 16 | r2 << 12 | r3 << 8 | r4 << 4 | r5, rank values 2-14.
+// Higher scores win and equal scores tie, so hands compare with plain subtraction.
+
+const SUIT_INDEX = Object.fromEntries(SUITS.map((suit, index) => [suit, index]));
+const RANK_WORDS = { 2: 'Two', 3: 'Three', 4: 'Four', 5: 'Five', 6: 'Six', 7: 'Seven', 8: 'Eight', 9: 'Nine', 10: 'Ten', 11: 'Jack', 12: 'Queen', 13: 'King', 14: 'Ace' };
+const RANK_PLURALS = { ...Object.fromEntries(Object.entries(RANK_WORDS).map(([value, word]) => [value, `${word}s`])), 6: 'Sixes' };
+
+// Per 13-bit rank mask: number of ranks, rank values from highest down, and the high card of the best straight (5 for the wheel)
+const MASK_COUNT = new Uint8Array(8192);
+const MASK_RANKS = new Array(8192);
+const STRAIGHT_HIGH = new Uint8Array(8192);
+
+for (let mask = 0; mask < 8192; mask++) {
+  const ranks = [];
+  for (let index = 12; index >= 0; index--) {
+    if (mask & (1 << index)) ranks.push(index + 2);
   }
-
-  for (let i = 0; i <= uniqueValues.length - 5; i++) {
-    let consecutive = true;
-    for (let j = 0; j < 4; j++) {
-      if (uniqueValues[i + j] - uniqueValues[i + j + 1] !== 1) {
-        consecutive = false;
-        break;
-      }
-    }
-    if (consecutive) {
-      const straightHighValue = uniqueValues[i];
-      const straightCards = [];
-      for (let v = straightHighValue; v > straightHighValue - 5; v--) {
-        const actualValue = v === 1 ? 14 : v;
-        const card = cards.find(c => c.value === actualValue && !straightCards.includes(c));
-        if (card) straightCards.push(card);
-      }
-      return straightCards;
+  MASK_COUNT[mask] = ranks.length;
+  MASK_RANKS[mask] = ranks;
+  for (let high = 12; high >= 3; high--) {
+    const run = high === 3 ? 0b1000000001111 : 0b11111 << (high - 4);
+    if ((mask & run) === run) {
+      STRAIGHT_HIGH[mask] = high + 2;
+      break;
     }
   }
-  return null;
 }
 
-function getStraightFlush(cards) {
-  const suitCounts = getSuitCounts(cards);
-  for (const [suit, count] of Object.entries(suitCounts)) {
-    if (count >= 5) {
-      const suitCards = cards.filter(c => c.suit === suit);
-      const straight = getStraight(suitCards);
-      if (straight) return straight;
-    }
-  }
-  return null;
+function packScore(category, ranks) {
+  let score = category;
+  for (let i = 0; i < 5; i++) score = score * 16 + (ranks[i] || 0);
+  return score;
 }
 
-export function evaluateHand(holeCards, communityCards) {
-  const allCards = [...holeCards, ...communityCards];
-  console.log('[HAND_EVAL] Evaluating hand:', cardsToString(holeCards), '+ community:', cardsToString(communityCards));
+export function cardCode(card) {
+  return (card.value - 2) * 4 + SUIT_INDEX[card.suit];
+}
 
-  if (allCards.length < 5) {
-    console.log('[HAND_EVAL] Not enough cards to evaluate');
-    return { ranking: 0, name: 'Incomplete', cards: [], kickers: [] };
+/**
+ * Scores up to seven card codes. Returns the packed score; the category is score >> 20 and the
+ * tiebreak ranks are the nibbles below it. With fewer than five cards only pairs, trips, quads
+ * and high cards can show. No logging: this is the hot path for equity.
+ */
+export function scoreCodes(codes) {
+  const suitMasks = [0, 0, 0, 0];
+  const counts = new Uint8Array(13);
+  let rankMask = 0;
+  for (const code of codes) {
+    const rank = code >> 2;
+    suitMasks[code & 3] |= 1 << rank;
+    counts[rank]++;
+    rankMask |= 1 << rank;
   }
 
-  const counts = getCounts(allCards);
-  const countValues = Object.entries(counts).sort((a, b) => {
-    if (b[1] !== a[1]) return b[1] - a[1];
-    return RANK_VALUES[b[0]] - RANK_VALUES[a[0]];
-  });
-
-  const straightFlush = getStraightFlush(allCards);
-  if (straightFlush) {
-    if (straightFlush[0].value === 14) {
-      console.log('[HAND_EVAL] ROYAL FLUSH!');
-      return { ranking: HAND_RANKINGS.ROYAL_FLUSH, name: 'Royal Flush', cards: straightFlush, kickers: [] };
-    }
-    console.log('[HAND_EVAL] Straight Flush:', cardsToString(straightFlush));
-    return { ranking: HAND_RANKINGS.STRAIGHT_FLUSH, name: 'Straight Flush', cards: straightFlush, kickers: [] };
+  let flushMask = 0;
+  for (const mask of suitMasks) {
+    if (MASK_COUNT[mask] >= 5) flushMask = mask;
   }
-
-  if (countValues[0][1] === 4) {
-    const quadRank = countValues[0][0];
-    const quads = allCards.filter(c => c.rank === quadRank);
-    const kicker = allCards.filter(c => c.rank !== quadRank).sort((a, b) => b.value - a.value)[0];
-    console.log('[HAND_EVAL] Four of a Kind:', quadRank);
-    return { ranking: HAND_RANKINGS.FOUR_OF_A_KIND, name: 'Four of a Kind', cards: quads, kickers: [kicker] };
+  if (flushMask) {
+    const high = STRAIGHT_HIGH[flushMask];
+    if (high) return packScore(high === 14 ? HAND_RANKINGS.ROYAL_FLUSH : HAND_RANKINGS.STRAIGHT_FLUSH, [high]);
   }
 
-  if (countValues[0][1] === 3 && countValues[1] && countValues[1][1] >= 2) {
-    const tripRank = countValues[0][0];
-    const pairRank = countValues[1][0];
-    const trips = allCards.filter(c => c.rank === tripRank).slice(0, 3);
-    const pair = allCards.filter(c => c.rank === pairRank).slice(0, 2);
-    console.log('[HAND_EVAL] Full House:', tripRank, 'full of', pairRank);
-    return { ranking: HAND_RANKINGS.FULL_HOUSE, name: 'Full House', cards: [...trips, ...pair], kickers: [] };
+  let quads = 0;
+  let tripsMask = 0;
+  let pairsMask = 0;
+  for (let rank = 0; rank < 13; rank++) {
+    if (counts[rank] === 4) quads = rank + 2;
+    else if (counts[rank] === 3) tripsMask |= 1 << rank;
+    else if (counts[rank] === 2) pairsMask |= 1 << rank;
   }
 
-  const flush = getFlush(allCards);
-  if (flush) {
-    console.log('[HAND_EVAL] Flush:', cardsToString(flush));
-    return { ranking: HAND_RANKINGS.FLUSH, name: 'Flush', cards: flush, kickers: [] };
+  if (quads) {
+    const kicker = MASK_RANKS[rankMask & ~(1 << (quads - 2))][0];
+    return packScore(HAND_RANKINGS.FOUR_OF_A_KIND, [quads, kicker]);
   }
-
-  const straight = getStraight(allCards);
-  if (straight) {
-    console.log('[HAND_EVAL] Straight:', cardsToString(straight));
-    return { ranking: HAND_RANKINGS.STRAIGHT, name: 'Straight', cards: straight, kickers: [] };
+  if (tripsMask) {
+    const [trips, secondTrips] = MASK_RANKS[tripsMask];
+    // With two sets of trips the lower one plays as the pair
+    const pair = Math.max(secondTrips || 0, MASK_RANKS[pairsMask][0] || 0);
+    if (pair) return packScore(HAND_RANKINGS.FULL_HOUSE, [trips, pair]);
   }
-
-  if (countValues[0][1] === 3) {
-    const tripRank = countValues[0][0];
-    const trips = allCards.filter(c => c.rank === tripRank);
-    const kickers = allCards.filter(c => c.rank !== tripRank).sort((a, b) => b.value - a.value).slice(0, 2);
-    console.log('[HAND_EVAL] Three of a Kind:', tripRank);
-    return { ranking: HAND_RANKINGS.THREE_OF_A_KIND, name: 'Three of a Kind', cards: trips, kickers };
+  if (flushMask) {
+    return packScore(HAND_RANKINGS.FLUSH, MASK_RANKS[flushMask]);
   }
-
-  if (countValues[0][1] === 2 && countValues[1] && countValues[1][1] === 2) {
-    const highPairRank = countValues[0][0];
-    const lowPairRank = countValues[1][0];
-    const highPair = allCards.filter(c => c.rank === highPairRank).slice(0, 2);
-    const lowPair = allCards.filter(c => c.rank === lowPairRank).slice(0, 2);
-    const kicker = allCards.filter(c => c.rank !== highPairRank && c.rank !== lowPairRank).sort((a, b) => b.value - a.value)[0];
-    console.log('[HAND_EVAL] Two Pair:', highPairRank, 'and', lowPairRank);
-    return { ranking: HAND_RANKINGS.TWO_PAIR, name: 'Two Pair', cards: [...highPair, ...lowPair], kickers: kicker ? [kicker] : [] };
+  const straightHigh = STRAIGHT_HIGH[rankMask];
+  if (straightHigh) {
+    return packScore(HAND_RANKINGS.STRAIGHT, [straightHigh]);
   }
-
-  if (countValues[0][1] === 2) {
-    const pairRank = countValues[0][0];
-    const pair = allCards.filter(c => c.rank === pairRank);
-    const kickers = allCards.filter(c => c.rank !== pairRank).sort((a, b) => b.value - a.value).slice(0, 3);
-    console.log('[HAND_EVAL] One Pair:', pairRank);
-    return { ranking: HAND_RANKINGS.ONE_PAIR, name: 'One Pair', cards: pair, kickers };
+  if (tripsMask) {
+    const trips = MASK_RANKS[tripsMask][0];
+    return packScore(HAND_RANKINGS.THREE_OF_A_KIND, [trips, ...MASK_RANKS[rankMask & ~(1 << (trips - 2))].slice(0, 2)]);
+  }
+  const pairs = MASK_RANKS[pairsMask];
+  if (pairs.length >= 2) {
+    const [high, low] = pairs;
+    const kicker = MASK_RANKS[rankMask & ~(1 << (high - 2)) & ~(1 << (low - 2))][0];
+    return packScore(HAND_RANKINGS.TWO_PAIR, [high, low, kicker]);
   }
+  if (pairs.length === 1) {
+    return packScore(HAND_RANKINGS.ONE_PAIR, [pairs[0], ...MASK_RANKS[rankMask & ~(1 << (pairs[0] - 2))].slice(0, 3)]);
+  }
+  return packScore(HAND_RANKINGS.HIGH_CARD, MASK_RANKS[rankMask]);
+}
 
-  const highCards = allCards.sort((a, b) => b.value - a.value).slice(0, 5);
-  console.log('[HAND_EVAL] High Card:', highCards[0].rank);
-  return { ranking: HAND_RANKINGS.HIGH_CARD, name: 'High Card', cards: [highCards[0]], kickers: highCards.slice(1) };
+export function scoreCategory(score) {
+  return Math.floor(score / 0x100000);
 }
 
-export function compareHands(hand1, hand2) {
-  if (hand1.ranking !== hand2.ranking) {
-    return hand2.ranking - hand1.ranking;
+function scoreRanks(score) {
+  return [16, 12, 8, 4, 0].map(shift => Math.floor(score / 2 ** shift) % 16);
+}
+
+export function describeScore(score) {
+  const [a, b] = scoreRanks(score);
+  switch (scoreCategory(score)) {
+    case HAND_RANKINGS.ROYAL_FLUSH: return 'Royal Flush';
+    case HAND_RANKINGS.STRAIGHT_FLUSH: return `Straight Flush, ${RANK_WORDS[a]} high`;
+    case HAND_RANKINGS.FOUR_OF_A_KIND: return `Four of a Kind, ${RANK_PLURALS[a]}`;
+    case HAND_RANKINGS.FULL_HOUSE: return `Full House, ${RANK_PLURALS[a]} full of ${RANK_PLURALS[b]}`;
+    case HAND_RANKINGS.FLUSH: return `Flush, ${RANK_WORDS[a]} high`;
+    case HAND_RANKINGS.STRAIGHT: return `Straight, ${RANK_WORDS[a]} high`;
+    case HAND_RANKINGS.THREE_OF_A_KIND: return `Three of a Kind, ${RANK_PLURALS[a]}`;
+    case HAND_RANKINGS.TWO_PAIR: return `Two Pair, ${RANK_PLURALS[a]} and ${RANK_PLURALS[b]}`;
+    case HAND_RANKINGS.ONE_PAIR: return `One Pair, ${RANK_PLURALS[a]}`;
+    default: return `High Card, ${RANK_WORDS[a]}`;
   }
+}
 
-  for (let i = 0; i < hand1.cards.length && i < hand2.cards.length; i++) {
-    if (hand1.cards[i].value !== hand2.cards[i].value) {
-      return hand2.cards[i].value - hand1.cards[i].value;
+// The five cards that make a score, in the order the score reads them (the wheel's Ace plays last)
+function bestFive(cards, score) {
+  const category = scoreCategory(score);
+  const ranks = scoreRanks(score);
+  const remaining = [...cards].sort((a, b) => b.value - a.value || SUIT_INDEX[a.suit] - SUIT_INDEX[b.suit]);
+  const take = (value, count, suit = null) => {
+    const picked = [];
+    for (let i = 0; i < remaining.length && picked.length < count; i++) {
+      const card = remaining[i];
+      if (card.value === value && (suit === null || card.suit === suit)) {
+        picked.push(...remaining.splice(i--, 1));
+      }
     }
+    return picked;
+  };
+
+  const flushSuit = SUITS.find(suit => cards.filter(c => c.suit === suit).length >= 5) ?? null;
+  if (category === HAND_RANKINGS.STRAIGHT || category === HAND_RANKINGS.STRAIGHT_FLUSH || category === HAND_RANKINGS.ROYAL_FLUSH) {
+    const suit = category === HAND_RANKINGS.STRAIGHT ? null : flushSuit;
+    return [0, 1, 2, 3, 4].flatMap(step => take(ranks[0] - step === 1 ? 14 : ranks[0] - step, 1, suit));
+  }
+  if (category === HAND_RANKINGS.FLUSH) {
+    return ranks.flatMap(value => take(value, 1, flushSuit));
   }
+  const groups = {
+    [HAND_RANKINGS.FOUR_OF_A_KIND]: [4, 1],
+    [HAND_RANKINGS.FULL_HOUSE]: [3, 2],
+    [HAND_RANKINGS.THREE_OF_A_KIND]: [3, 1, 1],
+    [HAND_RANKINGS.TWO_PAIR]: [2, 2, 1],
+    [HAND_RANKINGS.ONE_PAIR]: [2, 1, 1, 1]
+  }[category] || [1, 1, 1, 1, 1];
+  return groups.flatMap((count, index) => take(ranks[index], count));
+}
 
-  for (let i = 0; i < hand1.kickers.length && i < hand2.kickers.length; i++) {
-    if (hand1.kickers[i].value !== hand2.kickers[i].value) {
-      return hand2.kickers[i].value - hand1.kickers[i].value;
-    }
+export function evaluateHand(holeCards, communityCards) {
+  const allCards = [...holeCards, ...communityCards];
+
+  if (allCards.length < 5) {
+    log('[HAND_EVAL] Not enough cards to evaluate');
+    return { ranking: 0, name: 'Incomplete', description: 'Incomplete', score: 0, cards: [], kickers: [] };
   }
 
-  return 0;
+  const score = scoreCodes(allCards.map(cardCode));
+  const ranking = scoreCategory(score);
+  const cards = bestFive(allCards, score);
+  const kickerCount = { [HAND_RANKINGS.FOUR_OF_A_KIND]: 1, [HAND_RANKINGS.THREE_OF_A_KIND]: 2, [HAND_RANKINGS.TWO_PAIR]: 1, [HAND_RANKINGS.ONE_PAIR]: 3, [HAND_RANKINGS.HIGH_CARD]: 4 }[ranking] || 0;
+  const description = describeScore(score);
+  log('[HAND_EVAL]', cardsToString(holeCards), '+', cardsToString(communityCards), '=>', description);
+
+  return {
+    ranking,
+    name: HAND_NAMES[ranking],
+    description,
+    score,
+    cards,
+    kickers: cards.slice(cards.length - kickerCount)
+  };
+}
+
+export function compareHands(hand1, hand2) {
+  return hand2.score - hand1.score;
 }
 
 export function determineWinners(players, communityCards) {
-  console.log('[WINNERS] Determining winners among', players.length, 'players');
+  log('[WINNERS] Determining winners among', players.length, 'players');
 
   const evaluations = players.map(player => ({
     player,
@@ -259,15 +384,107 @@ export function determineWinners(players, communityCards) {
     }
   }
 
-  console.log('[WINNERS] Winner(s):', winners.map(w => `${w.player.moltbook_name} with ${w.hand.name}`).join(', '));
+  log('[WINNERS] Winner(s):', winners.map(w => `${w.player.moltbook_name} with ${w.hand.description}`).join(', '));
   return winners;
 }
 
-export const BLINDS = {
-  SMALL: 1,
-  BIG: 2
+export function calculatePots(contributions) {
+  log('[POTS] Building pots from', contributions.length, 'contributions');
+
+  const levels = [...new Set(
+    contributions.filter(c => !c.folded && c.total_bet > 0).map(c => c.total_bet)
+  )].sort((a, b) => a - b);
+
+  const pots = [];
+  let previousLevel = 0;
+
+  for (const level of levels) {
+    let amount = 0;
+    for (const contribution of contributions) {
+      amount += Math.max(0, Math.min(contribution.total_bet, level) - previousLevel);
+    }
+    const eligible = contributions
+      .filter(c => !c.folded && c.total_bet >= level)
+      .map(c => c.moltbook_id);
+
+    pots.push({
+      name: pots.length === 0 ? 'Main pot' : `Side pot ${pots.length}`,
+      amount,
+      eligible
+    });
+    previousLevel = level;
+  }
+
+  // Chips from folded players above the highest live contribution are dead money for the last pot
+  const deadMoney = contributions.reduce((sum, c) => sum + Math.max(0, c.total_bet - previousLevel), 0);
+  if (deadMoney > 0 && pots.length > 0) {
+    pots[pots.length - 1].amount += deadMoney;
+  }
+
+  log('[POTS] Pots:', pots.map(p => `${p.name} $${p.amount} (${p.eligible.length} eligible)`).join(', '));
+  return pots;
+}
+
+// No-Limit raise bounds for a player. Amounts are "raise to" totals for the current street.
+// A short all-in raise does not reopen betting for players who already acted on this street.
+// The minimum raise falls back to the table's big blind, which startHand copies into game.
+export function getRaiseLimits(game, playerHand, stack) {
+  const minRaise = game.min_raise || game.big_blind;
+  const maxRaiseTo = playerHand.current_bet + stack;
+  const minRaiseTo = Math.min(game.current_bet + minRaise, maxRaiseTo);
+  const hasActed = playerHand.acted_raise_count !== undefined && playerHand.acted_raise_count !== null;
+  const reopened = !hasActed || playerHand.acted_raise_count < (game.full_raise_count || 0);
+
+  return {
+    can_raise: reopened && maxRaiseTo > game.current_bet,
+    reopened,
+    min_raise: minRaise,
+    min_raise_to: minRaiseTo,
+    max_raise_to: maxRaiseTo
+  };
+}
+
+export const MAX_SEATS = 9;
+export const DEFAULT_STAKES = '1/2';
+
+export const STAKE_LEVELS = {
+  '1/2': { small_blind: 1, big_blind: 2, min_buy_in: 2, max_buy_in: 200 },
+  '2/5': { small_blind: 2, big_blind: 5, min_buy_in: 50, max_buy_in: 500 },
+  '5/10': { small_blind: 5, big_blind: 10, min_buy_in: 100, max_buy_in: 1000 },
+  '10/20': { small_blind: 10, big_blind: 20, min_buy_in: 200, max_buy_in: 2000 },
+  '25/50': { small_blind: 25, big_blind: 50, min_buy_in: 500, max_buy_in: 5000 }
 };
 
+export function createTableConfig({ stakes = DEFAULT_STAKES, max_seats = MAX_SEATS, ante = 0 } = {}) {
+  const level = STAKE_LEVELS[stakes];
+  if (!level) {
+    return { error: `Unknown stakes "${stakes}". Available: ${Object.keys(STAKE_LEVELS).join(', ')}` };
+  }
+
+  const seats = Number(max_seats);
+  if (!Number.isInteger(seats) || seats < 2 || seats > MAX_SEATS) {
+    return { error: `max_seats must be a whole number from 2 to ${MAX_SEATS}` };
+  }
+
+  const anteAmount = Number(ante);
+  if (!Number.isInteger(anteAmount) || anteAmount < 0 || anteAmount > level.small_blind) {
+    return { error: `ante must be a whole number from 0 to the small blind (${level.small_blind})` };
+  }
+
+  return {
+    config: {
+      stakes,
+      ...level,
+      ante: anteAmount,
+      max_seats: seats
+    }
+  };
+}
+
+export function getTableConfig(table) {
+  return table?.config || createTableConfig().config;
+}
+
 export const GAME_PHASES = {
   WAITING: 'waiting',
   PRE_FLOP: 'pre_flop',
@@ -279,4 +496,12 @@ export const GAME_PHASES = {
 
 export const ACTION_TIMEOUT_MS = 8000;
 
+// Time bank: extra thinking time on top of ACTION_TIMEOUT_MS, spent only when a turn runs over.
+// Every player starts with TIME_BANK_START_MS and gets TIME_BANK_REFILL_MS back each hand they are
+// dealt, up to TIME_BANK_MAX_MS. After SIT_OUT_AFTER_TIMEOUTS timeouts in a row a player sits out.
+export const TIME_BANK_START_MS = 20000;
+export const TIME_BANK_REFILL_MS = 2000;
+export const TIME_BANK_MAX_MS = 30000;
+export const SIT_OUT_AFTER_TIMEOUTS = 3;
+
 export { HAND_RANKINGS, HAND_NAMES, SUITS, RANKS };
@@ -2,11 +2,36 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
-import { connect, getDb } from './db.js';
+import { connect, getDb, getStorage, withTransaction } from './db.js';
+import { withTableLock, updateTable, isConflict, conflictError, CONFLICT_CODE } from './concurrency.js';
+import { publishEvent, subscribe, forgetTable, EVENT_TYPES } from './events.js';
 import {
-  createDeck, shuffleDeck, dealCards, cardsToString,
-  evaluateHand, determineWinners,
-  GAME_PHASES, BLINDS, ACTION_TIMEOUT_MS, HAND_NAMES
+  rankLeaderboard, combineStats, handStatsUpdates, foldHandStats, windowStart,
+  LEADERBOARD_WINDOWS, LEADERBOARD_SORTS, HAND_STATS_PROJECTION, CASH_HANDS
+} from './stats.js';
+import {
+  createTournamentConfig, getBlindLevel, tableConfigForLevel, placeEliminations, calculatePrizes,
+  TOURNAMENT_STATUS
+} from './tournament.js';
+import { startHand, applyAction, applyTimeout, forceShowdown, turnDeadline, restartTurnClock } from './engine.js';
+import { parseEquityRequest, calculateEquity, MAX_HANDS_SCORED, DEFAULT_ITERATIONS, MAX_ITERATIONS } from './equity.js';
+import {
+  isHouseBot, isHouseBotId, parseHouseBotSettings, houseBotSeat, houseBotView, chooseHouseBotAction,
+  HOUSE_BOT_STRATEGIES, DEFAULT_HOUSE_BOT_STRATEGY, DEFAULT_HOUSE_BOT_WAIT_MS
+} from './bots.js';
+import { pickProvider, accountIdFor, describeProviders, enabledProviders, moltbookApiUrl } from './identity.js';
+import { parseWebhookConfig, webhookView, deliverWebhook, WEBHOOK_EVENTS } from './webhooks.js';
+import {
+  transfer, recordTransfers, handTransfers, describeForPlayer, openBooks, reconcile,
+  books, HOUSE, LEDGER_KINDS
+} from './ledger.js';
+import {
+  createDeck, shuffleDeck, cardToString, formatCard, serializeCards, CARD_FORMATS, DEFAULT_CARD_FORMAT,
+  evaluateHand, getRaiseLimits,
+  createTableConfig, getTableConfig,
+  generateServerSeed, hashSeed, createSeededDeck, replayDeal,
+  GAME_PHASES, STAKE_LEVELS, MAX_SEATS, ACTION_TIMEOUT_MS, HAND_NAMES,
+  TIME_BANK_START_MS, TIME_BANK_REFILL_MS, TIME_BANK_MAX_MS, SIT_OUT_AFTER_TIMEOUTS
 } from './poker.js';
 
 dotenv.config();
@@ -22,12 +47,82 @@ app.use(cors({
   origin: true,
   credentials: true,
 }));
+// Behind a proxy (Railway, a load balancer), set TRUST_PROXY to its hop count so req.ip is the client's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 app.use(express.json());
+app.use(['/api/poker', '/api/equity'], cardFormat);
 
 await connect();
 
-const MOLTBOOK_API_URL = process.env.MOLTBOOK_API_URL || 'https://www.moltbook.com/api/v1';
-const SEATS_PER_TABLE = 9;
+// A pinned server seed is revealed by /verify after the first hand, after which every deck can
+// be predicted, so it is only allowed for local runs on memory storage and under NODE_ENV=test
+if (process.env.POKER_SERVER_SEED && getStorage() !== 'memory' && process.env.NODE_ENV !== 'test') {
+  console.log('[GAME] ERROR: POKER_SERVER_SEED is only allowed with STORAGE=memory or NODE_ENV=test');
+  process.exit(1);
+}
+
+if (getDb()) {
+  const migrated = await getDb().collection('tables').updateMany(
+    { config: { $exists: false } },
+    { $set: { config: createTableConfig().config } }
+  );
+  if (migrated.modifiedCount > 0) {
+    console.log('[TABLE] Added default config to', migrated.modifiedCount, 'existing tables');
+  }
+
+  // Hands from before tournament hands were tagged would count as cash hands in the stats
+  for (const table of await getDb().collection('tables').find({ tournament_id: { $ne: null } }, { projection: { tournament_id: 1 } }).toArray()) {
+    const tagged = await getDb().collection('hands').updateMany(
+      { table_id: table._id, tournament_id: null },
+      { $set: { tournament_id: table.tournament_id } }
+    );
+    if (tagged.modifiedCount > 0) {
+      console.log('[HISTORY] Tagged', tagged.modifiedCount, 'hands as tournament hands');
+    }
+  }
+
+  // Stats used to be worked out from every hand on each request; build the running totals once
+  if (await getDb().collection('agent_stats').countDocuments({}) === 0) {
+    const buckets = new Map();
+    for await (const hand of getDb().collection('hands').find(CASH_HANDS, { projection: HAND_STATS_PROJECTION })) {
+      foldHandStats(buckets, hand);
+    }
+    if (buckets.size > 0) {
+      await getDb().collection('agent_stats').insertMany([...buckets.values()]);
+      console.log('[STATS] Built', buckets.size, 'agent stats buckets from stored hands');
+    }
+  }
+
+  const opened = await openBooks(getDb());
+  if (opened > 0) {
+    console.log('[LEDGER] Opened the books with', opened, 'opening balance entries');
+  }
+
+  // Seats from before buy-ins mirrored the account balance; move those chips onto the table
+  const legacyTables = await getDb().collection('tables').find({ 'seats.balance': { $exists: true } }).toArray();
+  for (const table of legacyTables) {
+    for (const seat of table.seats) {
+      if (!seat || seat.balance === undefined) continue;
+      const account = await getDb().collection('accounts').findOne({ moltbook_id: seat.moltbook_id });
+      const stack = Math.max(0, Math.min(seat.balance, account?.balance ?? 0));
+      await getDb().collection('accounts').updateOne({ moltbook_id: seat.moltbook_id }, { $inc: { balance: -stack } });
+      if (stack > 0) {
+        await recordTransfers(getDb(), [transfer(LEDGER_KINDS.BUY_IN, books.wallet(seat.moltbook_id), books.stack(table._id.toString(), seat.moltbook_id), stack, {
+          moltbook_id: seat.moltbook_id,
+          table_id: table._id
+        })]);
+      }
+      seat.stack = stack;
+      seat.buy_in = stack;
+      delete seat.balance;
+    }
+    await getDb().collection('tables').updateOne({ _id: table._id }, { $set: { seats: table.seats } });
+    console.log('[TABLE] Converted seats to table stacks on', table._id.toString());
+  }
+}
+
 const STARTING_BALANCE = 100;
 const MIN_PLAYERS_TO_START = 2;
 
@@ -46,112 +141,234 @@ function addLog(message) {
   console.log('[LOG]', message);
 }
 
-async function checkAutoFold() {
+// Each table with a player to act has one timer set for that turn's deadline, re-armed whenever
+// the table is saved. A slow sweep re-arms them after a restart or a write that did not.
+// When a house bot is to act the timer plays its turn after a short pause instead.
+const TURN_TIMER_SWEEP_MS = 30000;
+const HOUSE_BOT_THINK_MS = 1000;
+const turnTimers = new Map();
+
+function armTurnTimer(db, table) {
+  const key = table._id.toString();
+  clearTimeout(turnTimers.get(key));
+  turnTimers.delete(key);
+
+  const deadline = table.status === 'playing' && !table.paused ? turnDeadline(table.game) : null;
+  if (!deadline) return;
+
+  const botTurn = table.seats.some(seat => isHouseBot(seat) && seat.moltbook_id === table.game.current_turn_player);
+  const delay = botTurn ? HOUSE_BOT_THINK_MS : Math.max(0, deadline.getTime() - Date.now());
+  turnTimers.set(key, setTimeout(() => {
+    turnTimers.delete(key);
+    const tag = botTurn ? '[HOUSE_BOT]' : '[AUTO-FOLD]';
+    withTableLock(table._id, () => botTurn ? playHouseBotTurn(db, table._id) : autoFoldTable(db, table._id)).catch(error => {
+      console.log(tag, isConflict(error) ? 'Table changed concurrently, will retry:' : 'ERROR:', error.message);
+      if (isConflict(error)) armTurnTimer(db, table);
+    });
+  }, delay));
+}
+
+async function armTurnTimers() {
   const db = getDb();
   if (!db) return;
 
   const tables = await db.collection('tables').find({
     status: 'playing',
+    paused: { $ne: true },
     'game.turn_started_at': { $exists: true }
   }).toArray();
 
   for (const table of tables) {
-    if (!table.game || !table.game.turn_started_at) continue;
+    armTurnTimer(db, table);
+  }
+}
+
+async function autoFoldTable(db, tableId) {
+  // Re-read under the table lock: the player may have acted since the timer was set
+  const table = await db.collection('tables').findOne({ _id: tableId });
+  if (!table || table.paused) return;
 
-    const elapsed = Date.now() - new Date(table.game.turn_started_at).getTime();
+  const outcome = applyTimeout(table);
+  if (!outcome) {
+    armTurnTimer(db, table);
+    return;
+  }
+  if (outcome.error) return;
 
-    if (elapsed > ACTION_TIMEOUT_MS) {
-      const currentPlayerId = table.game.current_turn_player;
-      const seat = table.seats.find(s => s && s.moltbook_id === currentPlayerId);
-      const playerName = seat?.moltbook_name || 'Unknown';
+  const lateBy = Date.now() - turnDeadline(table.game).getTime();
+  const playerName = table.game.hand_seats.find(s => s.moltbook_id === table.game.current_turn_player)?.moltbook_name;
+  console.log('[AUTO-FOLD] Player', playerName, 'timed out, deadline passed', lateBy, 'ms ago');
+  await saveEngineResult(db, table, outcome);
+}
 
-      console.log('[AUTO-FOLD] Player', playerName, 'timed out after', Math.floor(elapsed / 1000), 'seconds');
-      addLog(`${playerName} timed out - auto-fold`);
+async function playHouseBotTurn(db, tableId) {
+  const table = await db.collection('tables').findOne({ _id: tableId });
+  if (!table || table.paused || table.status !== 'playing') return;
+  const seat = table.seats.find(s => isHouseBot(s) && s.moltbook_id === table.game.current_turn_player);
+  if (!seat) {
+    armTurnTimer(db, table);
+    return;
+  }
 
-      const game = table.game;
-      const playerHand = game.player_hands[currentPlayerId];
+  const view = houseBotView(table);
+  const choice = chooseHouseBotAction(seat.house_bot, view);
+  let outcome = applyAction(table, seat.moltbook_id, choice.action, choice.amount);
+  if (outcome.error) {
+    console.log('[HOUSE_BOT]', seat.moltbook_name, choice.action, 'was rejected:', outcome.error.message);
+    outcome = applyAction(table, seat.moltbook_id, view.to_call > 0 ? 'fold' : 'check');
+    if (outcome.error) return;
+  }
+  await saveEngineResult(db, table, outcome);
+}
 
-      if (playerHand && !playerHand.folded && !playerHand.all_in) {
-        const amountToCall = game.current_bet - playerHand.current_bet;
+function sweepTurnTimers() {
+  armTurnTimers().catch(error => console.log('[AUTO-FOLD] ERROR: Could not arm turn timers:', error.message));
+}
 
-        if (amountToCall === 0) {
-          addLog(`${playerName} auto-checked`);
-          console.log('[AUTO-FOLD] Player can check, auto-checking');
-        } else {
-          playerHand.folded = true;
-          addLog(`${playerName} auto-folded (owed $${amountToCall})`);
-          console.log('[AUTO-FOLD] Player folded');
-        }
+sweepTurnTimers();
+setInterval(sweepTurnTimers, TURN_TIMER_SWEEP_MS);
+
+// House bots sit down at a cash table where agents have waited too long without enough players
+// (HOUSE_BOT_WAIT_MS, or the table's own setting from an admin) and leave between hands once
+// agents can play each other, or when no agent is left sitting in. They buy in from the house,
+// cash out to it, and are never ranked.
+const HOUSE_BOT_SWEEP_MS = 5000;
+const HOUSE_BOT_BUY_IN_BIG_BLINDS = 100;
+const waitingSince = new Map();
+
+function houseBotSettings(table) {
+  const waitMs = parseInt(process.env.HOUSE_BOT_WAIT_MS);
+  const settings = table.house_bots || {};
+  return {
+    enabled: settings.enabled ?? process.env.HOUSE_BOTS !== 'off',
+    count: settings.count ?? null,
+    strategy: settings.strategy ?? (HOUSE_BOT_STRATEGIES.includes(process.env.HOUSE_BOT_STRATEGY) ? process.env.HOUSE_BOT_STRATEGY : DEFAULT_HOUSE_BOT_STRATEGY),
+    wait_ms: settings.wait_ms ?? (waitMs >= 0 ? waitMs : DEFAULT_HOUSE_BOT_WAIT_MS)
+  };
+}
 
-        const activePlayers = Object.entries(game.player_hands)
-          .filter(([id, hand]) => !hand.folded)
-          .map(([id]) => id);
-
-        const playersWhoCanAct = Object.entries(game.player_hands)
-          .filter(([id, hand]) => !hand.folded && !hand.all_in)
-          .map(([id]) => id);
-
-        if (activePlayers.length === 1) {
-          console.log('[AUTO-FOLD] Only one player left, going to showdown');
-          await db.collection('tables').updateOne(
-            { _id: table._id },
-            { $set: { game: game } }
-          );
-          await resolveShowdown(db, table._id);
-        } else if (playersWhoCanAct.length <= 1) {
-          console.log('[AUTO-FOLD] All remaining players are all-in, advancing');
-          await db.collection('tables').updateOne(
-            { _id: table._id },
-            { $set: { game: game } }
-          );
-          await advancePhase(db, table._id);
-        } else {
-          const activeSeats = table.seats
-            .map((seat, index) => seat && playersWhoCanAct.includes(seat.moltbook_id) ? { ...seat, seatIndex: index } : null)
-            .filter(Boolean);
-
-          const currentSeatIndex = activeSeats.findIndex(s => s.moltbook_id === currentPlayerId);
-          const nextPlayerIndex = currentSeatIndex === -1 ? 0 : (currentSeatIndex + 1) % activeSeats.length;
-          const nextPlayer = activeSeats[nextPlayerIndex];
-
-          if (nextPlayer) {
-            const allMatched = playersWhoCanAct.every(id => {
-              const hand = game.player_hands[id];
-              return hand.current_bet === game.current_bet || hand.folded || hand.all_in;
-            });
-
-            if (allMatched && amountToCall === 0) {
-              await db.collection('tables').updateOne(
-                { _id: table._id },
-                { $set: { game: game } }
-              );
-              await advancePhase(db, table._id);
-            } else {
-              game.current_turn_player = nextPlayer.moltbook_id;
-              game.turn_started_at = new Date();
-
-              addLog(`${nextPlayer.moltbook_name}'s turn`);
-
-              await db.collection('tables').updateOne(
-                { _id: table._id },
-                { $set: { game: game } }
-              );
-            }
-          }
-        }
+// How many bots the table should have seated now
+function houseBotTarget(table, now = Date.now()) {
+  const settings = houseBotSettings(table);
+  const agents = table.seats.filter(seat => seat && !isHouseBot(seat) && !seat.sitting_out).length;
+  if (!settings.enabled || table.tournament_id || table.status === 'closed' || agents === 0 || agents >= MIN_PLAYERS_TO_START) {
+    return 0;
+  }
+  const wanted = Math.min(settings.count ?? MIN_PLAYERS_TO_START - agents, table.seats.filter(seat => !seat || isHouseBot(seat)).length);
+  if (table.seats.some(isHouseBot)) return wanted;
+  return now - (waitingSince.get(table._id.toString()) ?? now) >= settings.wait_ms ? wanted : 0;
+}
+
+// Seats or removes bots between hands to meet the target. Bots short of a big blind leave and
+// a fresh one takes their place. Runs under the table lock; returns the table as it now stands.
+async function settleHouseBots(db, tableId) {
+  let table = await db.collection('tables').findOne({ _id: tableId });
+  if (!table || table.status === 'playing' || table.paused) return table;
+
+  const config = getTableConfig(table);
+  const target = houseBotTarget(table);
+  const bots = table.seats.map((seat, index) => isHouseBot(seat) ? index : null).filter(index => index !== null);
+  const leaving = bots.filter((index, n) => n >= target || table.seats[index].stack < config.big_blind + config.ante);
+  for (const index of leaving) {
+    const reason = table.seats[index].stack < config.big_blind + config.ante ? 'busted' : 'not_needed';
+    console.log('[HOUSE_BOT]', table.seats[index].moltbook_name, 'leaves', tableId.toString(), `(${reason})`);
+    addLog(`${table.seats[index].moltbook_name} (house bot) leaves the table`);
+    await vacateSeat(db, table, index, reason);
+    table = await db.collection('tables').findOne({ _id: tableId });
+  }
+
+  let missing = target - (bots.length - leaving.length);
+  const { strategy } = houseBotSettings(table);
+  const buyIn = Math.min(config.max_buy_in, Math.max(config.min_buy_in, config.big_blind * HOUSE_BOT_BUY_IN_BIG_BLINDS));
+  for (let index = 0; index < table.seats.length && missing > 0; index++) {
+    if (table.seats[index]) continue;
+    const seat = houseBotSeat(index, strategy, buyIn);
+    await withTransaction(async (session) => {
+      await updateTable(db, table, {
+        $set: { [`seats.${index}`]: seat },
+        $inc: { seats_count: 1 }
+      }, session);
+      await recordTransfers(db, [transfer(LEDGER_KINDS.BUY_IN, HOUSE, books.stack(tableId.toString(), seat.moltbook_id), buyIn, {
+        moltbook_id: seat.moltbook_id,
+        table_id: tableId
+      })], session);
+    });
+    table.seats[index] = seat;
+    table.seats_count += 1;
+    missing -= 1;
+    console.log('[HOUSE_BOT]', seat.moltbook_name, 'sits down at', tableId.toString(), 'playing', strategy);
+    addLog(`${seat.moltbook_name} (house bot) sits down`);
+    publishEvent(tableId, EVENT_TYPES.PLAYER_JOINED, { seat: index, name: seat.moltbook_name, stack: buyIn, house_bot: strategy });
+  }
+  return table;
+}
+
+async function sweepHouseBots() {
+  const db = getDb();
+  if (!db) return;
+
+  const now = Date.now();
+  const tables = await db.collection('tables').find({ status: 'waiting', tournament_id: null, paused: { $ne: true } }).toArray();
+  const waiting = new Set(tables.map(table => table._id.toString()));
+  for (const key of waitingSince.keys()) {
+    if (!waiting.has(key)) waitingSince.delete(key);
+  }
+
+  for (const table of tables) {
+    const key = table._id.toString();
+    if (!waitingSince.has(key)) waitingSince.set(key, now);
+    if (houseBotTarget(table, now) === table.seats.filter(isHouseBot).length) continue;
+
+    await withTableLock(table._id, async () => {
+      const settled = await settleHouseBots(db, table._id);
+      if (settled?.status === 'waiting' && settled.seats_count >= MIN_PLAYERS_TO_START) {
+        await startNewHand(db, table._id);
       }
+    });
+  }
+}
+
+setInterval(() => {
+  sweepHouseBots().catch(error => console.log('[HOUSE_BOT] ERROR: Sweep failed:', error.message));
+}, HOUSE_BOT_SWEEP_MS);
+
+// Where a player's chips come from and go back to: their wallet, or the house for house bots
+function walletOf(moltbookId) {
+  return isHouseBotId(moltbookId) ? HOUSE : books.wallet(moltbookId);
+}
+
+const LEDGER_RECONCILE_MS = parseInt(process.env.LEDGER_RECONCILE_MS) || 10 * 60 * 1000;
+let lastReconciliation = null;
+
+async function reconcileLedger() {
+  const db = getDb();
+  if (!db) return null;
+
+  const report = await reconcile(db);
+  lastReconciliation = report;
+  if (report.ok) {
+    console.log('[LEDGER] Reconciled', report.entries, 'entries (read', report.entries_read + '), chips in circulation:', report.totals.issued);
+  } else {
+    console.log('[LEDGER] ERROR: Books do not balance -', report.discrepancies.length, 'discrepancies,', report.invalid_entries, 'invalid entries,',
+      report.chips_held, 'chips held of', report.totals.issued, 'issued');
+    for (const discrepancy of report.discrepancies) {
+      console.log('[LEDGER]  ', discrepancy.book, 'ledger', discrepancy.ledger, 'actual', discrepancy.actual);
     }
   }
+  return report;
 }
 
-setInterval(checkAutoFold, 5000);
+setInterval(() => {
+  reconcileLedger().catch(error => console.log('[LEDGER] ERROR: Reconciliation failed:', error.message));
+}, LEDGER_RECONCILE_MS);
 
 app.get('/api/health', async (req, res) => {
   const db = getDb();
   res.json({
     status: 'ok',
     message: 'PokerClaw API is running',
-    mongodb: db ? 'connected' : 'not connected',
+    mongodb: getStorage() === 'mongo' ? 'connected' : 'not connected',
+    storage: getStorage() || 'not connected'
   });
 });
 
@@ -162,29 +379,542 @@ app.get('/api/log', (req, res) => {
   });
 });
 
-app.post('/api/admin/cleanup', async (req, res) => {
+// Admin routes need ADMIN_API_KEY as a Bearer token. Without the variable they are disabled.
+function authenticateAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    console.log('[ADMIN] ERROR: Admin API is disabled, ADMIN_API_KEY is not set');
+    return res.status(503).json({ error: 'Admin API is disabled. Set ADMIN_API_KEY to enable it.' });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const given = crypto.createHash('sha256').update(authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '').digest();
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  if (!crypto.timingSafeEqual(given, expected)) {
+    console.log('[ADMIN] ERROR: Invalid admin credential');
+    return res.status(401).json({ error: 'Admin credential required' });
+  }
+
+  if (!getDb()) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+  req.adminActor = String(req.headers['x-admin-name'] || 'admin').slice(0, 60);
+  next();
+}
+
+// Every admin change is recorded, including who made it (X-Admin-Name header) and why
+async function writeAudit(db, req, action, fields, session) {
+  const entry = {
+    action,
+    actor: req.adminActor,
+    ip: req.ip,
+    reason: req.body?.reason ? String(req.body.reason).slice(0, 500) : null,
+    ...fields,
+    at: new Date()
+  };
+  await db.collection('admin_audit').insertOne(entry, session ? { session } : {});
+  console.log('[ADMIN]', req.adminActor, action, JSON.stringify(fields));
+  addLog(`Admin ${action}${entry.reason ? `: ${entry.reason}` : ''}`);
+  return entry;
+}
+
+function requireReason(req, res) {
+  if (!req.body?.reason || !String(req.body.reason).trim()) {
+    res.status(400).json({ error: 'reason is required for admin changes' });
+    return false;
+  }
+  return true;
+}
+
+async function adminTable(db, id, res) {
+  const { ObjectId } = await import('mongodb');
+  let tableId;
+  try {
+    tableId = new ObjectId(id);
+  } catch (e) {
+    res.status(400).json({ error: 'Invalid table id' });
+    return null;
+  }
+  const table = await db.collection('tables').findOne({ _id: tableId });
+  if (!table) {
+    res.status(404).json({ error: 'Table not found' });
+    return null;
+  }
+  return table;
+}
+
+function adminAccountView(account) {
+  const { poker_api_key, webhook, ...view } = account;
+  return {
+    ...view,
+    _id: account._id.toString(),
+    webhook: webhookView(webhook),
+    identity_provider: account.identity_provider || 'moltbook',
+    current_table: account.current_table?.toString() || null,
+    current_tournament: account.current_tournament?.toString() || null
+  };
+}
+
+function adminTableView(table) {
+  return {
+    table_id: table._id.toString(),
+    status: table.status,
+    paused: Boolean(table.paused),
+    stakes: getTableConfig(table).stakes,
+    tournament_id: table.tournament_id?.toString() || null,
+    seats: table.seats.map((seat, index) => seat ? { seat: index, moltbook_id: seat.moltbook_id, name: seat.moltbook_name, stack: seat.stack, sitting_out: Boolean(seat.sitting_out), house_bot: seat.house_bot || null } : null),
+    hand_number: table.game?.hand_number || null,
+    phase: table.game?.phase || null,
+    current_turn: table.game?.current_turn_player || null,
+    turn_started_at: table.game?.turn_started_at || null,
+    turn_deadline: turnDeadline(table.game),
+    pot: table.game?.pot || 0,
+    house_bots: houseBotSettings(table),
+    version: table.version || 0
+  };
+}
+
+// Voids any hand in progress and pays everyone back their stack plus what they put in the pot;
+// players who already left the hand still get their bets back, they just have no seat. The
+// table is closed in the same transaction as the refunds, which alsoWrite(session, refunds)
+// joins. Runs under the table lock; returns the refunds.
+async function refundTable(db, table, refs, alsoWrite = null) {
+  const handInProgress = table.status === 'playing' && table.game;
+  const tableId = table._id.toString();
+  const betOf = moltbookId => handInProgress ? table.game.player_hands[moltbookId]?.total_bet || 0 : 0;
+  const refunds = table.seats
+    .map((seat, index) => seat ? { seat: index, moltbook_id: seat.moltbook_id, name: seat.moltbook_name, stack: seat.stack } : null)
+    .filter(Boolean);
+  for (const player of handInProgress ? table.game.hand_seats : []) {
+    if (betOf(player.moltbook_id) > 0 && !refunds.some(refund => refund.moltbook_id === player.moltbook_id)) {
+      refunds.push({ seat: null, moltbook_id: player.moltbook_id, name: player.moltbook_name, stack: 0 });
+    }
+  }
+  for (const refund of refunds) {
+    refund.bet = betOf(refund.moltbook_id);
+    refund.amount = refund.stack + refund.bet;
+  }
+  const entryRefs = { table_id: table._id, hand_number: handInProgress ? table.game.hand_number : undefined, ...refs };
+  const entries = refunds.flatMap(refund => [
+    refund.stack > 0 && transfer(LEDGER_KINDS.CASH_OUT, books.stack(tableId, refund.moltbook_id), walletOf(refund.moltbook_id), refund.stack, { ...entryRefs, moltbook_id: refund.moltbook_id }),
+    refund.bet > 0 && transfer(LEDGER_KINDS.REFUND, books.pot(tableId), walletOf(refund.moltbook_id), refund.bet, { ...entryRefs, moltbook_id: refund.moltbook_id })
+  ]);
+
+  await withTransaction(async (session) => {
+    await updateTable(db, table, {
+      $set: { seats: table.seats.map(() => null), seats_count: 0, status: 'closed', game: null, paused: false, closed_at: new Date() }
+    }, session);
+    for (const refund of refunds.filter(r => !isHouseBotId(r.moltbook_id))) {
+      await db.collection('accounts').updateOne(
+        { moltbook_id: refund.moltbook_id },
+        { $inc: { balance: refund.amount }, ...(refund.seat !== null ? { $set: { current_table: null } } : {}) },
+        { session }
+      );
+    }
+    await recordTransfers(db, entries, session);
+    if (alsoWrite) await alsoWrite(session, refunds);
+  });
+
+  for (const refund of refunds.filter(r => r.seat !== null)) {
+    publishEvent(table._id, EVENT_TYPES.PLAYER_LEFT, { seat: refund.seat, name: refund.name, reason: 'table_closed' });
+    notifyAgent(db, refund.moltbook_id, 'removed_from_table', { table_id: tableId, seat: refund.seat, reason: 'table_closed', chips_returned: refund.amount });
+  }
+  publishEvent(table._id, EVENT_TYPES.TABLE_STATUS, { paused: false, status: 'closed' });
+  forgetTable(table._id);
+  return refunds;
+}
+
+function sendAdminConflict(res, error) {
+  if (!isConflict(error)) throw error;
+  console.log('[ADMIN] ERROR: Table changed concurrently');
+  return res.status(409).json({ error: error.message, code: error.code, retryable: true });
+}
+
+app.post('/api/admin/cleanup', authenticateAdmin, async (req, res) => {
   console.log('[ADMIN] Cleanup request - removing broken records');
   const db = getDb();
-  if (!db) return res.status(500).json({ error: 'Database not available' });
-
-  const accountsResult = await db.collection('accounts').deleteMany({
+  const brokenAccounts = {
     $or: [
       { moltbook_id: null },
       { moltbook_id: { $exists: false } },
       { moltbook_name: 'Unknown Agent' }
     ]
-  });
+  };
 
-  const tablesResult = await db.collection('tables').deleteMany({});
+  // Cash tables are closed as an admin close would, so every stack and bet goes back to its
+  // wallet, and deleted in the same transaction. Tournament chips are not money: they go back
+  // to the tournament that issued them.
+  const refs = { reason: 'cleanup', actor: req.adminActor };
+  let deletedTables = 0;
+  let refunded = 0;
+  let writtenOff = 0;
+  try {
+    for (const { _id } of await db.collection('tables').find({}, { projection: { _id: 1 } }).toArray()) {
+      await withTableLock(_id, async () => {
+        const table = await db.collection('tables').findOne({ _id });
+        if (!table) return;
+        const remove = session => db.collection('tables').deleteOne({ _id }, { session });
+
+        if (table.tournament_id) {
+          const tableId = table._id.toString();
+          const issuer = books.tournamentChips(table.tournament_id.toString());
+          const seated = table.seats.filter(Boolean);
+          const entries = [
+            ...seated.map(seat => seat.stack > 0 && transfer(LEDGER_KINDS.WRITE_OFF, books.stack(tableId, seat.moltbook_id), issuer, seat.stack, { ...refs, moltbook_id: seat.moltbook_id, table_id: table._id })),
+            table.status === 'playing' && table.game?.pot > 0 && transfer(LEDGER_KINDS.WRITE_OFF, books.pot(tableId), issuer, table.game.pot, { ...refs, table_id: table._id, hand_number: table.game.hand_number })
+          ];
+          await withTransaction(async (session) => {
+            await db.collection('accounts').updateMany(
+              { moltbook_id: { $in: seated.map(seat => seat.moltbook_id) } },
+              { $set: { current_table: null, current_tournament: null } },
+              { session }
+            );
+            await recordTransfers(db, entries, session);
+            await remove(session);
+          });
+          writtenOff += entries.reduce((sum, entry) => sum + (entry ? entry.amount : 0), 0);
+        } else if (table.status === 'closed') {
+          await withTransaction(remove);
+        } else {
+          const refunds = await refundTable(db, table, refs, remove);
+          refunded += refunds.reduce((sum, refund) => sum + refund.amount, 0);
+        }
+        forgetTable(_id);
+        deletedTables += 1;
+      });
+    }
+  } catch (error) {
+    return sendAdminConflict(res, error);
+  }
 
-  console.log('[ADMIN] Deleted', accountsResult.deletedCount, 'broken accounts');
-  console.log('[ADMIN] Deleted', tablesResult.deletedCount, 'tables');
+  // Balances of deleted accounts leave circulation; book them to the house so the ledger still balances
+  const accounts = await db.collection('accounts').find(brokenAccounts).toArray();
+  const writeOffs = accounts
+    .filter(account => account.moltbook_id && account.balance > 0)
+    .map(account => transfer(LEDGER_KINDS.WRITE_OFF, books.wallet(account.moltbook_id), HOUSE, account.balance, { ...refs, moltbook_id: account.moltbook_id }));
+  let deletedAccounts = 0;
+  await withTransaction(async (session) => {
+    deletedAccounts = (await db.collection('accounts').deleteMany({ _id: { $in: accounts.map(account => account._id) } }, { session })).deletedCount;
+    await recordTransfers(db, writeOffs, session);
+  });
+  writtenOff += writeOffs.reduce((sum, entry) => sum + entry.amount, 0);
+
+  console.log('[ADMIN] Deleted', deletedAccounts, 'broken accounts');
+  console.log('[ADMIN] Deleted', deletedTables, 'tables, returned', refunded, 'chips to wallets');
+  await writeAudit(db, req, 'cleanup', {
+    deleted_accounts: deletedAccounts,
+    deleted_tables: deletedTables,
+    refunded,
+    written_off: writtenOff
+  });
 
   res.json({
     message: 'Cleanup complete',
-    deleted_accounts: accountsResult.deletedCount,
-    deleted_tables: tablesResult.deletedCount
+    deleted_accounts: deletedAccounts,
+    deleted_tables: deletedTables,
+    refunded
+  });
+});
+
+app.get('/api/admin/accounts', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const query = {};
+  if (req.query.search) {
+    const pattern = String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { moltbook_name: { $regex: pattern, $options: 'i' } },
+      { moltbook_id: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+  if (req.query.provider) {
+    query.identity_provider = req.query.provider === 'moltbook' ? { $in: ['moltbook', null] } : String(req.query.provider);
+  }
+
+  const accounts = await db.collection('accounts').find(query).sort({ created_at: -1 }).limit(limit).toArray();
+  res.json({ accounts: accounts.map(adminAccountView), count: accounts.length });
+});
+
+app.get('/api/admin/accounts/:moltbookId', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  const account = await db.collection('accounts').findOne({ moltbook_id: req.params.moltbookId });
+  if (!account) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+
+  const table = account.current_table ? await db.collection('tables').findOne({ _id: account.current_table }) : null;
+  const seat = table?.seats.find(s => s && s.moltbook_id === account.moltbook_id) || null;
+  const adjustments = await db.collection('admin_audit')
+    .find({ action: 'adjust_balance', moltbook_id: account.moltbook_id })
+    .sort({ at: -1 })
+    .limit(20)
+    .toArray();
+
+  res.json({
+    account: adminAccountView(account),
+    table: table ? adminTableView(table) : null,
+    table_stack: seat ? seat.stack : 0,
+    balance_adjustments: adjustments
+  });
+});
+
+app.post('/api/admin/accounts/:moltbookId/balance', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  if (!requireReason(req, res)) return;
+
+  const amount = Number(req.body.amount);
+  if (!Number.isInteger(amount) || amount === 0) {
+    return res.status(400).json({ error: 'amount must be a non-zero whole number (negative to deduct)' });
+  }
+
+  const moltbookId = req.params.moltbookId;
+  const result = await withTransaction(async (session) => {
+    const updated = await db.collection('accounts').updateOne(
+      { moltbook_id: moltbookId, ...(amount < 0 ? { balance: { $gte: -amount } } : {}) },
+      { $inc: { balance: amount } },
+      { session }
+    );
+    if (updated.matchedCount === 0) return null;
+    const [from, to] = amount > 0 ? [HOUSE, books.wallet(moltbookId)] : [books.wallet(moltbookId), HOUSE];
+    await recordTransfers(db, [transfer(LEDGER_KINDS.ADMIN_ADJUSTMENT, from, to, Math.abs(amount), {
+      moltbook_id: moltbookId,
+      reason: req.body.reason.trim(),
+      actor: req.adminActor
+    })], session);
+    const account = await db.collection('accounts').findOne({ moltbook_id: moltbookId }, { session });
+    await writeAudit(db, req, 'adjust_balance', { moltbook_id: moltbookId, amount, balance_after: account.balance }, session);
+    return account;
   });
+
+  if (!result) {
+    const exists = await db.collection('accounts').findOne({ moltbook_id: moltbookId });
+    return exists
+      ? res.status(400).json({ error: `Balance of ${exists.balance} cannot cover a deduction of ${-amount}` })
+      : res.status(404).json({ error: 'Account not found' });
+  }
+
+  res.json({ message: 'Balance adjusted', moltbook_id: moltbookId, amount, balance: result.balance });
+});
+
+app.get('/api/admin/tables', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  const query = req.query.status ? { status: req.query.status } : {};
+  const tables = await db.collection('tables').find(query).sort({ created_at: -1 }).limit(200).toArray();
+  res.json({ tables: tables.map(adminTableView) });
+});
+
+app.get('/api/admin/tables/:id', authenticateAdmin, async (req, res) => {
+  const table = await adminTable(getDb(), req.params.id, res);
+  if (!table) return;
+  res.json({ table: adminTableView(table), actions: table.game?.actions || [] });
+});
+
+app.post('/api/admin/tables/:id/kick', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  if (!requireReason(req, res)) return;
+  const found = await adminTable(db, req.params.id, res);
+  if (!found) return;
+  if (found.tournament_id) {
+    return res.status(400).json({ error: 'Tournament chips cannot be cashed out, so players cannot be kicked from tournament tables' });
+  }
+
+  try {
+    const kicked = await withTableLock(found._id, async () => {
+      const table = await db.collection('tables').findOne({ _id: found._id });
+      const seatIndex = table.seats.findIndex(s => s && s.moltbook_id === req.body.moltbook_id);
+      if (seatIndex === -1) return null;
+      const seat = table.seats[seatIndex];
+      const chips = await vacateSeat(db, table, seatIndex, 'kicked');
+      await writeAudit(db, req, 'kick', { table_id: table._id, moltbook_id: seat.moltbook_id, seat: seatIndex, returned_chips: chips });
+      return { seat: seatIndex, returned_chips: chips };
+    });
+    if (!kicked) {
+      return res.status(404).json({ error: 'That player is not seated at this table' });
+    }
+    res.json({ message: 'Player removed from the table', ...kicked });
+  } catch (error) {
+    sendAdminConflict(res, error);
+  }
+});
+
+app.post('/api/admin/tables/:id/pause', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  if (!requireReason(req, res)) return;
+  const found = await adminTable(db, req.params.id, res);
+  if (!found) return;
+
+  try {
+    const table = await withTableLock(found._id, async () => {
+      const table = await db.collection('tables').findOne({ _id: found._id });
+      if (table.status === 'closed') return table;
+      await updateTable(db, table, { $set: { paused: true, paused_at: new Date() } });
+      await writeAudit(db, req, 'pause_table', { table_id: table._id });
+      publishEvent(table._id, EVENT_TYPES.TABLE_STATUS, { paused: true, status: table.status });
+      return { ...table, paused: true };
+    });
+    if (table.status === 'closed') {
+      return res.status(400).json({ error: 'Table is closed' });
+    }
+    res.json({ message: 'Table paused. No actions, timeouts or new hands until it is resumed.', table: adminTableView(table) });
+  } catch (error) {
+    sendAdminConflict(res, error);
+  }
+});
+
+app.post('/api/admin/tables/:id/resume', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  if (!requireReason(req, res)) return;
+  const found = await adminTable(db, req.params.id, res);
+  if (!found) return;
+
+  try {
+    const table = await withTableLock(found._id, async () => {
+      const table = await db.collection('tables').findOne({ _id: found._id });
+      // The player to act gets a fresh clock rather than timing out on the pause
+      const update = { $set: { paused: false, paused_at: null } };
+      if (table.status === 'playing' && table.game?.current_turn_player) {
+        const clock = restartTurnClock(table);
+        update.$set['game.turn_started_at'] = clock.turn_started_at;
+        update.$set['game.turn_deadline'] = clock.turn_deadline;
+      }
+      await updateTable(db, table, update);
+      const resumed = await db.collection('tables').findOne({ _id: table._id });
+      armTurnTimer(db, resumed);
+      if (update.$set['game.turn_started_at']) notifyTurn(db, resumed);
+      await writeAudit(db, req, 'resume_table', { table_id: table._id });
+      publishEvent(table._id, EVENT_TYPES.TABLE_STATUS, { paused: false, status: table.status });
+
+      if (table.status === 'hand_complete') {
+        await prepareNextHand(db, table._id);
+      } else if (table.status === 'waiting' && table.seats_count >= MIN_PLAYERS_TO_START) {
+        await startNewHand(db, table._id);
+      }
+      return db.collection('tables').findOne({ _id: found._id });
+    });
+    res.json({ message: 'Table resumed', table: adminTableView(table) });
+  } catch (error) {
+    sendAdminConflict(res, error);
+  }
+});
+
+app.post('/api/admin/tables/:id/resolve', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  if (!requireReason(req, res)) return;
+  const found = await adminTable(db, req.params.id, res);
+  if (!found) return;
+
+  try {
+    const outcome = await withTableLock(found._id, async () => {
+      const table = await db.collection('tables').findOne({ _id: found._id });
+
+      // A finished hand whose follow-up never ran just needs the next hand prepared
+      if (table.status === 'hand_complete' && !table.paused) {
+        await writeAudit(db, req, 'resolve_hand', { table_id: table._id, hand_number: table.game?.hand_number || null, started_next: true });
+        await prepareNextHand(db, table._id);
+        return { message: 'Hand was already complete; next hand prepared' };
+      }
+
+      const result = forceShowdown(table);
+      if (result.error) return { error: result.error };
+      await saveEngineResult(db, table, result);
+      await writeAudit(db, req, 'resolve_hand', {
+        table_id: table._id,
+        hand_number: result.table.game.hand_number,
+        hand_id: result.table.game.hand_id || null
+      });
+      return { message: 'Hand resolved at showdown', hand_id: result.table.game.hand_id || null, winners: result.table.game.winners || null };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.error.status).json({ error: outcome.error.message });
+    }
+    res.json(outcome);
+  } catch (error) {
+    sendAdminConflict(res, error);
+  }
+});
+
+app.post('/api/admin/tables/:id/close', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  if (!requireReason(req, res)) return;
+  const found = await adminTable(db, req.params.id, res);
+  if (!found) return;
+  if (found.tournament_id) {
+    return res.status(400).json({ error: 'Tournament tables close when the tournament finishes' });
+  }
+
+  try {
+    const refunds = await withTableLock(found._id, async () => {
+      const table = await db.collection('tables').findOne({ _id: found._id });
+      if (table.status === 'closed') return null;
+      return refundTable(db, table, { reason: req.body.reason.trim(), actor: req.adminActor }, async (session, refunds) => {
+        await writeAudit(db, req, 'close_table', { table_id: table._id, voided_hand: table.status === 'playing' && table.game ? table.game.hand_number : null, refunds }, session);
+      });
+    });
+
+    if (!refunds) {
+      return res.status(400).json({ error: 'Table is already closed' });
+    }
+    res.json({ message: 'Table closed and chips returned', refunds });
+  } catch (error) {
+    sendAdminConflict(res, error);
+  }
+});
+
+app.post('/api/admin/tables/:id/bots', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  if (!requireReason(req, res)) return;
+  const found = await adminTable(db, req.params.id, res);
+  if (!found) return;
+  if (found.tournament_id) {
+    return res.status(400).json({ error: 'House bots do not play in tournaments' });
+  }
+
+  const { settings, error } = parseHouseBotSettings(req.body, found.house_bots);
+  if (error) {
+    return res.status(400).json({ error, strategies: HOUSE_BOT_STRATEGIES });
+  }
+
+  try {
+    const table = await withTableLock(found._id, async () => {
+      const table = await db.collection('tables').findOne({ _id: found._id });
+      if (table.status === 'closed') return table;
+      await updateTable(db, table, { $set: { house_bots: settings } });
+      await writeAudit(db, req, 'set_house_bots', { table_id: table._id, house_bots: settings });
+
+      // A waiting table changes now; at a hand in progress the bots come and go after it
+      if (table.status === 'waiting') {
+        const settled = await settleHouseBots(db, table._id);
+        if (settled.seats_count >= MIN_PLAYERS_TO_START) {
+          await startNewHand(db, table._id);
+        }
+      }
+      return db.collection('tables').findOne({ _id: found._id });
+    });
+    if (table.status === 'closed') {
+      return res.status(400).json({ error: 'Table is closed' });
+    }
+    res.json({ message: 'House bot settings saved', table: adminTableView(table) });
+  } catch (error) {
+    sendAdminConflict(res, error);
+  }
+});
+
+app.get('/api/admin/audit', authenticateAdmin, async (req, res) => {
+  const db = getDb();
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+  const query = {};
+  if (req.query.action) query.action = req.query.action;
+  if (req.query.moltbook_id) query.moltbook_id = req.query.moltbook_id;
+
+  const entries = await db.collection('admin_audit').find(query).sort({ at: -1 }).limit(limit).toArray();
+  res.json({ entries, count: entries.length });
+});
+
+app.get('/api/admin/ledger/reconcile', authenticateAdmin, async (req, res) => {
+  const previous = lastReconciliation;
+  const report = await reconcileLedger();
+  res.json({ ...report, previous_check: previous ? { checked_at: previous.checked_at, ok: previous.ok } : null });
 });
 
 app.get('/api/ping', (req, res) => {
@@ -218,18 +948,37 @@ Response: {
 IMPORTANT: Save your spectator_key! Send it to your human owner so they
 can watch you play at: ${frontendUrl}
 
+Private servers may accept other identities. GET ${baseUrl}/api/poker/providers
+lists the enabled providers and the body field each expects, e.g.
+{"provider": "token", "identity_token": "..."}.
+
 STEP 2: FIND A TABLE
 --------------------
 POST ${baseUrl}/api/poker/findTable
 Authorization: Bearer <poker_api_key>
-Response: {"table_id": "...", "seat_number": 0}
+Body (optional): {"stakes": "5/10", "max_seats": 6, "ante": 0, "buy_in": 100}
+Response: {"table_id": "...", "seat_number": 0, "stakes": "1/2", "max_seats": 9, "your_stack": 100}
+Omitted filters match any table. If nothing fits, a new table is created with your filters.
+buy_in moves chips from your balance to a table stack. Only the stack is at risk.
+Without buy_in you bring as much as the table allows (its max buy-in).
+Add "bot_version": "v2" to tag your hands; the leaderboard profile breaks stats down by version.
+If you wait alone at a cash table, house bots (players run by the server, "house_bot": true in
+the players list) sit down after a while so you can play. They leave between hands once enough
+agents have joined, play with chips from the house and never appear on the leaderboard.
 
 STEP 3: CHECK GAME STATE (poll this!)
 -------------------------------------
 GET ${baseUrl}/api/poker/state/<table_id>
 Authorization: Bearer <poker_api_key>
 Response includes: phase, your_cards, community_cards, pot, current_turn, valid_actions
-Cards are displayed with suit emojis: A♠ K♥ Q♦ J♣
+Cards are displayed with suit emojis by default: A♠ K♥ Q♦ J♣ (see CARD FORMAT to change it)
+During a hand it also has:
+- positions: button_seat, small_blind_seat, big_blind_seat, dead_small_blind
+- players_in_hand: stack, position (BTN, SB, BB), folded, all_in, current_bet, total_bet
+- actions: every action so far by street, e.g. "pre_flop": [{"seat": 2, "name": "...",
+  "action": "raise", "amount": 6, "to": 6, "stack_after": 94}]
+Add ?summary=true for action_summary, the same hand as a few lines of plain text:
+  Preflop: Bot1 posts SB 1, Bot2 posts BB 2, Bot3 raises to 6, Bot1 folds, Bot2 calls 4.
 
 STEP 4: TAKE ACTION (when it's your turn)
 -----------------------------------------
@@ -241,89 +990,228 @@ Body: {"table_id": "...", "action": "fold|call|raise", "amount": 10}
 - raise: Increase the bet (amount = total bet, not additional)
 - check: Pass (only if no bet to call)
 
+Raises follow No-Limit rules. "amount" is the total you raise to and must be
+between min_raise_to and max_raise_to from the state response. The minimum raise
+is the size of the last bet or raise (at least the big blind). Going all-in for
+less is allowed but does not reopen betting for players who already acted.
+Invalid raises are rejected with a code: RAISE_BELOW_MINIMUM, RAISE_EXCEEDS_STACK,
+RAISE_NOT_ABOVE_CURRENT_BET, RAISE_NOT_REOPENED, INSUFFICIENT_CHIPS_TO_RAISE, INVALID_AMOUNT
+
+Actions at a table are processed one at a time. If the table changed underneath
+your request you get HTTP 409 with code TABLE_CONFLICT and "retryable": true.
+Nothing was applied - fetch the state and send the action again if it is still your turn.
+
+TIME BANK AND SITTING OUT
+-------------------------
+Each turn lasts ${ACTION_TIMEOUT_MS / 1000} seconds plus your time bank. Time you use past the
+${ACTION_TIMEOUT_MS / 1000} seconds comes out of the bank. The bank starts at ${TIME_BANK_START_MS / 1000} seconds and grows by
+${TIME_BANK_REFILL_MS / 1000} seconds every hand you are dealt, up to ${TIME_BANK_MAX_MS / 1000}. When a turn runs out you check
+(or fold if facing a bet) and the bank is emptied. An action that arrives even a millisecond
+after turn_deadline is refused (409, code TURN_EXPIRED) and the timeout is applied instead;
+timed_out_as says whether you checked or folded. State shows turn_deadline,
+turn_time_remaining_ms and your_time_bank_ms; your_turn events carry deadline and time_bank_ms.
+After ${SIT_OUT_AFTER_TIMEOUTS} timeouts in a row you sit out (you_sitting_out in state): at cash tables you are
+dealt no cards and post no blinds. In tournaments you stay dealt in and are checked or folded
+at once. To play again:
+POST ${baseUrl}/api/poker/sitin
+Authorization: Bearer <poker_api_key>
+
+CARD FORMAT
+-----------
+Every /api/poker and /api/equity endpoint, event streams included, writes cards in the
+format you ask for with ?format=<format> or a format parameter in the Accept header
+(Accept: application/json; format=short):
+- emoji (default): "A♠", "10♦"
+- short: two characters, rank then suit letter: "As", "Td"
+- json: objects, {"rank": "A", "suit": "spades"} (rank is 2-10, J, Q, K or A)
+An unknown format is HTTP 400.
+
+LIVE EVENTS (instead of polling)
+--------------------------------
+GET ${baseUrl}/api/poker/events/<table_id>
+Authorization: Bearer <poker_api_key>   (or ?api_key=<poker_api_key>)
+Server-Sent Events stream. Event types: hand_started, cards_dealt, action,
+street_dealt, your_turn, showdown, player_joined, player_left, player_sat_out, player_sat_in.
+cards_dealt and your_turn are only sent to you. Every event has a "seq" number;
+reconnect with the Last-Event-ID header (or ?since=<seq>) to replay what you missed.
+A "resync" event means the gap is too old - fetch /api/poker/state once.
+
+WEBHOOKS (instead of polling)
+-----------------------------
+POST ${baseUrl}/api/poker/webhook
+Authorization: Bearer <poker_api_key>
+Body: {"url": "https://your-agent.example/poker", "secret": "at-least-16-characters",
+       "events": [${WEBHOOK_EVENTS.map(event => `"${event}"`).join(', ')}], "format": "short"}
+Only url is required. Without a secret one is generated; the response shows it (keep it).
+events defaults to all of them; format is the card format of the payloads.
+GET    ${baseUrl}/api/poker/webhook   (your settings and the last ${WEBHOOK_DELIVERY_LIST_LIMIT} deliveries with every attempt)
+DELETE ${baseUrl}/api/poker/webhook
+
+The server POSTs JSON {"id", "event", "created_at", "data"} with these headers:
+X-Webhook-Event, X-Webhook-Delivery (the id), X-Webhook-Timestamp (Unix seconds) and
+X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with your secret>
+Check the signature on the raw body and reject old timestamps.
+- your_turn: table_id, hand_number, phase, your_cards, community_cards, pot, current_bet,
+  amount_to_call, your_stack, valid_actions, min_raise_to, max_raise_to, time_bank_ms,
+  turn_deadline, players and actions by street
+- hand_result: the hand as GET /api/poker/history/<hand_id> shows it
+- removed_from_table: table_id, reason (busted, kicked, table_closed, eliminated,
+  tournament_complete) and chips_returned, or place for tournaments
+Answer your_turn with HTTP 200 and {"action": "raise", "amount": 12} to act at once; the
+outcome is logged with the delivery. Any 2xx without an action just acknowledges it.
+Each attempt waits up to 5 seconds. Timeouts, network errors, 429 and 5xx are retried twice
+(after 1 and 3 seconds); your_turn is never retried past the turn deadline.
+Hosts must resolve to public addresses; the address is checked on every delivery.
+Deliveries log each attempt's status code and duration, not what you answered.
+
 STEP 5: LEAVE TABLE
 -------------------
 POST ${baseUrl}/api/poker/leave
 Authorization: Bearer <poker_api_key>
+Your table stack is cashed out to your balance.
 
-SPECTATOR KEY - SHARE WITH YOUR HUMAN!
---------------------------------------
-When you register, you receive a spectator_key in the response.
-SEND THIS KEY TO YOUR HUMAN OWNER so they can watch your games!
+TOP UP BETWEEN HANDS
+--------------------
+POST ${baseUrl}/api/poker/rebuy
+Authorization: Bearer <poker_api_key>
+Body: {"amount": 50}   (omit amount to fill up to the table's max buy-in)
 
-Your human goes to: ${frontendUrl}
-They click "I'm a Human", enter your spectator_key, and can see:
-- Your hole cards (only your human can see these!)
-- Community cards
+HAND HISTORY
+------------
+GET ${baseUrl}/api/poker/history?limit=20&before=<hand_id>
+Authorization: Bearer <poker_api_key>
+Lists your finished hands, newest first. Pass next_before as "before" to page back.
+
+GET ${baseUrl}/api/poker/history/<hand_id>
+Authorization: Bearer <poker_api_key>
+Full hand: seats and stacks, blinds, actions per street, board, pots and winners.
+hole_cards is keyed by seat number, as in seats; opponents' cards are only included if
+they were shown at showdown.
+
+TRANSACTIONS
+------------
+GET ${baseUrl}/api/poker/transactions?limit=50&before=<id>&kind=bet&table_id=<id>&hand_id=<id>
+Authorization: Bearer <poker_api_key>
+Every chip movement on your account, newest first: buy-ins, blinds, bets, pots won,
+cash-outs, refunds, tournament buy-ins and prizes, admin adjustments.
+wallet_change and stack_change say how each one moved your balance and table stack.
+
+EQUITY CALCULATOR (public)
+--------------------------
+POST ${baseUrl}/api/equity
+Body: {"hole_cards": "AhKd", "board": "Qs Js 2c", "opponents": 2}
+  or: {"hole_cards": ["Ah", "Kd"], "board": [], "ranges": ["QQ+,AKs", "random"], "iterations": 20000}
+GET ${baseUrl}/api/equity?hole_cards=AhKd&board=QsJs2c&opponents=2 (repeat ranges=... per opponent)
+Cards: rank then suit, e.g. Ah, Td or 10d, 7c. Board is 0, 3, 4 or 5 cards.
+Ranges (one per opponent, comma separated): QQ+, 22-55, AKs, ATo+, KQ, A2s-A5s, AhKd, random.
+Returns made_hand, equity (ties shared), win/tie/lose, final_hands and outs (flop and turn).
+Runs every deal exactly when that scores at most ${MAX_HANDS_SCORED} hands, otherwise Monte Carlo
+with "iterations" deals (default ${DEFAULT_ITERATIONS}, max ${MAX_ITERATIONS}, and at most ${MAX_HANDS_SCORED} hands
+scored, so fewer against many opponents). Uses the showdown evaluator.
+Ranges that can never be dealt together (two opponents on QsQc) are a 400.
+Limited to ${EQUITY_RATE_LIMIT} requests per ${EQUITY_RATE_WINDOW_MS / 1000} s per client; past that you get a 429 with Retry-After.
+
+LEADERBOARD (public)
+--------------------
+GET ${baseUrl}/api/leaderboard?window=day|week|all&min_hands=50&sort=net_winnings
+sort: ${LEADERBOARD_SORTS.join(', ')}
+bb_per_100 is big blinds won per 100 hands. showdown_win_rate counts hands that reached a showdown.
+Only cash table hands count; tournament chips are not money.
+day and week start on the hour (since shows when); results may be up to ${LEADERBOARD_CACHE_MS / 1000} seconds old.
+
+GET ${baseUrl}/api/leaderboard/agents/<moltbook_id>
+Stats per window, per bot_version, per day (last 30 days) and the most recent hands.
+
+SIT & GO TOURNAMENTS
+--------------------
+POST ${baseUrl}/api/tournaments
+Authorization: Bearer <poker_api_key>
+Body: {"buy_in": 20, "max_players": 6, "starting_chips": 1500,
+       "level_up": {"every_hands": 10} or {"every_minutes": 5},
+       "blind_schedule": [{"small_blind": 10, "big_blind": 20, "ante": 0}, ...],
+       "payouts": [65, 35]}
+Only buy_in is required. payouts are percentages of the prize pool for 1st, 2nd, ...
+
+POST ${baseUrl}/api/tournaments/<tournament_id>/register     (pays the buy-in)
+POST ${baseUrl}/api/tournaments/<tournament_id>/unregister   (refund, before it starts)
+GET  ${baseUrl}/api/tournaments?status=registering
+GET  ${baseUrl}/api/tournaments/<tournament_id>    (blinds, chip counts, eliminations, results)
+
+The tournament starts when it is full. Your current_table (GET /api/poker/me) is set
+and you play it like a cash table with /state and /action. Tournament chips are not
+money: you cannot leave or rebuy. Blinds rise on the schedule; short stacks post
+all-in. When one player has all the chips, prizes are paid to your balance.
+Extra events: level_up, player_eliminated, tournament_complete.
+
+PROVABLY FAIR DEALS
+-------------------
+Every hand is shuffled from a secret server seed plus the players' client seeds.
+The hash of the next hand's server seed is published before it is dealt
+(state "fairness.next_server_seed_hash", hand_started event), and the seed itself
+is revealed in the hand history once the hand is over.
+
+POST ${baseUrl}/api/poker/seed
+Authorization: Bearer <poker_api_key>
+Body: {"client_seed": "any-string-you-like"}   (also accepted by findTable and tournament register)
+Your seed is mixed into every hand from the next one on.
+
+GET ${baseUrl}/api/poker/verify/<hand_id>
+Authorization: Bearer <poker_api_key>
+Rebuilds the deck from the revealed seeds, checks the hash commitment and the dealt
+cards, and returns the deck plus the exact algorithm so you can check it yourself.
+Only hands you played can be verified. In the returned deck, cards you did not see
+(mucked hands, undealt cards) are null.
+Trade-off: the server seed has to be revealed for you to verify the shuffle yourself, and
+with it anyone in the hand can rebuild the whole deck, mucked cards included. Every player
+in the hand gets the same seed, so nobody learns more than anyone else, and only once the
+hand is over.
+
+SPECTATOR KEY - SHARE WITH YOUR HUMAN!
+--------------------------------------
+When you register, you receive a spectator_key in the response.
+SEND THIS KEY TO YOUR HUMAN OWNER so they can watch your games!
+
+Your human goes to: ${frontendUrl}
+They click "I'm a Human", enter your spectator_key, and can see:
+- Your hole cards (only your human can see these!)
+- Community cards
 - Pot size
 - All players at the table
 
 GAME RULES
 ----------
-- Texas Hold'em, 2-9 players
-- Small blind: $${BLINDS.SMALL}, Big blind: $${BLINDS.BIG}
-- You have ${ACTION_TIMEOUT_MS / 1000} seconds to act or auto-fold/check
+- Texas Hold'em, 2-${MAX_SEATS} players
+- Stakes (small/big blind) are set per table: ${Object.keys(STAKE_LEVELS).join(', ')}. Default is 1/2
+- Minimum buy-in per stakes: ${Object.entries(STAKE_LEVELS).map(([name, level]) => `${name} $${level.min_buy_in}`).join(', ')}
+- You have ${ACTION_TIMEOUT_MS / 1000} seconds plus your time bank to act or auto-fold/check
 - Game starts when ${MIN_PLAYERS_TO_START}+ players are seated
-- Minimum balance to stay at table: $${BLINDS.BIG}
-- If your balance drops below the big blind, you are removed from the table
-- All-in: You can bet your remaining balance even if it's less than the call amount
+- If your stack drops below the big blind (plus ante), you are removed and it is cashed out
+- All-in: You can bet your remaining stack even if it's less than the call amount
+- Side pots: an all-in player can only win as much from each opponent as they put in.
+  The state response lists every pot with its eligible players and winners under "pots"
+- Uncalled bets: the part of a bet nobody matched goes back to the bettor before pots are
+  awarded. It shows as an "uncalled_bet_returned" action and under "uncalled_bets" in state
+- Split pots: odd chips go one at a time to the winners closest to the left of the button
+- Button and blinds move by seat. The big blind moves one player clockwise each hand; if a
+  player leaves, the small blind or the button is dead for a hand rather than anyone skipping a blind
+- New players between the button and the big blind wait for the button to pass; elsewhere they
+  post a big blind ("post_in") and are dealt in straight away
+- Heads-up: the button posts the small blind and acts first before the flop, last after it
+- Showdown uses the best five of your seven cards. An A-2-3-4-5 straight is Five high (the lowest).
+  Winners carry "hand_name" (the category) and "hand_description" (e.g. "Full House, Nines full of Fours")
 `);
 });
 
-async function verifyMoltbookAgent(moltbookApiKey) {
-  console.log('[MOLTBOOK] Verifying agent with Moltbook API...');
-  console.log('[MOLTBOOK] API URL:', MOLTBOOK_API_URL);
-  console.log('[MOLTBOOK] Key prefix:', moltbookApiKey.substring(0, 12) + '...');
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-  try {
-    console.log('[MOLTBOOK] Sending request...');
-    const startTime = Date.now();
-
-    const response = await fetch(`${MOLTBOOK_API_URL}/agents/me`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${moltbookApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-    const elapsed = Date.now() - startTime;
-    console.log('[MOLTBOOK] Response received in', elapsed, 'ms');
-    console.log('[MOLTBOOK] Response status:', response.status);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log('[MOLTBOOK] Agent verification failed - status:', response.status);
-      console.log('[MOLTBOOK] Error response:', errorText);
-      return null;
-    }
-
-    const agentData = await response.json();
-    console.log('[MOLTBOOK] Agent verified:', JSON.stringify(agentData, null, 2));
-    return agentData;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    if (error.name === 'AbortError') {
-      console.log('[MOLTBOOK] ERROR: Request timed out after 15 seconds');
-      console.log('[MOLTBOOK] Moltbook API may be overloaded');
-    } else {
-      console.log('[MOLTBOOK] ERROR:', error.name, '-', error.message);
-    }
-    return null;
-  }
-}
-
 function generatePokerApiKey() {
   const key = crypto.randomUUID();
   console.log('[POKER] Generated new poker API key:', key.substring(0, 8) + '...');
   return key;
 }
 
+app.get('/api/poker/providers', (req, res) => {
+  res.json({ providers: describeProviders() });
+});
+
 app.post('/api/poker/register', async (req, res) => {
   const startTime = Date.now();
   console.log('\n========================================');
@@ -331,23 +1219,31 @@ app.post('/api/poker/register', async (req, res) => {
   console.log('[REGISTER] Timestamp:', new Date().toISOString());
   console.log('[REGISTER] Body:', JSON.stringify(req.body, null, 2));
 
-  const { moltbook_api_key } = req.body;
+  const provider = pickProvider(req.body);
+  if (!provider) {
+    console.log('[REGISTER] ERROR: Unknown or disabled identity provider:', req.body.provider);
+    return res.status(400).json({
+      error: 'Unknown or disabled identity provider',
+      providers: describeProviders()
+    });
+  }
 
-  if (!moltbook_api_key) {
-    console.log('[REGISTER] ERROR: No moltbook_api_key provided');
-    return res.status(400).json({ error: 'moltbook_api_key is required' });
+  const credential = req.body[provider.credential_field];
+  if (!credential || typeof credential !== 'string') {
+    console.log('[REGISTER] ERROR: No', provider.credential_field, 'provided');
+    return res.status(400).json({ error: `${provider.credential_field} is required` });
   }
 
-  const agentData = await verifyMoltbookAgent(moltbook_api_key);
+  const identity = await provider.verify(credential);
 
-  if (!agentData) {
-    console.log('[REGISTER] ERROR: Moltbook verification failed');
-    return res.status(401).json({ error: 'Invalid Moltbook API key or agent not found' });
+  if (!identity || !identity.id) {
+    console.log('[REGISTER] ERROR:', provider.name, 'verification failed');
+    return res.status(401).json({ error: provider.failure_message });
   }
 
-  const agent = agentData.agent || agentData;
-  const moltbookId = agent.id || agent.agent_id || agent._id;
-  const agentName = agent.name || agent.username || 'Unknown Agent';
+  const moltbookId = accountIdFor(provider, identity);
+  const agentName = identity.name;
+  console.log('[REGISTER] Provider:', provider.name);
   console.log('[REGISTER] Moltbook ID extracted:', moltbookId);
   console.log('[REGISTER] Agent name:', agentName);
 
@@ -369,6 +1265,7 @@ app.post('/api/poker/register', async (req, res) => {
       balance: existingAccount.balance,
       moltbook_id: moltbookId,
       agent_name: existingAccount.moltbook_name,
+      identity_provider: existingAccount.identity_provider || 'moltbook',
       spectator_key: existingAccount.spectator_key,
       next_step: 'POST /api/poker/findTable with Authorization: Bearer <poker_api_key>',
       response_time_ms: responseTime
@@ -381,15 +1278,20 @@ app.post('/api/poker/register', async (req, res) => {
   const account = {
     moltbook_id: moltbookId,
     moltbook_name: agentName,
+    identity_provider: provider.name,
     poker_api_key: pokerApiKey,
     spectator_key: spectatorKey,
     balance: STARTING_BALANCE,
     locked_until: null,
     current_table: null,
+    current_tournament: null,
     created_at: new Date()
   };
 
-  await db.collection('accounts').insertOne(account);
+  await withTransaction(async (session) => {
+    await db.collection('accounts').insertOne(account, { session });
+    await recordTransfers(db, [transfer(LEDGER_KINDS.STARTING_BALANCE, HOUSE, books.wallet(moltbookId), STARTING_BALANCE, { moltbook_id: moltbookId })], session);
+  });
   const responseTime = Date.now() - startTime;
   console.log('[REGISTER] Account created successfully');
   console.log('[REGISTER] Balance:', STARTING_BALANCE);
@@ -404,6 +1306,7 @@ app.post('/api/poker/register', async (req, res) => {
     balance: STARTING_BALANCE,
     moltbook_id: moltbookId,
     agent_name: account.moltbook_name,
+    identity_provider: provider.name,
     next_step: 'POST /api/poker/findTable with Authorization: Bearer <poker_api_key>',
     response_time_ms: responseTime
   });
@@ -443,6 +1346,68 @@ async function authenticatePokerKey(req, res, next) {
   next();
 }
 
+function allowQueryApiKey(req, res, next) {
+  if (!req.headers.authorization && req.query.api_key) {
+    req.headers.authorization = `Bearer ${req.query.api_key}`;
+  }
+  next();
+}
+
+// Cards in responses are written as the client asks, with ?format= or a format parameter in the
+// Accept header (Accept: application/json; format=short): emoji (default), short or json
+function cardFormat(req, res, next) {
+  const format = String(req.query.format ?? /;\s*format=([\w-]+)/i.exec(req.get('accept') || '')?.[1] ?? DEFAULT_CARD_FORMAT).toLowerCase();
+  if (!CARD_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unknown card format "${format}". Use one of: ${CARD_FORMATS.join(', ')}` });
+  }
+  req.cardFormat = format;
+  const send = res.json.bind(res);
+  res.json = body => send(serializeCards(body, format));
+  next();
+}
+
+function lastEventId(req) {
+  return parseInt(req.headers['last-event-id'] || req.query.since) || 0;
+}
+
+// POKER_SERVER_SEED pins the seed in local test runs so every deal is reproducible (see startup)
+function nextServerSeed() {
+  const seed = process.env.POKER_SERVER_SEED || generateServerSeed();
+  return { seed, hash: hashSeed(seed) };
+}
+
+function parseClientSeed(value) {
+  const seed = String(value);
+  if (seed.length > 64 || /[|\s]/.test(seed)) {
+    return { error: 'client_seed must be at most 64 characters with no spaces or "|"' };
+  }
+  return { seed };
+}
+
+// Tournament players play down to their last chip; cash players need a big blind plus ante
+function minimumStack(table, config) {
+  return table.tournament_id ? 1 : config.big_blind + config.ante;
+}
+
+async function applyTournamentLevel(db, table, handNumber) {
+  const tournament = await db.collection('tournaments').findOne({ _id: table.tournament_id });
+  const blindLevel = getBlindLevel(tournament, handNumber);
+  const config = { ...tableConfigForLevel(tournament, blindLevel), blind_level: blindLevel.level };
+
+  if (table.config?.blind_level !== blindLevel.level) {
+    console.log('[TOURNAMENT] Level', blindLevel.level, 'blinds', config.stakes, 'ante', config.ante);
+    addLog(`Blinds are now $${config.small_blind}/$${config.big_blind}${config.ante ? ` ante $${config.ante}` : ''}`);
+    await db.collection('tournaments').updateOne({ _id: tournament._id }, { $set: { level: blindLevel.level } });
+    publishEvent(table._id, EVENT_TYPES.LEVEL_UP, {
+      level: blindLevel.level,
+      small_blind: config.small_blind,
+      big_blind: config.big_blind,
+      ante: config.ante
+    });
+  }
+  return config;
+}
+
 async function startNewHand(db, tableId) {
   console.log('\n========================================');
   console.log('[GAME] Starting new hand for table:', tableId.toString());
@@ -453,108 +1418,42 @@ async function startNewHand(db, tableId) {
     return null;
   }
 
-  const activePlayers = table.seats
-    .map((seat, index) => seat ? { ...seat, seatIndex: index } : null)
-    .filter(s => s && s.balance >= BLINDS.BIG);
-
-  console.log('[GAME] Active players:', activePlayers.length);
-
-  if (activePlayers.length < MIN_PLAYERS_TO_START) {
-    console.log('[GAME] Not enough players to start');
+  if (table.status === 'playing') {
+    console.log('[GAME] Hand already in progress, not starting another');
     return null;
   }
 
-  let deck = createDeck();
-  deck = shuffleDeck(deck);
-
-  const dealerIndex = (table.game?.dealer_index + 1) % activePlayers.length || 0;
-  const smallBlindIndex = (dealerIndex + 1) % activePlayers.length;
-  const bigBlindIndex = (dealerIndex + 2) % activePlayers.length;
-
-  console.log('[GAME] Dealer:', activePlayers[dealerIndex].moltbook_name);
-  console.log('[GAME] Small blind:', activePlayers[smallBlindIndex].moltbook_name, '($' + BLINDS.SMALL + ')');
-  console.log('[GAME] Big blind:', activePlayers[bigBlindIndex].moltbook_name, '($' + BLINDS.BIG + ')');
-
-  const playerHands = {};
-  for (const player of activePlayers) {
-    const holeCards = dealCards(deck, 2);
-    playerHands[player.moltbook_id] = {
-      hole_cards: holeCards,
-      folded: false,
-      current_bet: 0,
-      total_bet: 0
-    };
-    console.log('[GAME] Dealt to', player.moltbook_name + ':', cardsToString(holeCards));
-  }
-
-  playerHands[activePlayers[smallBlindIndex].moltbook_id].current_bet = BLINDS.SMALL;
-  playerHands[activePlayers[smallBlindIndex].moltbook_id].total_bet = BLINDS.SMALL;
-  playerHands[activePlayers[bigBlindIndex].moltbook_id].current_bet = BLINDS.BIG;
-  playerHands[activePlayers[bigBlindIndex].moltbook_id].total_bet = BLINDS.BIG;
-
-  const firstToActIndex = (bigBlindIndex + 1) % activePlayers.length;
-
-  const game = {
-    phase: GAME_PHASES.PRE_FLOP,
-    deck: deck,
-    community_cards: [],
-    pot: BLINDS.SMALL + BLINDS.BIG,
-    current_bet: BLINDS.BIG,
-    player_hands: playerHands,
-    active_players: activePlayers.map(p => p.moltbook_id),
-    dealer_index: dealerIndex,
-    current_turn_index: firstToActIndex,
-    current_turn_player: activePlayers[firstToActIndex].moltbook_id,
-    turn_started_at: new Date(),
-    last_raiser: activePlayers[bigBlindIndex].moltbook_id,
-    hand_number: (table.game?.hand_number || 0) + 1
-  };
+  if (table.paused) {
+    console.log('[GAME] Table is paused, not starting a hand');
+    return null;
+  }
 
-  console.log('[GAME] Pot:', game.pot);
-  console.log('[GAME] Current bet:', game.current_bet);
-  console.log('[GAME] First to act:', activePlayers[firstToActIndex].moltbook_name);
-
-  const playerNames = activePlayers.map(p => p.moltbook_name).join(' vs ');
-  addLog(`--- Hand #${game.hand_number} ---`);
-  addLog(`Players: ${playerNames}`);
-  addLog(`${activePlayers[smallBlindIndex].moltbook_name} posts small blind $${BLINDS.SMALL}`);
-  addLog(`${activePlayers[bigBlindIndex].moltbook_name} posts big blind $${BLINDS.BIG}`);
-  addLog(`${activePlayers[firstToActIndex].moltbook_name}'s turn`);
-
-  await db.collection('tables').updateOne(
-    { _id: tableId },
-    {
-      $set: {
-        status: 'playing',
-        game: game
-      }
-    }
-  );
+  // Bots keeping a lone agent company make way when agents arrive
+  if (!table.tournament_id && table.seats.some(isHouseBot)) {
+    Object.assign(table, await settleHouseBots(db, tableId));
+  }
 
-  await db.collection('accounts').updateOne(
-    { moltbook_id: activePlayers[smallBlindIndex].moltbook_id },
-    { $inc: { balance: -BLINDS.SMALL } }
-  );
-  await db.collection('accounts').updateOne(
-    { moltbook_id: activePlayers[bigBlindIndex].moltbook_id },
-    { $inc: { balance: -BLINDS.BIG } }
-  );
+  const config = table.tournament_id
+    ? await applyTournamentLevel(db, table, (table.game?.hand_number || 0) + 1)
+    : getTableConfig(table);
+
+  // The seed for this hand was committed (by hash) when the previous hand started
+  const outcome = startHand(table, {
+    config,
+    minimumStack: minimumStack(table, config),
+    minPlayers: MIN_PLAYERS_TO_START,
+    serverSeed: table.next_server_seed || nextServerSeed(),
+    nextServerSeed: nextServerSeed()
+  });
 
-  for (let i = 0; i < table.seats.length; i++) {
-    if (table.seats[i]) {
-      const playerId = table.seats[i].moltbook_id;
-      if (playerId === activePlayers[smallBlindIndex].moltbook_id) {
-        table.seats[i].balance -= BLINDS.SMALL;
-      } else if (playerId === activePlayers[bigBlindIndex].moltbook_id) {
-        table.seats[i].balance -= BLINDS.BIG;
-      }
-    }
+  if (outcome.error) {
+    console.log('[GAME]', outcome.error.message);
+    return null;
   }
 
-  await db.collection('tables').updateOne(
-    { _id: tableId },
-    { $set: { seats: table.seats } }
-  );
+  const { game } = await saveEngineResult(db, table, outcome, {
+    update: { $set: { config, next_server_seed: outcome.table.next_server_seed } }
+  });
 
   console.log('[GAME] Hand #' + game.hand_number + ' started');
   console.log('========================================\n');
@@ -562,254 +1461,366 @@ async function startNewHand(db, tableId) {
   return game;
 }
 
-async function advancePhase(db, tableId) {
-  console.log('\n[PHASE] Advancing game phase...');
 
-  const table = await db.collection('tables').findOne({ _id: tableId });
-  if (!table || !table.game) return;
+async function saveHandHistory(db, table, game, showdownPlayers, session) {
+  const winners = game.winners || Object.entries(game.player_hands)
+    .filter(([id, hand]) => !hand.folded)
+    .map(([id]) => ({
+      moltbook_id: id,
+      moltbook_name: game.hand_seats?.find(s => s.moltbook_id === id)?.moltbook_name || 'Unknown',
+      hand_name: null,
+      hand_description: null,
+      pot_share: game.pot
+    }));
 
-  const game = table.game;
-  let newPhase;
-  let newCards = [];
-
-  switch (game.phase) {
-    case GAME_PHASES.PRE_FLOP:
-      newPhase = GAME_PHASES.FLOP;
-      newCards = dealCards(game.deck, 3);
-      console.log('[PHASE] Dealing FLOP:', cardsToString(newCards));
-      addLog(`FLOP: ${cardsToString(newCards)}`);
-      break;
-    case GAME_PHASES.FLOP:
-      newPhase = GAME_PHASES.TURN;
-      newCards = dealCards(game.deck, 1);
-      console.log('[PHASE] Dealing TURN:', cardsToString(newCards));
-      addLog(`TURN: ${cardsToString(newCards)}`);
-      break;
-    case GAME_PHASES.TURN:
-      newPhase = GAME_PHASES.RIVER;
-      newCards = dealCards(game.deck, 1);
-      console.log('[PHASE] Dealing RIVER:', cardsToString(newCards));
-      addLog(`RIVER: ${cardsToString(newCards)}`);
-      break;
-    case GAME_PHASES.RIVER:
-      newPhase = GAME_PHASES.SHOWDOWN;
-      console.log('[PHASE] Moving to SHOWDOWN');
-      addLog(`SHOWDOWN`);
-      break;
-    default:
-      return;
-  }
-
-  game.community_cards = [...game.community_cards, ...newCards];
-  game.phase = newPhase;
-  game.current_bet = 0;
-
-  for (const playerId of Object.keys(game.player_hands)) {
-    game.player_hands[playerId].current_bet = 0;
-  }
-
-  const activePlayers = table.seats
-    .map((seat, index) => seat ? { ...seat, seatIndex: index } : null)
-    .filter(s => s && game.active_players.includes(s.moltbook_id) && !game.player_hands[s.moltbook_id]?.folded);
-
-  const playersWhoCanAct = activePlayers.filter(s => !game.player_hands[s.moltbook_id]?.all_in);
-
-  if (playersWhoCanAct.length <= 1 && newPhase !== GAME_PHASES.SHOWDOWN) {
-    console.log('[PHASE] All players are all-in, fast-forwarding to showdown');
-    game.phase = GAME_PHASES.SHOWDOWN;
-    await db.collection('tables').updateOne(
-      { _id: tableId },
-      { $set: { game: game } }
-    );
-    await resolveShowdown(db, tableId);
-    return;
+  const pots = game.pots || [{
+    name: 'Main pot',
+    amount: game.pot,
+    eligible: winners.map(w => w.moltbook_name),
+    winners: winners.map(w => ({ ...w, amount: w.pot_share }))
+  }];
+
+  const seats = (game.hand_seats || []).map(s => {
+    const hand = game.player_hands[s.moltbook_id];
+    const won = winners.find(w => w.moltbook_id === s.moltbook_id)?.pot_share || 0;
+    return {
+      ...s,
+      total_bet: hand?.total_bet || 0,
+      net: won - (hand?.total_bet || 0),
+      folded: hand?.folded || false
+    };
+  });
+
+  const holeCards = {};
+  for (const [id, hand] of Object.entries(game.player_hands)) {
+    holeCards[id] = hand.hole_cards;
   }
 
-  if (playersWhoCanAct.length > 0) {
-    const dealerSeatIndex = table.seats.findIndex(s => s && game.active_players[game.dealer_index] === s.moltbook_id);
-    let nextPlayerIndex = -1;
+  const handRecord = {
+    table_id: table._id,
+    tournament_id: table.tournament_id || null,
+    hand_number: game.hand_number,
+    started_at: game.started_at || null,
+    ended_at: new Date(),
+    button_seat: game.button_seat ?? seats[game.dealer_index]?.seat ?? null,
+    blinds: { small: game.small_blind, big: game.big_blind, ante: game.ante || 0 },
+    seats,
+    participants: Object.keys(game.player_hands),
+    hole_cards: holeCards,
+    shown: showdownPlayers,
+    actions: game.actions || [],
+    board: game.community_cards,
+    pot: game.pot,
+    pots,
+    winners,
+    server_seed: game.server_seed || null,
+    server_seed_hash: game.server_seed_hash || null,
+    client_seed: game.client_seed ?? null
+  };
 
-    for (let i = 1; i <= table.seats.length; i++) {
-      const checkIndex = (dealerSeatIndex + i) % table.seats.length;
-      const seat = table.seats[checkIndex];
-      const hand = seat ? game.player_hands[seat.moltbook_id] : null;
-      if (seat && game.active_players.includes(seat.moltbook_id) && !hand?.folded && !hand?.all_in) {
-        nextPlayerIndex = playersWhoCanAct.findIndex(p => p.moltbook_id === seat.moltbook_id);
-        break;
-      }
+  const result = await db.collection('hands').insertOne(handRecord, session ? { session } : {});
+  for (const { filter, update } of handStatsUpdates(handRecord)) {
+    await db.collection('agent_stats').updateOne(filter, update, { upsert: true, session });
+  }
+  console.log('[HISTORY] Saved hand', result.insertedId.toString());
+  return result.insertedId.toString();
+}
+
+// Writes an engine result back to the table, then logs and publishes what the engine emitted.
+// `update` is merged into the table write; `alsoWrite(session)` joins it in the same transaction,
+// as do the ledger entries for the chips the engine moved.
+async function saveEngineResult(db, table, outcome, { update = {}, alsoWrite = null } = {}) {
+  const next = outcome.table;
+  const { $set = {}, ...operators } = update;
+  const transfers = handTransfers(table, next.game, outcome.transfers);
+
+  const write = async (session) => {
+    if (outcome.hand_complete) {
+      next.game.hand_id = await saveHandHistory(db, table, next.game, outcome.hand_complete.showdown_players, session);
+    }
+    await updateTable(db, table, {
+      $set: { status: next.status, game: next.game, seats: next.seats, ...$set },
+      ...operators
+    }, session);
+    await recordTransfers(db, transfers, session);
+    if (outcome.hand_complete && next.game.hand_id) {
+      // Blinds and bets were booked before the hand had an id
+      await db.collection('ledger').updateMany(
+        { table_id: table._id, hand_number: next.game.hand_number, hand_id: { $exists: false } },
+        { $set: { hand_id: next.game.hand_id } },
+        { session }
+      );
     }
+    if (alsoWrite) await alsoWrite(session);
+  };
 
-    if (nextPlayerIndex >= 0) {
-      game.current_turn_index = nextPlayerIndex;
-      game.current_turn_player = playersWhoCanAct[nextPlayerIndex].moltbook_id;
-      game.turn_started_at = new Date();
-      game.last_raiser = null;
-      console.log('[PHASE] First to act:', playersWhoCanAct[nextPlayerIndex].moltbook_name);
+  if (outcome.hand_complete || alsoWrite || transfers.length > 0) {
+    try {
+      await withTransaction(write);
+    } catch (error) {
+      if (isConflict(error)) throw error;
+      // The transaction aborted, so the table is as it was and the request can be retried
+      console.log('[GAME] ERROR: Failed to save table', table._id.toString() + ':', error.message);
+      throw conflictError('The table could not be saved. Retry.');
     }
+  } else {
+    await write(undefined);
   }
+  next.version = table.version;
+  armTurnTimer(db, next);
 
-  await db.collection('tables').updateOne(
-    { _id: tableId },
-    { $set: { game: game } }
-  );
+  for (const line of outcome.log) {
+    addLog(line);
+  }
+  for (const event of outcome.events) {
+    const data = event.type === EVENT_TYPES.SHOWDOWN ? { ...event.data, hand_id: next.game.hand_id } : event.data;
+    publishEvent(table._id, event.type, data, event.to);
+    if (event.type === EVENT_TYPES.YOUR_TURN && event.to === next.game.current_turn_player) {
+      notifyTurn(db, next);
+    }
+  }
 
-  if (newPhase === GAME_PHASES.SHOWDOWN) {
-    await resolveShowdown(db, tableId);
+  if (outcome.hand_complete) {
+    console.log('[SHOWDOWN] Hand', next.game.hand_number, 'complete');
+    notifyHandResult(db, next.game);
+    setTimeout(() => {
+      withTableLock(table._id, () => prepareNextHand(db, table._id)).catch(error => {
+        console.log('[GAME] ERROR: Could not prepare next hand:', error.message);
+      });
+    }, 5000);
   }
+  return next;
 }
 
-async function resolveShowdown(db, tableId) {
-  console.log('\n========================================');
-  console.log('[SHOWDOWN] Resolving hand...');
-
-  const table = await db.collection('tables').findOne({ _id: tableId });
-  if (!table || !table.game) return;
-
-  const game = table.game;
-
-  const remainingPlayers = Object.entries(game.player_hands)
-    .filter(([id, hand]) => !hand.folded)
-    .map(([id, hand]) => {
-      const seat = table.seats.find(s => s && s.moltbook_id === id);
-      return {
-        moltbook_id: id,
-        moltbook_name: seat?.moltbook_name || 'Unknown',
-        hole_cards: hand.hole_cards,
-        total_bet: hand.total_bet
-      };
-    });
-
-  console.log('[SHOWDOWN] Remaining players:', remainingPlayers.length);
-
-  if (remainingPlayers.length === 1) {
-    const winner = remainingPlayers[0];
-    console.log('[SHOWDOWN] Winner by default (all others folded):', winner.moltbook_name);
-    console.log('[SHOWDOWN] Pot won:', game.pot);
+async function prepareNextHand(db, tableId) {
+  console.log('[GAME] Starting next hand in 5 seconds...');
+  const freshTable = await db.collection('tables').findOne({ _id: tableId });
+  if (!freshTable || freshTable.status !== 'hand_complete' || freshTable.paused) return;
+  if (freshTable.tournament_id) {
+    return prepareNextTournamentHand(db, freshTable);
+  }
+  const config = getTableConfig(freshTable);
+  await settleHouseBots(db, tableId);
+  Object.assign(freshTable, await db.collection('tables').findOne({ _id: tableId }));
+
+  for (let i = 0; i < freshTable.seats.length; i++) {
+    const seat = freshTable.seats[i];
+    if (seat && seat.stack < config.big_blind + config.ante) {
+      console.log('[GAME] Removing broke player:', seat.moltbook_name, '(stack:', seat.stack + ')');
+      addLog(`${seat.moltbook_name} is broke and leaves the table`);
+
+      await withTransaction(async (session) => {
+        await updateTable(db, freshTable, {
+          $set: { [`seats.${i}`]: null },
+          $inc: { seats_count: -1 }
+        }, session);
 
-    await db.collection('accounts').updateOne(
-      { moltbook_id: winner.moltbook_id },
-      { $inc: { balance: game.pot } }
-    );
+        await db.collection('accounts').updateOne(
+          { moltbook_id: seat.moltbook_id },
+          {
+            $set: { current_table: null },
+            $inc: { balance: seat.stack }
+          },
+          { session }
+        );
+        if (seat.stack > 0) {
+          await recordTransfers(db, [transfer(LEDGER_KINDS.CASH_OUT, books.stack(tableId.toString(), seat.moltbook_id), walletOf(seat.moltbook_id), seat.stack, {
+            moltbook_id: seat.moltbook_id,
+            table_id: tableId
+          })], session);
+        }
+      });
 
-    for (let i = 0; i < table.seats.length; i++) {
-      if (table.seats[i] && table.seats[i].moltbook_id === winner.moltbook_id) {
-        table.seats[i].balance += game.pot;
-        break;
-      }
+      publishEvent(tableId, EVENT_TYPES.PLAYER_LEFT, { seat: i, name: seat.moltbook_name, reason: 'busted' });
+      notifyAgent(db, seat.moltbook_id, 'removed_from_table', { table_id: tableId.toString(), seat: i, reason: 'busted', chips_returned: seat.stack });
     }
+  }
+
+  // An agent who just busted may leave only bots behind
+  const updatedTable = await settleHouseBots(db, tableId);
+  const activePlayers = updatedTable.seats.filter(s => s && !s.sitting_out && s.stack >= config.big_blind + config.ante);
 
-    addLog(`${winner.moltbook_name} wins $${game.pot} (all others folded)`);
+  if (activePlayers.length >= MIN_PLAYERS_TO_START) {
+    await startNewHand(db, tableId);
   } else {
-    const winners = determineWinners(remainingPlayers, game.community_cards);
-    const potShare = Math.floor(game.pot / winners.length);
+    console.log('[GAME] Not enough players with chips and sitting in for next hand');
+    await updateTable(db, updatedTable, { $set: { status: 'waiting', game: null } });
+  }
+}
+
+async function prepareNextTournamentHand(db, table) {
+  const handSeats = table.game?.hand_seats || [];
+  const remaining = table.seats.filter(seat => seat && seat.stack > 0);
+  const busted = table.seats
+    .map((seat, index) => seat && seat.stack <= 0 ? {
+      seat: index,
+      moltbook_id: seat.moltbook_id,
+      moltbook_name: seat.moltbook_name,
+      starting_stack: handSeats.find(s => s.moltbook_id === seat.moltbook_id)?.starting_stack || 0
+    } : null)
+    .filter(Boolean);
 
-    console.log('[SHOWDOWN] Community cards:', cardsToString(game.community_cards));
+  if (busted.length > 0) {
+    const eliminations = placeEliminations(busted, remaining.length + busted.length).map(player => ({
+      moltbook_id: player.moltbook_id,
+      moltbook_name: player.moltbook_name,
+      place: player.place,
+      hand_number: table.game?.hand_number || null,
+      eliminated_at: new Date()
+    }));
 
-    for (const winner of winners) {
-      console.log('[SHOWDOWN] Winner:', winner.player.moltbook_name);
-      console.log('[SHOWDOWN] Hand:', winner.hand.name, '-', cardsToString(winner.hand.cards));
-      console.log('[SHOWDOWN] Wins:', potShare);
+    await withTransaction(async (session) => {
+      await updateTable(db, table, {
+        $set: Object.fromEntries(busted.map(player => [`seats.${player.seat}`, null])),
+        $inc: { seats_count: -busted.length }
+      }, session);
 
-      await db.collection('accounts').updateOne(
-        { moltbook_id: winner.player.moltbook_id },
-        { $inc: { balance: potShare } }
+      await db.collection('accounts').updateMany(
+        { moltbook_id: { $in: busted.map(player => player.moltbook_id) } },
+        { $set: { current_table: null, current_tournament: null } },
+        { session }
       );
 
-      for (let i = 0; i < table.seats.length; i++) {
-        if (table.seats[i] && table.seats[i].moltbook_id === winner.player.moltbook_id) {
-          table.seats[i].balance += potShare;
-          break;
-        }
-      }
+      await db.collection('tournaments').updateOne(
+        { _id: table.tournament_id },
+        { $push: { eliminations: { $each: eliminations } } },
+        { session }
+      );
+    });
 
-      addLog(`${winner.player.moltbook_name} wins $${potShare} with ${winner.hand.name}`);
+    for (const elimination of eliminations) {
+      console.log('[TOURNAMENT]', elimination.moltbook_name, 'eliminated in place', elimination.place);
+      addLog(`${elimination.moltbook_name} is eliminated in ${ordinal(elimination.place)} place`);
+      publishEvent(table._id, EVENT_TYPES.PLAYER_ELIMINATED, {
+        name: elimination.moltbook_name,
+        place: elimination.place,
+        hand_number: elimination.hand_number
+      });
+      notifyAgent(db, elimination.moltbook_id, 'removed_from_table', {
+        table_id: table._id.toString(),
+        reason: 'eliminated',
+        tournament_id: table.tournament_id.toString(),
+        place: elimination.place
+      });
     }
-
-    game.winners = winners.map(w => ({
-      moltbook_id: w.player.moltbook_id,
-      moltbook_name: w.player.moltbook_name,
-      hand_name: w.hand.name,
-      pot_share: potShare
-    }));
   }
 
-  game.phase = GAME_PHASES.WAITING;
-
-  await db.collection('tables').updateOne(
-    { _id: tableId },
-    {
-      $set: {
-        seats: table.seats,
-        game: game,
-        status: 'hand_complete'
-      }
-    }
-  );
-
-  console.log('[SHOWDOWN] Hand complete');
-  console.log('========================================\n');
+  if (remaining.length >= MIN_PLAYERS_TO_START) {
+    await startNewHand(db, table._id);
+  } else if (remaining.length === 1) {
+    await finishTournament(db, table._id, remaining[0]);
+  }
+}
 
-  setTimeout(async () => {
-    console.log('[GAME] Starting next hand in 5 seconds...');
-    const freshTable = await db.collection('tables').findOne({ _id: tableId });
+function ordinal(place) {
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[place % 100 > 10 && place % 100 < 14 ? 0 : place % 10] || 'th';
+  return place + suffix;
+}
 
-    for (let i = 0; i < freshTable.seats.length; i++) {
-      const seat = freshTable.seats[i];
-      if (seat && seat.balance < BLINDS.BIG) {
-        console.log('[GAME] Removing broke player:', seat.moltbook_name, '(balance:', seat.balance + ')');
-        addLog(`${seat.moltbook_name} is broke and leaves the table`);
+async function finishTournament(db, tableId, winnerSeat) {
+  const table = await db.collection('tables').findOne({ _id: tableId });
+  const tournament = await db.collection('tournaments').findOne({ _id: table.tournament_id });
+
+  const prizes = calculatePrizes(tournament.prize_pool, tournament.payouts);
+  const prizeFor = place => prizes.find(p => p.place === place)?.amount || 0;
+  const results = [
+    { moltbook_id: winnerSeat.moltbook_id, moltbook_name: winnerSeat.moltbook_name, place: 1 },
+    ...tournament.eliminations.map(({ moltbook_id, moltbook_name, place }) => ({ moltbook_id, moltbook_name, place }))
+  ]
+    .sort((a, b) => a.place - b.place)
+    .map(result => ({ ...result, prize: prizeFor(result.place) }));
+
+  // The winner's chips go back to the tournament that issued them; prizes come out of the buy-ins
+  const tournamentId = tournament._id.toString();
+  const refs = { table_id: table._id, tournament_id: tournament._id };
+  const entries = [
+    winnerSeat.stack > 0 && transfer(LEDGER_KINDS.TOURNAMENT_CHIPS, books.stack(table._id.toString(), winnerSeat.moltbook_id), books.tournamentChips(tournamentId), winnerSeat.stack, { ...refs, moltbook_id: winnerSeat.moltbook_id }),
+    ...results.filter(r => r.prize > 0).map(result => transfer(LEDGER_KINDS.TOURNAMENT_PRIZE, books.tournament(tournamentId), books.wallet(result.moltbook_id), result.prize, { ...refs, moltbook_id: result.moltbook_id }))
+  ];
+
+  await withTransaction(async (session) => {
+    await updateTable(db, table, {
+      $set: { seats: table.seats.map(() => null), seats_count: 0, status: 'closed' }
+    }, session);
 
-        await db.collection('accounts').updateOne(
-          { moltbook_id: seat.moltbook_id },
-          { $set: { current_table: null } }
-        );
+    await db.collection('accounts').updateOne(
+      { moltbook_id: winnerSeat.moltbook_id },
+      { $set: { current_table: null, current_tournament: null } },
+      { session }
+    );
 
-        await db.collection('tables').updateOne(
-          { _id: tableId },
-          {
-            $set: { [`seats.${i}`]: null },
-            $inc: { seats_count: -1 }
-          }
-        );
-      }
+    for (const result of results.filter(r => r.prize > 0)) {
+      await db.collection('accounts').updateOne(
+        { moltbook_id: result.moltbook_id },
+        { $inc: { balance: result.prize } },
+        { session }
+      );
     }
 
-    const updatedTable = await db.collection('tables').findOne({ _id: tableId });
-    const activePlayers = updatedTable.seats.filter(s => s && s.balance >= BLINDS.BIG);
+    await db.collection('tournaments').updateOne(
+      { _id: tournament._id },
+      { $set: { status: TOURNAMENT_STATUS.COMPLETE, finished_at: new Date(), results } },
+      { session }
+    );
+    await recordTransfers(db, entries, session);
+  });
 
-    if (activePlayers.length >= MIN_PLAYERS_TO_START) {
-      await startNewHand(db, tableId);
-    } else {
-      console.log('[GAME] Not enough players with balance for next hand');
-      await db.collection('tables').updateOne(
-        { _id: tableId },
-        { $set: { status: 'waiting', game: null } }
-      );
-    }
-  }, 5000);
+  console.log('[TOURNAMENT] Tournament', tournament._id.toString(), 'won by', winnerSeat.moltbook_name);
+  addLog(`${winnerSeat.moltbook_name} wins ${tournament.name} ($${prizeFor(1)})`);
+  publishEvent(tableId, EVENT_TYPES.TOURNAMENT_COMPLETE, {
+    tournament_id: tournament._id.toString(),
+    results: results.map(({ moltbook_name, place, prize }) => ({ name: moltbook_name, place, prize }))
+  });
+  notifyAgent(db, winnerSeat.moltbook_id, 'removed_from_table', {
+    table_id: tableId.toString(),
+    reason: 'tournament_complete',
+    tournament_id: tournament._id.toString(),
+    place: 1,
+    prize: prizeFor(1)
+  });
+  forgetTable(tableId);
 }
 
-async function findOrCreateAvailableTable(db) {
-  console.log('[TABLE] Looking for available table...');
+async function findOrCreateAvailableTable(db, filters, buyIn, exactBuyIn) {
+  console.log('[TABLE] Looking for available table...', JSON.stringify(filters));
 
-  const availableTable = await db.collection('tables').findOne({
-    'seats_count': { $lt: SEATS_PER_TABLE },
-    $or: [{ status: 'waiting' }, { status: { $exists: false } }]
-  });
+  const query = {
+    $expr: { $lt: ['$seats_count', '$config.max_seats'] },
+    'config.min_buy_in': { $lte: buyIn },
+    tournament_id: null,
+    paused: { $ne: true },
+    // Tables where house bots keep an agent company are open mid-hand; the bots leave after it
+    $or: [{ status: 'waiting' }, { status: { $exists: false } }, { 'seats.house_bot': { $exists: true } }]
+  };
+  if (exactBuyIn) query['config.max_buy_in'] = { $gte: buyIn };
+  if (filters.stakes !== undefined) query['config.stakes'] = filters.stakes;
+  if (filters.max_seats !== undefined) query['config.max_seats'] = Number(filters.max_seats);
+  if (filters.ante !== undefined) query['config.ante'] = Number(filters.ante);
+
+  const availableTable = await db.collection('tables').findOne(query, { sort: { seats_count: -1 } });
 
   if (availableTable) {
     console.log('[TABLE] Found existing table:', availableTable._id);
-    console.log('[TABLE] Current seats:', availableTable.seats_count, '/', SEATS_PER_TABLE);
+    console.log('[TABLE] Current seats:', availableTable.seats_count, '/', availableTable.config.max_seats);
     return availableTable;
   }
 
   console.log('[TABLE] No available tables, creating new one...');
 
+  const { config } = createTableConfig(filters);
+  if (buyIn < config.min_buy_in || (exactBuyIn && buyIn > config.max_buy_in)) {
+    console.log('[TABLE] Buy-in of', buyIn, 'does not fit', config.stakes, 'tables');
+    return null;
+  }
+
   const newTable = {
-    seats: Array(SEATS_PER_TABLE).fill(null),
+    seats: Array(config.max_seats).fill(null),
     seats_count: 0,
     status: 'waiting',
+    config,
     game: null,
+    version: 0,
+    next_server_seed: nextServerSeed(),
     created_at: new Date()
   };
 
@@ -830,7 +1841,7 @@ app.post('/api/poker/findTable', authenticatePokerKey, async (req, res) => {
   const account = req.account;
   const db = getDb();
 
-  if (account.balance <= 0) {
+  if (account.balance <= 0 && !account.current_table) {
     console.log('[FIND_TABLE] ERROR: Insufficient balance:', account.balance);
     return res.status(400).json({ error: 'Insufficient balance', balance: account.balance });
   }
@@ -845,6 +1856,25 @@ app.post('/api/poker/findTable', authenticatePokerKey, async (req, res) => {
     });
   }
 
+  const filters = {};
+  for (const key of ['stakes', 'max_seats', 'ante']) {
+    if (req.body?.[key] !== undefined) filters[key] = key === 'stakes' ? String(req.body[key]) : req.body[key];
+  }
+
+  const { config: requestedConfig, error: filterError } = createTableConfig(filters);
+  if (filterError) {
+    console.log('[FIND_TABLE] ERROR: Invalid table filters:', filterError);
+    return res.status(400).json({ error: filterError, available_stakes: STAKE_LEVELS });
+  }
+
+  if (account.current_tournament && !account.current_table) {
+    console.log('[FIND_TABLE] ERROR: Registered for a tournament');
+    return res.status(400).json({
+      error: 'You are registered for a tournament that has not started yet. Unregister first to play cash tables.',
+      tournament_id: account.current_tournament.toString()
+    });
+  }
+
   if (account.current_table) {
     console.log('[FIND_TABLE] Agent already seated at table:', account.current_table);
     const currentTable = await db.collection('tables').findOne({ _id: account.current_table });
@@ -857,31 +1887,124 @@ app.post('/api/poker/findTable', authenticatePokerKey, async (req, res) => {
     });
   }
 
-  const table = await findOrCreateAvailableTable(db);
-  const emptySeatIndex = table.seats.findIndex(seat => seat === null);
-  console.log('[FIND_TABLE] Assigning seat:', emptySeatIndex);
+  const botVersion = req.body?.bot_version === undefined ? null : String(req.body.bot_version).trim().slice(0, 40) || null;
+
+  let clientSeed = null;
+  if (req.body?.client_seed !== undefined) {
+    const parsed = parseClientSeed(req.body.client_seed);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    clientSeed = parsed.seed;
+  }
+
+  const exactBuyIn = req.body?.buy_in !== undefined;
+  const requestedBuyIn = exactBuyIn ? Number(req.body.buy_in) : account.balance;
+
+  if (exactBuyIn && (!Number.isInteger(requestedBuyIn) || requestedBuyIn <= 0 || requestedBuyIn > account.balance)) {
+    console.log('[FIND_TABLE] ERROR: Invalid buy-in:', req.body.buy_in);
+    return res.status(400).json({
+      error: `buy_in must be a whole number between 1 and your balance of $${account.balance}`,
+      balance: account.balance
+    });
+  }
+
+  if (requestedBuyIn < requestedConfig.min_buy_in) {
+    console.log('[FIND_TABLE] ERROR: Below minimum buy-in:', requestedConfig.min_buy_in);
+    return res.status(400).json({
+      error: `$${requestedBuyIn} is below the $${requestedConfig.min_buy_in} minimum buy-in for ${requestedConfig.stakes} tables`,
+      balance: account.balance,
+      min_buy_in: requestedConfig.min_buy_in
+    });
+  }
+
+  const table = await findOrCreateAvailableTable(db, filters, requestedBuyIn, exactBuyIn);
+  if (!table) {
+    console.log('[FIND_TABLE] ERROR: Buy-in does not fit the requested table');
+    return res.status(400).json({
+      error: `buy_in must be between $${requestedConfig.min_buy_in} and $${requestedConfig.max_buy_in} for ${requestedConfig.stakes} tables`,
+      min_buy_in: requestedConfig.min_buy_in,
+      max_buy_in: requestedConfig.max_buy_in
+    });
+  }
+
+  const tableConfig = getTableConfig(table);
+  const buyIn = exactBuyIn ? requestedBuyIn : Math.min(account.balance, tableConfig.max_buy_in);
 
   const seatData = {
     moltbook_id: account.moltbook_id,
     moltbook_name: account.moltbook_name,
-    balance: account.balance,
+    stack: buyIn,
+    buy_in: buyIn,
+    bot_version: botVersion,
+    client_seed: clientSeed,
     seated_at: new Date()
   };
 
-  table.seats[emptySeatIndex] = seatData;
+  let emptySeatIndex;
+  try {
+    emptySeatIndex = await withTableLock(table._id, async () => {
+      const freshTable = await db.collection('tables').findOne({ _id: table._id });
+      const seatIndex = freshTable ? freshTable.seats.findIndex(seat => seat === null) : -1;
+      if (seatIndex === -1) return -1;
+      console.log('[FIND_TABLE] Assigning seat:', seatIndex, 'with buy-in:', buyIn);
+
+      const seated = await withTransaction(async (session) => {
+        const debit = await db.collection('accounts').updateOne(
+          { _id: account._id, current_table: null, balance: { $gte: buyIn } },
+          {
+            $inc: { balance: -buyIn },
+            $set: { current_table: table._id }
+          },
+          { session }
+        );
+        if (debit.matchedCount === 0) return false;
+
+        try {
+          await updateTable(db, freshTable, {
+            $set: { [`seats.${seatIndex}`]: seatData },
+            $inc: { seats_count: 1 }
+          }, session);
+          await recordTransfers(db, [transfer(LEDGER_KINDS.BUY_IN, books.wallet(account.moltbook_id), books.stack(table._id.toString(), account.moltbook_id), buyIn, {
+            moltbook_id: account.moltbook_id,
+            table_id: table._id
+          })], session);
+        } catch (error) {
+          // Without a transaction the debit already landed, so put the chips back
+          if (!session) {
+            await db.collection('accounts').updateOne(
+              { _id: account._id },
+              { $inc: { balance: buyIn }, $set: { current_table: null } }
+            );
+          }
+          throw error;
+        }
+        return true;
+      });
 
-  await db.collection('tables').updateOne(
-    { _id: table._id },
-    {
-      $set: { [`seats.${emptySeatIndex}`]: seatData },
-      $inc: { seats_count: 1 }
-    }
-  );
+      Object.assign(table, freshTable);
+      return seated ? seatIndex : null;
+    });
+  } catch (error) {
+    if (!isConflict(error)) throw error;
+    emptySeatIndex = -1;
+  }
 
-  await db.collection('accounts').updateOne(
-    { _id: account._id },
-    { $set: { current_table: table._id } }
-  );
+  if (emptySeatIndex === null) {
+    console.log('[FIND_TABLE] ERROR: Account changed while joining');
+    return res.status(409).json({ error: 'Your balance or seat changed while joining. Please retry.', code: CONFLICT_CODE, retryable: true });
+  }
+
+  if (emptySeatIndex === -1) {
+    console.log('[FIND_TABLE] ERROR: Table filled up while joining');
+    return res.status(409).json({ error: 'The table filled up while you were joining. Please retry.', code: CONFLICT_CODE, retryable: true });
+  }
+
+  publishEvent(table._id, EVENT_TYPES.PLAYER_JOINED, {
+    seat: emptySeatIndex,
+    name: account.moltbook_name,
+    stack: buyIn
+  });
 
   const newSeatsCount = table.seats_count + 1;
   const responseTime = Date.now() - startTime;
@@ -894,7 +2017,11 @@ app.post('/api/poker/findTable', authenticatePokerKey, async (req, res) => {
 
   if (newSeatsCount >= MIN_PLAYERS_TO_START && (!table.game || table.status === 'waiting')) {
     console.log('[FIND_TABLE] Enough players! Starting game...');
-    setTimeout(() => startNewHand(db, table._id), 1000);
+    setTimeout(() => {
+      withTableLock(table._id, () => startNewHand(db, table._id)).catch(error => {
+        console.log('[GAME] ERROR: Could not start hand:', error.message);
+      });
+    }, 1000);
   }
 
   res.json({
@@ -903,9 +2030,13 @@ app.post('/api/poker/findTable', authenticatePokerKey, async (req, res) => {
       : `Seated at table. Waiting for ${MIN_PLAYERS_TO_START - newSeatsCount} more player(s).`,
     table_id: table._id.toString(),
     seat_number: emptySeatIndex,
-    your_balance: account.balance,
+    your_stack: buyIn,
+    account_balance: account.balance - buyIn,
+    buy_in_range: { min: tableConfig.min_buy_in, max: tableConfig.max_buy_in },
     players_at_table: newSeatsCount,
-    max_seats: SEATS_PER_TABLE,
+    max_seats: tableConfig.max_seats,
+    stakes: tableConfig.stakes,
+    blinds: { small: tableConfig.small_blind, big: tableConfig.big_blind, ante: tableConfig.ante },
     next_step: 'GET /api/poker/state/' + table._id.toString(),
     response_time_ms: responseTime
   });
@@ -940,6 +2071,19 @@ app.post('/api/poker/action', authenticatePokerKey, async (req, res) => {
     return res.status(400).json({ error: 'Invalid table_id' });
   }
 
+  try {
+    await withTableLock(tableObjId, () => processAction(db, account, tableObjId, req.body, res, startTime));
+  } catch (error) {
+    if (!isConflict(error)) throw error;
+    console.log('[ACTION] ERROR: Table changed while processing, client should retry');
+    res.status(409).json({ error: error.message, code: error.code, retryable: true });
+  }
+});
+
+// Runs under the table lock; the table is read fresh so every check sees the latest state
+async function processAction(db, account, tableObjId, body, res, startTime) {
+  const { table_id, action, amount } = body;
+
   const table = await db.collection('tables').findOne({ _id: tableObjId });
 
   if (!table) {
@@ -947,205 +2091,55 @@ app.post('/api/poker/action', authenticatePokerKey, async (req, res) => {
     return res.status(404).json({ error: 'Table not found' });
   }
 
-  if (!table.game) {
-    console.log('[ACTION] ERROR: No active game');
-    return res.status(400).json({ error: 'No active game at this table' });
+  if (table.paused) {
+    console.log('[ACTION] ERROR: Table is paused');
+    return res.status(423).json({ error: 'Table is paused by an admin. Your turn clock restarts when it resumes.', code: 'TABLE_PAUSED' });
   }
 
-  if (table.game.phase === GAME_PHASES.WAITING || table.game.phase === GAME_PHASES.SHOWDOWN) {
-    console.log('[ACTION] ERROR: Hand is complete, waiting for next hand');
-    return res.status(400).json({ error: 'Hand is complete. Wait for next hand to start.' });
+  const outcome = applyAction(table, account.moltbook_id, action, amount);
+  if (outcome.error?.code === 'TURN_EXPIRED') {
+    // Too late: the turn times out now rather than when the timer gets to it
+    const timeout = applyTimeout(table);
+    if (timeout && !timeout.error) await saveEngineResult(db, table, timeout);
+    console.log('[ACTION] ERROR: Action arrived', Date.now() - outcome.error.turn_deadline.getTime(), 'ms after the deadline');
+    const { status, message, ...details } = outcome.error;
+    return res.status(status).json({ error: message, ...details, timed_out_as: timeout?.action?.action ?? null });
   }
-
-  if (table.game.current_turn_player !== account.moltbook_id) {
-    console.log('[ACTION] ERROR: Not your turn');
-    console.log('[ACTION] Current turn:', table.game.current_turn_player);
-    console.log('[ACTION] Your ID:', account.moltbook_id);
-    return res.status(400).json({
-      error: 'Not your turn',
-      current_turn: table.game.current_turn_player
-    });
+  if (outcome.error) {
+    const { status, message, ...details } = outcome.error;
+    console.log('[ACTION] ERROR:', details.code ? `${details.code} - ${message}` : message);
+    return res.status(status).json({ error: message, ...details });
   }
 
-  const game = table.game;
-  const playerHand = game.player_hands[account.moltbook_id];
-  const amountToCall = game.current_bet - playerHand.current_bet;
-
-  console.log('[ACTION] Current bet:', game.current_bet);
-  console.log('[ACTION] Player current bet:', playerHand.current_bet);
-  console.log('[ACTION] Amount to call:', amountToCall);
-
-  let actionTaken = action.toLowerCase();
-  let betAmount = 0;
-
-  switch (actionTaken) {
-    case 'fold':
-      console.log('[ACTION] Player folds');
-      playerHand.folded = true;
-      addLog(`${account.moltbook_name} folds`);
-      break;
-
-    case 'check':
-      if (amountToCall > 0) {
-        console.log('[ACTION] ERROR: Cannot check, must call', amountToCall);
-        return res.status(400).json({ error: 'Cannot check, must call ' + amountToCall });
-      }
-      console.log('[ACTION] Player checks');
-      addLog(`${account.moltbook_name} checks`);
-      break;
+  const game = (await saveEngineResult(db, table, outcome)).game;
 
-    case 'call':
-      betAmount = Math.min(amountToCall, account.balance);
-      console.log('[ACTION] Player calls:', betAmount);
-      playerHand.current_bet += betAmount;
-      playerHand.total_bet += betAmount;
-      game.pot += betAmount;
+  const responseTime = Date.now() - startTime;
+  console.log('[ACTION] Response time:', responseTime, 'ms');
 
-      await db.collection('accounts').updateOne(
-        { _id: account._id },
-        { $inc: { balance: -betAmount } }
-      );
+  res.json({
+    message: 'Action processed: ' + outcome.action.action,
+    action: outcome.action.action,
+    amount_bet: outcome.action.amount,
+    pot: game.pot,
+    next_step: 'GET /api/poker/state/' + table_id,
+    response_time_ms: responseTime
+  });
 
-      for (let i = 0; i < table.seats.length; i++) {
-        if (table.seats[i] && table.seats[i].moltbook_id === account.moltbook_id) {
-          table.seats[i].balance -= betAmount;
-          if (table.seats[i].balance <= 0) {
-            playerHand.all_in = true;
-            addLog(`${account.moltbook_name} is ALL-IN!`);
-          } else {
-            addLog(`${account.moltbook_name} calls $${betAmount}`);
-          }
-          break;
-        }
-      }
-      break;
+  console.log('[ACTION] Response sent');
+  console.log('========================================\n');
+}
 
-    case 'raise':
-      const raiseAmount = parseInt(amount) || (game.current_bet * 2);
-      if (raiseAmount <= game.current_bet) {
-        console.log('[ACTION] ERROR: Raise must be greater than current bet');
-        return res.status(400).json({ error: 'Raise must be greater than current bet of ' + game.current_bet });
-      }
-
-      betAmount = raiseAmount - playerHand.current_bet;
-      if (betAmount > account.balance) {
-        betAmount = account.balance;
-      }
-
-      console.log('[ACTION] Player raises to:', raiseAmount, '(betting', betAmount, 'more)');
-
-      playerHand.current_bet += betAmount;
-      playerHand.total_bet += betAmount;
-      game.pot += betAmount;
-      game.current_bet = playerHand.current_bet;
-      game.last_raiser = account.moltbook_id;
-
-      await db.collection('accounts').updateOne(
-        { _id: account._id },
-        { $inc: { balance: -betAmount } }
-      );
-
-      for (let i = 0; i < table.seats.length; i++) {
-        if (table.seats[i] && table.seats[i].moltbook_id === account.moltbook_id) {
-          table.seats[i].balance -= betAmount;
-          if (table.seats[i].balance <= 0) {
-            playerHand.all_in = true;
-            addLog(`${account.moltbook_name} goes ALL-IN for $${game.current_bet}!`);
-          } else {
-            addLog(`${account.moltbook_name} raises to $${game.current_bet}`);
-          }
-          break;
-        }
-      }
-      break;
-
-    default:
-      console.log('[ACTION] ERROR: Invalid action:', actionTaken);
-      return res.status(400).json({ error: 'Invalid action. Use: fold, check, call, or raise' });
-  }
-
-  const activePlayers = Object.entries(game.player_hands)
-    .filter(([id, hand]) => !hand.folded)
-    .map(([id]) => id);
-
-  const playersWhoCanAct = Object.entries(game.player_hands)
-    .filter(([id, hand]) => !hand.folded && !hand.all_in)
-    .map(([id]) => id);
-
-  console.log('[ACTION] Active players remaining:', activePlayers.length);
-  console.log('[ACTION] Players who can still act:', playersWhoCanAct.length);
-
-  if (activePlayers.length === 1) {
-    console.log('[ACTION] Only one player left, going to showdown');
-    game.phase = GAME_PHASES.SHOWDOWN;
-    await db.collection('tables').updateOne(
-      { _id: tableObjId },
-      { $set: { game: game, seats: table.seats } }
-    );
-    await resolveShowdown(db, tableObjId);
-  } else if (playersWhoCanAct.length <= 1) {
-    console.log('[ACTION] All remaining players are all-in, going straight to showdown');
-    await db.collection('tables').updateOne(
-      { _id: tableObjId },
-      { $set: { game: game, seats: table.seats } }
-    );
-    await advancePhase(db, tableObjId);
-  } else {
-    const activeSeats = table.seats
-      .map((seat, index) => seat && playersWhoCanAct.includes(seat.moltbook_id) ? { ...seat, seatIndex: index } : null)
-      .filter(Boolean);
-
-    const currentSeatIndex = activeSeats.findIndex(s => s.moltbook_id === account.moltbook_id);
-    let nextPlayerIndex = currentSeatIndex === -1 ? 0 : (currentSeatIndex + 1) % activeSeats.length;
-    let nextPlayer = activeSeats[nextPlayerIndex];
-
-    const allMatched = playersWhoCanAct.every(id => {
-      const hand = game.player_hands[id];
-      return hand.current_bet === game.current_bet || hand.folded || hand.all_in;
-    });
-
-    const lastRaiserIndex = activeSeats.findIndex(s => s.moltbook_id === game.last_raiser);
-    const backToRaiser = nextPlayerIndex === lastRaiserIndex && allMatched;
-
-    console.log('[ACTION] All bets matched:', allMatched);
-    console.log('[ACTION] Back to raiser:', backToRaiser);
-
-    if (allMatched && (backToRaiser || game.last_raiser === null || actionTaken === 'check')) {
-      console.log('[ACTION] Betting round complete, advancing phase');
-      await db.collection('tables').updateOne(
-        { _id: tableObjId },
-        { $set: { game: game, seats: table.seats } }
-      );
-      await advancePhase(db, tableObjId);
-    } else {
-      game.current_turn_index = nextPlayerIndex;
-      game.current_turn_player = nextPlayer.moltbook_id;
-      game.turn_started_at = new Date();
-
-      console.log('[ACTION] Next turn:', nextPlayer.moltbook_name);
-
-      await db.collection('tables').updateOne(
-        { _id: tableObjId },
-        { $set: { game: game, seats: table.seats } }
-      );
-    }
+// What the player to act may do: fold, check or call, and raise with its limits when it is open
+function turnOptions(game, hand, stack) {
+  const options = { valid_actions: ['fold', game.current_bet === hand.current_bet ? 'check' : 'call'] };
+  const raiseLimits = getRaiseLimits(game, hand, stack);
+  if (raiseLimits.can_raise) {
+    options.valid_actions.push('raise');
+    options.min_raise_to = raiseLimits.min_raise_to;
+    options.max_raise_to = raiseLimits.max_raise_to;
   }
-
-  const responseTime = Date.now() - startTime;
-  console.log('[ACTION] Response time:', responseTime, 'ms');
-
-  res.json({
-    message: 'Action processed: ' + actionTaken,
-    action: actionTaken,
-    amount_bet: betAmount,
-    pot: game.pot,
-    next_step: 'GET /api/poker/state/' + table_id,
-    response_time_ms: responseTime
-  });
-
-  console.log('[ACTION] Response sent');
-  console.log('========================================\n');
-});
+  return options;
+}
 
 app.get('/api/poker/state/:tableId', authenticatePokerKey, async (req, res) => {
   const startTime = Date.now();
@@ -1176,19 +2170,43 @@ app.get('/api/poker/state/:tableId', authenticatePokerKey, async (req, res) => {
     .map((seat, index) => seat ? {
       seat: index,
       name: seat.moltbook_name,
-      balance: seat.balance,
+      stack: seat.stack,
+      sitting_out: Boolean(seat.sitting_out),
+      house_bot: isHouseBot(seat),
       is_you: seat.moltbook_id === req.account.moltbook_id
     } : null)
     .filter(Boolean);
 
+  const tableConfig = getTableConfig(table);
+  const mySeat = table.seats.find(s => s?.moltbook_id === req.account.moltbook_id);
+
   let gameState = {
     table_id: table._id.toString(),
     status: table.status,
+    paused: Boolean(table.paused),
     players: players,
     seats_taken: table.seats_count,
-    max_seats: SEATS_PER_TABLE
+    max_seats: tableConfig.max_seats,
+    stakes: tableConfig.stakes,
+    blinds: { small: tableConfig.small_blind, big: tableConfig.big_blind, ante: tableConfig.ante },
+    buy_in_range: { min: tableConfig.min_buy_in, max: tableConfig.max_buy_in },
+    your_stack: players.find(p => p.is_you)?.stack ?? null,
+    you_sitting_out: players.find(p => p.is_you)?.sitting_out ?? false,
+    your_time_bank_ms: mySeat ? mySeat.time_bank_ms ?? TIME_BANK_START_MS : null,
+    your_consecutive_timeouts: mySeat?.timeouts || 0,
+    fairness: {
+      server_seed_hash: table.game?.server_seed_hash || null,
+      client_seed: table.game?.client_seed ?? null,
+      next_server_seed_hash: table.next_server_seed?.hash || null,
+      your_client_seed: table.seats.find(s => s?.moltbook_id === req.account.moltbook_id)?.client_seed || null
+    }
   };
 
+  if (table.tournament_id) {
+    gameState.tournament_id = table.tournament_id.toString();
+    gameState.blind_level = tableConfig.blind_level;
+  }
+
   if (table.game) {
     const game = table.game;
     const myHand = game.player_hands[req.account.moltbook_id];
@@ -1196,53 +2214,75 @@ app.get('/api/poker/state/:tableId', authenticatePokerKey, async (req, res) => {
     const isMyTurn = handInProgress && game.current_turn_player === req.account.moltbook_id;
     const amountToCall = myHand ? game.current_bet - myHand.current_bet : 0;
 
-    let validActions = [];
-    if (isMyTurn && myHand && !myHand.folded) {
-      validActions.push('fold');
-      if (amountToCall === 0) {
-        validActions.push('check');
-      } else {
-        validActions.push('call');
-      }
-      validActions.push('raise');
-    }
+    const options = isMyTurn && myHand && !myHand.folded
+      ? turnOptions(game, myHand, players.find(p => p.is_you)?.stack || 0)
+      : { valid_actions: [] };
+    const validActions = options.valid_actions;
 
     gameState.phase = game.phase;
     gameState.hand_number = game.hand_number;
     gameState.pot = game.pot;
     gameState.current_bet = game.current_bet;
-    const suitEmojis = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
-    gameState.community_cards = game.community_cards.map(c => `${c.rank}${suitEmojis[c.suit]}`);
-    gameState.your_cards = myHand ? myHand.hole_cards.map(c => `${c.rank}${suitEmojis[c.suit]}`) : [];
+    gameState.community_cards = game.community_cards;
+    gameState.your_cards = myHand ? myHand.hole_cards : [];
     gameState.your_current_bet = myHand ? myHand.current_bet : 0;
     gameState.amount_to_call = amountToCall;
     gameState.is_your_turn = isMyTurn;
     gameState.current_turn = game.current_turn_player;
     gameState.valid_actions = validActions;
+    if (options.min_raise_to !== undefined) {
+      gameState.min_raise_to = options.min_raise_to;
+      gameState.max_raise_to = options.max_raise_to;
+    }
     gameState.you_folded = myHand ? myHand.folded : false;
 
-    if (game.turn_started_at) {
-      const elapsed = Date.now() - new Date(game.turn_started_at).getTime();
-      gameState.turn_time_remaining_ms = Math.max(0, ACTION_TIMEOUT_MS - elapsed);
+    const deadline = turnDeadline(game);
+    if (deadline) {
+      gameState.turn_deadline = deadline;
+      gameState.turn_time_remaining_ms = Math.max(0, deadline.getTime() - Date.now());
     }
 
     if (game.winners) {
       gameState.winners = game.winners;
     }
 
+    if (game.pots) {
+      gameState.pots = game.pots;
+    }
+
+    if (game.uncalled_bets) {
+      gameState.uncalled_bets = game.uncalled_bets.map(({ moltbook_name, amount }) => ({ name: moltbook_name, amount }));
+    }
+
+    if (game.hand_id) {
+      gameState.hand_id = game.hand_id;
+    }
+
     gameState.your_seat = table.seats.findIndex(s => s && s.moltbook_id === req.account.moltbook_id);
 
+    const positions = handPositions(game);
+    gameState.positions = positions;
+
     gameState.players_in_hand = players.map(p => {
-      const seat = table.seats.find(s => s && s.moltbook_name === p.name);
+      const seat = table.seats[p.seat];
       const hand = seat ? game.player_hands[seat.moltbook_id] : null;
       return {
         ...p,
+        position: positionLabel(positions, p.seat),
+        in_hand: Boolean(hand),
         folded: hand ? hand.folded : false,
+        all_in: hand ? Boolean(hand.all_in) : false,
         current_bet: hand ? hand.current_bet : 0,
+        total_bet: hand ? hand.total_bet : 0,
         is_current_turn: seat ? seat.moltbook_id === game.current_turn_player : false
       };
     });
 
+    gameState.actions = actionsByStreet(game.actions || []);
+    if (['1', 'true'].includes(String(req.query.summary))) {
+      gameState.action_summary = summarizeActions(game, req.cardFormat);
+    }
+
     console.log('[STATE] Phase:', game.phase);
     console.log('[STATE] Is your turn:', isMyTurn);
     if (isMyTurn) {
@@ -1265,6 +2305,59 @@ app.get('/api/poker/state/:tableId', authenticatePokerKey, async (req, res) => {
   res.json(gameState);
 });
 
+// Folds the player out of any hand in progress, clears the seat and returns the stack to their
+// balance in one write. Callers hold the table lock. Returns the chips cashed out.
+async function vacateSeat(db, table, seatIndex, reason) {
+  const seat = table.seats[seatIndex];
+  const chips = seat.stack || 0;
+  const hand = table.status === 'playing' ? table.game?.player_hands[seat.moltbook_id] : null;
+  const outcome = hand && !hand.folded
+    ? applyAction(table, seat.moltbook_id, 'fold', null, { outOfTurn: true, extra: { left_table: true } })
+    : null;
+  const cashOut = async (session) => {
+    if (!isHouseBot(seat)) {
+      await db.collection('accounts').updateOne(
+        { moltbook_id: seat.moltbook_id },
+        {
+          $set: { current_table: null },
+          $inc: { balance: chips }
+        },
+        { session }
+      );
+    }
+    if (chips > 0) {
+      await recordTransfers(db, [transfer(LEDGER_KINDS.CASH_OUT, books.stack(table._id.toString(), seat.moltbook_id), walletOf(seat.moltbook_id), chips, {
+        moltbook_id: seat.moltbook_id,
+        table_id: table._id,
+        reason
+      })], session);
+    }
+  };
+
+  if (outcome && !outcome.error) {
+    console.log('[TABLE]', seat.moltbook_name, 'folded from active game');
+    outcome.table.seats[seatIndex] = null;
+    await saveEngineResult(db, table, outcome, {
+      update: { $inc: { seats_count: -1 } },
+      alsoWrite: cashOut
+    });
+  } else {
+    await withTransaction(async (session) => {
+      await updateTable(db, table, {
+        $set: { [`seats.${seatIndex}`]: null },
+        $inc: { seats_count: -1 }
+      }, session);
+      await cashOut(session);
+    });
+  }
+
+  publishEvent(table._id, EVENT_TYPES.PLAYER_LEFT, { seat: seatIndex, name: seat.moltbook_name, reason });
+  if (reason !== 'left') {
+    notifyAgent(db, seat.moltbook_id, 'removed_from_table', { table_id: table._id.toString(), seat: seatIndex, reason, chips_returned: chips });
+  }
+  return chips;
+}
+
 app.post('/api/poker/leave', authenticatePokerKey, async (req, res) => {
   console.log('\n========================================');
   console.log('[LEAVE] Leave table request');
@@ -1278,59 +2371,747 @@ app.post('/api/poker/leave', authenticatePokerKey, async (req, res) => {
     return res.status(400).json({ error: 'Not seated at any table' });
   }
 
-  const table = await db.collection('tables').findOne({ _id: account.current_table });
+  const seatedTable = await db.collection('tables').findOne({ _id: account.current_table }, { projection: { tournament_id: 1 } });
+  if (seatedTable?.tournament_id) {
+    console.log('[LEAVE] ERROR: Cannot leave a running tournament');
+    return res.status(400).json({
+      error: 'Tournament chips cannot be cashed out. You stay in until you are eliminated or win; missed turns are auto-folded.',
+      tournament_id: seatedTable.tournament_id.toString()
+    });
+  }
 
-  if (table) {
-    const seatIndex = table.seats.findIndex(s => s?.moltbook_id === account.moltbook_id);
+  let cashOut = 0;
+  try {
+    cashOut = await withTableLock(account.current_table, async () => {
+      const table = await db.collection('tables').findOne({ _id: account.current_table });
+      const seatIndex = table ? table.seats.findIndex(s => s?.moltbook_id === account.moltbook_id) : -1;
 
-    if (seatIndex !== -1) {
-      if (table.game && table.game.player_hands[account.moltbook_id]) {
-        table.game.player_hands[account.moltbook_id].folded = true;
-        console.log('[LEAVE] Player folded from active game');
+      if (seatIndex === -1) {
+        await db.collection('accounts').updateOne({ _id: account._id }, { $set: { current_table: null } });
+        return 0;
       }
 
-      await db.collection('tables').updateOne(
-        { _id: table._id },
-        {
-          $set: {
-            [`seats.${seatIndex}`]: null,
-            ...(table.game ? { game: table.game } : {})
-          },
-          $inc: { seats_count: -1 }
-        }
-      );
+      const chips = await vacateSeat(db, table, seatIndex, 'left');
       console.log('[LEAVE] Cleared seat:', seatIndex);
-    }
+      return chips;
+    });
+  } catch (error) {
+    if (!isConflict(error)) throw error;
+    console.log('[LEAVE] ERROR: Table changed while leaving');
+    return res.status(409).json({ error: error.message, code: error.code, retryable: true });
   }
 
-  await db.collection('accounts').updateOne(
-    { _id: account._id },
-    { $set: { current_table: null } }
-  );
-
-  console.log('[LEAVE] Agent left table successfully');
+  console.log('[LEAVE] Agent left table successfully, cashed out:', cashOut);
 
   res.json({
     message: 'Left table successfully',
-    balance: account.balance
+    cashed_out: cashOut,
+    balance: account.balance + cashOut
+  });
+
+  console.log('========================================\n');
+});
+
+app.post('/api/poker/rebuy', authenticatePokerKey, async (req, res) => {
+  console.log('\n========================================');
+  console.log('[REBUY] Rebuy request');
+  console.log('[REBUY] Agent:', req.account.moltbook_name);
+  console.log('[REBUY] Body:', JSON.stringify(req.body, null, 2));
+
+  const account = req.account;
+  const db = getDb();
+
+  if (!account.current_table) {
+    console.log('[REBUY] ERROR: Agent is not at any table');
+    return res.status(400).json({ error: 'Not seated at any table' });
+  }
+
+  let rebuy;
+  try {
+    rebuy = await withTableLock(account.current_table, async () => {
+      const table = await db.collection('tables').findOne({ _id: account.current_table });
+      const seatIndex = table ? table.seats.findIndex(s => s?.moltbook_id === account.moltbook_id) : -1;
+
+      if (seatIndex === -1) {
+        console.log('[REBUY] ERROR: Seat not found');
+        return res.status(400).json({ error: 'Not seated at any table' });
+      }
+
+      if (table.tournament_id) {
+        console.log('[REBUY] ERROR: Tournament table');
+        return res.status(400).json({ error: 'Rebuys are not allowed in tournaments' });
+      }
+
+      const game = table.game;
+      const handInProgress = game && game.phase !== GAME_PHASES.WAITING && game.player_hands[account.moltbook_id];
+      if (handInProgress) {
+        console.log('[REBUY] ERROR: Hand in progress');
+        return res.status(400).json({ error: 'You can only add chips between hands' });
+      }
+
+      const config = getTableConfig(table);
+      const stack = table.seats[seatIndex].stack;
+      const room = config.max_buy_in - stack;
+      const amount = req.body?.amount !== undefined ? Number(req.body.amount) : Math.min(room, account.balance);
+
+      if (!Number.isInteger(amount) || amount <= 0) {
+        console.log('[REBUY] ERROR: Invalid amount:', req.body?.amount);
+        return res.status(400).json({ error: 'amount must be a positive whole number', max_amount: Math.min(room, account.balance) });
+      }
+      if (amount > room) {
+        console.log('[REBUY] ERROR: Would exceed max buy-in');
+        return res.status(400).json({ error: `Your stack would exceed the $${config.max_buy_in} maximum buy-in`, max_amount: Math.max(0, room) });
+      }
+
+      const debited = await withTransaction(async (session) => {
+        const debit = await db.collection('accounts').updateOne(
+          { _id: account._id, balance: { $gte: amount } },
+          { $inc: { balance: -amount } },
+          { session }
+        );
+        if (debit.matchedCount === 0) return false;
+
+        try {
+          await updateTable(db, table, {
+            $inc: { [`seats.${seatIndex}.stack`]: amount, [`seats.${seatIndex}.buy_in`]: amount }
+          }, session);
+          await recordTransfers(db, [transfer(LEDGER_KINDS.REBUY, books.wallet(account.moltbook_id), books.stack(table._id.toString(), account.moltbook_id), amount, {
+            moltbook_id: account.moltbook_id,
+            table_id: table._id
+          })], session);
+        } catch (error) {
+          // Without a transaction the debit already landed, so put the chips back
+          if (!session) {
+            await db.collection('accounts').updateOne({ _id: account._id }, { $inc: { balance: amount } });
+          }
+          throw error;
+        }
+        return true;
+      });
+
+      if (!debited) {
+        console.log('[REBUY] ERROR: Insufficient balance');
+        return res.status(400).json({ error: 'Insufficient balance', balance: account.balance });
+      }
+
+      return { stack, amount };
+    });
+  } catch (error) {
+    if (!isConflict(error)) throw error;
+    console.log('[REBUY] ERROR: Table changed while adding chips');
+    return res.status(409).json({ error: error.message, code: error.code, retryable: true });
+  }
+  if (res.headersSent) return;
+  const { stack, amount } = rebuy;
+
+  console.log('[REBUY] Added', amount, 'to stack. New stack:', stack + amount);
+  addLog(`${account.moltbook_name} adds $${amount} to their stack`);
+
+  res.json({
+    message: 'Chips added',
+    amount,
+    stack: stack + amount,
+    balance: account.balance - amount
   });
 
   console.log('========================================\n');
 });
 
+app.post('/api/poker/sitin', authenticatePokerKey, async (req, res) => {
+  console.log('\n[SIT-IN] Sit-in request by', req.account.moltbook_name);
+
+  const account = req.account;
+  const db = getDb();
+
+  if (!account.current_table) {
+    console.log('[SIT-IN] ERROR: Agent is not at any table');
+    return res.status(400).json({ error: 'Not seated at any table' });
+  }
+
+  let sitIn;
+  try {
+    sitIn = await withTableLock(account.current_table, async () => {
+      const table = await db.collection('tables').findOne({ _id: account.current_table });
+      const index = table ? table.seats.findIndex(s => s?.moltbook_id === account.moltbook_id) : -1;
+      if (index === -1 || !table.seats[index].sitting_out) return { index, changed: false };
+
+      await updateTable(db, table, {
+        $set: { [`seats.${index}.sitting_out`]: false, [`seats.${index}.timeouts`]: 0 }
+      });
+      addLog(`${account.moltbook_name} is back in`);
+      publishEvent(table._id, EVENT_TYPES.PLAYER_SAT_IN, { seat: index, name: account.moltbook_name });
+
+      if (table.status === 'waiting' && !table.paused) {
+        await startNewHand(db, table._id);
+      }
+      return { index, changed: true };
+    });
+  } catch (error) {
+    if (!isConflict(error)) throw error;
+    console.log('[SIT-IN] ERROR: Table changed while sitting in');
+    return res.status(409).json({ error: error.message, code: error.code, retryable: true });
+  }
+
+  if (sitIn.index === -1) {
+    console.log('[SIT-IN] ERROR: Seat not found');
+    return res.status(400).json({ error: 'Not seated at any table' });
+  }
+
+  console.log('[SIT-IN]', account.moltbook_name, sitIn.changed ? 'is playing again' : 'was not sitting out');
+  res.json({
+    message: sitIn.changed
+      ? 'You are back in. At cash tables you are dealt in from the next hand, posting a big blind unless you wait for the button.'
+      : 'You are not sitting out',
+    seat: sitIn.index,
+    sitting_out: false
+  });
+});
+
+app.post('/api/poker/seed', authenticatePokerKey, async (req, res) => {
+  console.log('\n[SEED] Client seed update for:', req.account.moltbook_name);
+
+  const account = req.account;
+  const db = getDb();
+
+  if (!account.current_table) {
+    return res.status(400).json({ error: 'Not seated at any table' });
+  }
+
+  const parsed = parseClientSeed(req.body?.client_seed ?? '');
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const outcome = await withTableLock(account.current_table, async () => {
+      const table = await db.collection('tables').findOne({ _id: account.current_table });
+      const seatIndex = table ? table.seats.findIndex(s => s?.moltbook_id === account.moltbook_id) : -1;
+      if (seatIndex === -1) return null;
+
+      await updateTable(db, table, { $set: { [`seats.${seatIndex}.client_seed`]: parsed.seed } });
+      return { next_server_seed_hash: table.next_server_seed?.hash || null };
+    });
+
+    if (!outcome) {
+      return res.status(400).json({ error: 'Not seated at any table' });
+    }
+
+    res.json({
+      message: 'Client seed set. It is used from the next hand on.',
+      client_seed: parsed.seed,
+      next_server_seed_hash: outcome.next_server_seed_hash
+    });
+  } catch (error) {
+    if (!isConflict(error)) throw error;
+    res.status(409).json({ error: error.message, code: error.code, retryable: true });
+  }
+});
+
+app.get('/api/poker/verify/:handId', authenticatePokerKey, async (req, res) => {
+  console.log('\n[VERIFY] Verify request:', req.params.handId, 'for:', req.account.moltbook_name);
+
+  const db = getDb();
+  const { ObjectId } = await import('mongodb');
+
+  let handId;
+  try {
+    handId = new ObjectId(req.params.handId);
+  } catch (e) {
+    return res.status(400).json({ error: 'Invalid hand ID' });
+  }
+
+  const hand = await db.collection('hands').findOne({ _id: handId, participants: req.account.moltbook_id });
+  if (!hand) {
+    return res.status(404).json({ error: 'Hand not found' });
+  }
+  if (!hand.server_seed) {
+    return res.status(400).json({ error: 'This hand was dealt before seeded shuffles and cannot be verified' });
+  }
+
+  const deck = createSeededDeck(hand.server_seed, hand.client_seed, hand.hand_number);
+  const replay = replayDeal(deck, hand.seats.length);
+  const sameCards = (a = [], b = []) => a.length === b.length && a.every((card, i) => cardToString(card) === cardToString(b[i]));
+
+  const holeCardsMatch = hand.seats.every((seat, index) => sameCards(hand.hole_cards[seat.moltbook_id], replay.hole_cards[index]));
+  const boardMatches = sameCards(hand.board, replay.board.slice(0, hand.board.length));
+  const hashMatches = hashSeed(hand.server_seed) === hand.server_seed_hash;
+
+  console.log('[VERIFY] Hash matches:', hashMatches, 'deal matches:', holeCardsMatch && boardMatches);
+
+  // The deck as the requester saw it: their own cards, hands shown at showdown and the board
+  // dealt. Mucked hands and undealt cards are null, since together with the rest they would
+  // give away what was folded.
+  const visiblePositions = new Set();
+  hand.seats.forEach((seat, index) => {
+    if (seat.moltbook_id === req.account.moltbook_id || (hand.shown || []).includes(seat.moltbook_id)) {
+      visiblePositions.add(index * 2).add(index * 2 + 1);
+    }
+  });
+  for (let i = 0; i < hand.board.length; i++) visiblePositions.add(hand.seats.length * 2 + i);
+
+  res.json({
+    hand_id: hand._id.toString(),
+    hand_number: hand.hand_number,
+    server_seed: hand.server_seed,
+    server_seed_hash: hand.server_seed_hash,
+    client_seed: hand.client_seed,
+    hash_matches: hashMatches,
+    deal_matches: holeCardsMatch && boardMatches,
+    verified: hashMatches && holeCardsMatch && boardMatches,
+    deck: deck.map((card, position) => visiblePositions.has(position) ? card : null),
+    algorithm: 'seed = HMAC-SHA256(key=server_seed, client_seed + ":" + hand_number) as hex; ' +
+      'Fisher-Yates from the last card down, j = uniform int in [0, i] drawn as big-endian uint32 from ' +
+      'HMAC-SHA256(key=seed, counter) blocks (counter 0, 1, ...), rejecting values >= floor(2^32 / (i+1)) * (i+1). ' +
+      'Unshuffled order: suits hearts, diamonds, clubs, spades; ranks 2..A. Deal: 2 cards per player in seat order, then the board.'
+  });
+});
+
 app.get('/api/poker/me', authenticatePokerKey, async (req, res) => {
   console.log('\n[ME] Account info request for:', req.account.moltbook_name);
 
+  const db = getDb();
+  const table = req.account.current_table
+    ? await db.collection('tables').findOne({ _id: req.account.current_table })
+    : null;
+  const seat = table?.seats.find(s => s && s.moltbook_id === req.account.moltbook_id);
+
   res.json({
     moltbook_id: req.account.moltbook_id,
     name: req.account.moltbook_name,
+    identity_provider: req.account.identity_provider || 'moltbook',
     balance: req.account.balance,
+    table_stack: seat ? seat.stack : 0,
     current_table: req.account.current_table?.toString() || null,
+    current_tournament: req.account.current_tournament?.toString() || null,
     locked_until: req.account.locked_until,
+    webhook_url: req.account.webhook?.url || null,
     created_at: req.account.created_at
   });
 });
 
+// Webhooks: agents register a URL and are POSTed your_turn, hand_result and removed_from_table.
+// Deliveries run in the background, so a slow receiver never holds up a table, and each one's
+// attempts are logged in webhook_deliveries.
+const WEBHOOK_DELIVERY_LIST_LIMIT = 20;
+
+function notifyAgent(db, moltbookId, event, payload, options = {}) {
+  if (isHouseBotId(moltbookId)) return;
+  deliverToAgent(db, moltbookId, event, payload, options).catch(error => {
+    console.log('[WEBHOOK] ERROR: Delivery of', event, 'failed:', error.message);
+  });
+}
+
+// payload may be a function, so it is only built for agents who asked for the event
+async function deliverToAgent(db, moltbookId, event, payload, { deadline = null, onResponse = null } = {}) {
+  const account = await db.collection('accounts').findOne({ moltbook_id: moltbookId });
+  const webhook = account?.webhook;
+  if (!webhook || !webhook.events.includes(event)) return;
+
+  const data = typeof payload === 'function' ? await payload() : payload;
+  if (!data) return;
+
+  const { delivery, response } = await deliverWebhook(webhook, event, data, { deadline });
+  console.log('[WEBHOOK]', event, 'to', account.moltbook_name, delivery.delivered ? 'delivered' : 'failed', 'after', delivery.attempts.length, 'attempt(s)');
+  if (onResponse && response) {
+    delivery.action_result = await onResponse(response);
+  }
+  await db.collection('webhook_deliveries').insertOne({ moltbook_id: moltbookId, ...delivery });
+}
+
+// What an agent needs to act without calling /state
+function turnPayload(table) {
+  const game = table.game;
+  const playerId = game.current_turn_player;
+  const hand = game.player_hands[playerId];
+  const seat = table.seats.find(s => s?.moltbook_id === playerId);
+  if (!hand || !seat) return null;
+  const positions = handPositions(game);
+
+  return {
+    table_id: table._id.toString(),
+    hand_number: game.hand_number,
+    phase: game.phase,
+    your_cards: hand.hole_cards,
+    community_cards: game.community_cards,
+    pot: game.pot,
+    current_bet: game.current_bet,
+    amount_to_call: game.current_bet - hand.current_bet,
+    your_stack: seat.stack,
+    ...turnOptions(game, hand, seat.stack),
+    time_bank_ms: seat.time_bank_ms ?? TIME_BANK_START_MS,
+    turn_deadline: turnDeadline(game),
+    players: table.seats
+      .map((s, index) => s && game.player_hands[s.moltbook_id] ? {
+        seat: index,
+        name: s.moltbook_name,
+        position: positionLabel(positions, index),
+        stack: s.stack,
+        folded: game.player_hands[s.moltbook_id].folded,
+        all_in: Boolean(game.player_hands[s.moltbook_id].all_in),
+        current_bet: game.player_hands[s.moltbook_id].current_bet,
+        is_you: s.moltbook_id === playerId
+      } : null)
+      .filter(Boolean),
+    actions: actionsByStreet(game.actions || [])
+  };
+}
+
+// A your_turn webhook may answer with {"action": "...", "amount": N}; it is played if the turn
+// it was sent for is still open
+function notifyTurn(db, table) {
+  const game = table.game;
+  // Players sitting out are acted for at once; there is no turn to tell them about
+  const deadline = turnDeadline(game)?.getTime();
+  if (!deadline || deadline <= Date.now()) return;
+  const turn = {
+    hand_number: game.hand_number,
+    player: game.current_turn_player,
+    started_at: new Date(game.turn_started_at).getTime()
+  };
+  notifyAgent(db, turn.player, 'your_turn', () => turnPayload(table), {
+    deadline,
+    onResponse: response => applyWebhookAction(db, table._id, turn, response)
+  });
+}
+
+async function applyWebhookAction(db, tableId, turn, response) {
+  if (typeof response?.action !== 'string') return null;
+
+  try {
+    return await withTableLock(tableId, async () => {
+      const table = await db.collection('tables').findOne({ _id: tableId });
+      const game = table?.game;
+      if (!game || table.paused || table.status !== 'playing' || game.hand_number !== turn.hand_number ||
+          game.current_turn_player !== turn.player || new Date(game.turn_started_at).getTime() !== turn.started_at) {
+        return { applied: false, error: 'The turn was over before the webhook answered' };
+      }
+
+      const outcome = applyAction(table, turn.player, response.action, response.amount);
+      if (outcome.error?.code === 'TURN_EXPIRED') {
+        return { applied: false, error: 'The turn was over before the webhook answered', code: outcome.error.code };
+      }
+      if (outcome.error) {
+        console.log('[WEBHOOK] Action from webhook rejected:', outcome.error.message);
+        return { applied: false, error: outcome.error.message, code: outcome.error.code || null };
+      }
+      await saveEngineResult(db, table, outcome);
+      console.log('[WEBHOOK] Played', outcome.action.action, 'for', turn.player, 'from the webhook response');
+      return { applied: true, action: outcome.action.action, amount: outcome.action.amount };
+    });
+  } catch (error) {
+    if (!isConflict(error)) throw error;
+    return { applied: false, error: error.message, code: error.code };
+  }
+}
+
+// Each agent dealt in gets the hand as their own history shows it
+function notifyHandResult(db, game) {
+  if (!game.hand_id) return;
+  for (const seat of game.hand_seats || []) {
+    notifyAgent(db, seat.moltbook_id, 'hand_result', async () => {
+      const { ObjectId } = await import('mongodb');
+      const hand = await db.collection('hands').findOne({ _id: new ObjectId(game.hand_id) });
+      return hand ? formatHandForPlayer(hand, seat.moltbook_id) : null;
+    });
+  }
+}
+
+app.get('/api/poker/webhook', authenticatePokerKey, async (req, res) => {
+  const db = getDb();
+  const deliveries = await db.collection('webhook_deliveries')
+    .find({ moltbook_id: req.account.moltbook_id })
+    .sort({ created_at: -1 })
+    .limit(WEBHOOK_DELIVERY_LIST_LIMIT)
+    .toArray();
+
+  res.json({
+    webhook: webhookView(req.account.webhook),
+    events: WEBHOOK_EVENTS,
+    deliveries: deliveries.map(({ _id, moltbook_id, ...delivery }) => delivery)
+  });
+});
+
+app.post('/api/poker/webhook', authenticatePokerKey, async (req, res) => {
+  console.log('[WEBHOOK] Register request from', req.account.moltbook_name);
+  const { webhook, error } = parseWebhookConfig(req.body, req.account.webhook);
+  if (error) {
+    console.log('[WEBHOOK] ERROR:', error);
+    return res.status(400).json({ error });
+  }
+
+  const db = getDb();
+  await db.collection('accounts').updateOne({ _id: req.account._id }, { $set: { webhook } });
+  console.log('[WEBHOOK]', req.account.moltbook_name, 'now receives', webhook.events.join(', '), 'at', webhook.url);
+
+  res.json({
+    message: 'Webhook saved. Verify X-Webhook-Signature with the secret on every request.',
+    webhook: { ...webhookView(webhook), secret: webhook.secret }
+  });
+});
+
+app.delete('/api/poker/webhook', authenticatePokerKey, async (req, res) => {
+  const db = getDb();
+  await db.collection('accounts').updateOne({ _id: req.account._id }, { $unset: { webhook: '' } });
+  console.log('[WEBHOOK]', req.account.moltbook_name, 'removed their webhook');
+  res.json({ message: 'Webhook removed' });
+});
+
+// A hand's recorded actions grouped by street, without player ids
+function actionsByStreet(actions) {
+  const streets = {};
+  for (const action of actions) {
+    if (!streets[action.street]) streets[action.street] = [];
+    streets[action.street].push({
+      seat: action.seat,
+      name: action.moltbook_name,
+      action: action.action,
+      amount: action.amount,
+      ...(action.to !== undefined ? { to: action.to } : {}),
+      ...(action.stack_after !== undefined && action.stack_after !== null ? { stack_after: action.stack_after } : {}),
+      ...(action.all_in ? { all_in: true } : {}),
+      ...(action.timed_out ? { timed_out: true } : {}),
+      ...(action.left_table ? { left_table: true } : {})
+    });
+  }
+  return streets;
+}
+
+const STREET_LABELS = {
+  [GAME_PHASES.PRE_FLOP]: { label: 'Preflop', cards: [0, 0] },
+  [GAME_PHASES.FLOP]: { label: 'Flop', cards: [0, 3] },
+  [GAME_PHASES.TURN]: { label: 'Turn', cards: [3, 4] },
+  [GAME_PHASES.RIVER]: { label: 'River', cards: [4, 5] },
+  [GAME_PHASES.SHOWDOWN]: { label: 'Showdown', cards: [0, 0] }
+};
+
+// One line per street in plain words ("Bot2 limps 2", "Bot3 raises to 8"), for agents that put
+// the state straight into a prompt
+function summarizeActions(game, format) {
+  const lines = [];
+  const cardText = cards => cards.map(card => formatCard(card, format === 'short' ? 'short' : 'emoji')).join(' ');
+  const stacks = game.hand_seats.map(s => `${s.moltbook_name} ${s.starting_stack}`).join(', ');
+  const button = game.hand_seats.find(s => s.seat === game.button_seat);
+  lines.push(`Hand #${game.hand_number}, blinds ${game.small_blind}/${game.big_blind}${game.ante ? ` ante ${game.ante}` : ''}. ` +
+    `Button: ${button ? button.moltbook_name : `seat ${game.button_seat}`}. Starting stacks: ${stacks}.`);
+
+  let raised = false;
+  let shownCards = 0;
+  for (const [street, actions] of Object.entries(actionsByStreet(game.actions || []))) {
+    const { label, cards } = STREET_LABELS[street] || { label: street, cards: [0, 0] };
+    const board = game.community_cards.slice(...cards);
+    if (board.length) shownCards = cards[1];
+    let betting = street === GAME_PHASES.PRE_FLOP;
+    const parts = actions.map(({ name, action, amount, to, all_in, timed_out, left_table }) => {
+      let text;
+      switch (action) {
+        case 'ante': text = `${name} antes ${amount}`; break;
+        case 'small_blind': text = `${name} posts SB ${amount}`; break;
+        case 'big_blind': text = `${name} posts BB ${amount}`; break;
+        case 'post_in': text = `${name} posts ${amount} to come in`; break;
+        case 'fold': text = `${name} folds`; break;
+        case 'check': text = `${name} checks`; break;
+        case 'call': text = `${name} ${street === GAME_PHASES.PRE_FLOP && !raised ? 'limps' : 'calls'} ${amount}`; break;
+        case 'raise': text = betting ? `${name} raises to ${to}` : `${name} bets ${to}`; break;
+        case 'uncalled_bet_returned': text = `${amount} uncalled returned to ${name}`; break;
+        default: text = `${name} ${action} ${amount}`;
+      }
+      if (action === 'raise') {
+        raised = true;
+        betting = true;
+      }
+      if (all_in) text += ' (all-in)';
+      if (timed_out) text += ' (timed out)';
+      if (left_table) text += ' (left table)';
+      return text;
+    });
+    lines.push(`${label}${board.length ? ` [${cardText(board)}]` : ''}: ${parts.join(', ')}.`);
+  }
+  // Streets dealt with nobody left to act (all-ins) have no actions of their own
+  if (game.community_cards.length > shownCards) {
+    lines.push(`Board: [${cardText(game.community_cards)}].`);
+  }
+
+  if (game.winners) {
+    lines.push(`Result: ${game.winners.map(w => `${w.moltbook_name} wins ${w.pot_share}${w.hand_description ? ` with ${w.hand_description}` : ''}`).join(', ')}.`);
+  } else if (game.current_turn_player) {
+    const hand = game.player_hands[game.current_turn_player];
+    const name = game.hand_seats.find(s => s.moltbook_id === game.current_turn_player)?.moltbook_name;
+    lines.push(`Pot ${game.pot}. ${name} to act, facing ${game.current_bet - hand.current_bet}.`);
+  }
+  return lines.join('\n');
+}
+
+// Where the button and blinds sit this hand; a dead small blind has no player behind it
+function handPositions(game) {
+  const buttonSeat = game.button_seat ?? game.hand_seats?.[game.dealer_index]?.seat ?? null;
+  const smallBlindPosted = (game.actions || []).some(a => a.action === 'small_blind');
+  return {
+    button_seat: buttonSeat,
+    small_blind_seat: smallBlindPosted ? game.small_blind_seat ?? null : null,
+    big_blind_seat: game.big_blind_seat ?? null,
+    dead_small_blind: !smallBlindPosted
+  };
+}
+
+function positionLabel(positions, seat) {
+  const labels = [];
+  if (seat === positions.button_seat) labels.push('BTN');
+  if (seat === positions.small_blind_seat) labels.push('SB');
+  if (seat === positions.big_blind_seat) labels.push('BB');
+  return labels.length ? labels.join('/') : null;
+}
+
+// Hole cards are keyed by seat number: names are not unique across identity providers
+function formatHandForPlayer(hand, moltbookId) {
+  const holeCards = {};
+  for (const seat of hand.seats) {
+    const visible = seat.moltbook_id === moltbookId || hand.shown.includes(seat.moltbook_id);
+    holeCards[seat.seat] = visible && hand.hole_cards[seat.moltbook_id]
+      ? hand.hole_cards[seat.moltbook_id]
+      : null;
+  }
+
+  const streets = actionsByStreet(hand.actions);
+
+  return {
+    hand_id: hand._id.toString(),
+    table_id: hand.table_id.toString(),
+    hand_number: hand.hand_number,
+    started_at: hand.started_at,
+    ended_at: hand.ended_at,
+    button_seat: hand.button_seat,
+    blinds: hand.blinds,
+    seats: hand.seats.map(s => ({
+      seat: s.seat,
+      name: s.moltbook_name,
+      starting_stack: s.starting_stack,
+      net: s.net,
+      is_you: s.moltbook_id === moltbookId
+    })),
+    hole_cards: holeCards,
+    actions: streets,
+    board: hand.board,
+    pot: hand.pot,
+    pots: hand.pots.map(p => ({
+      name: p.name,
+      amount: p.amount,
+      eligible: p.eligible,
+      winners: p.winners.map(w => ({ name: w.moltbook_name, hand_name: w.hand_name, hand_description: w.hand_description ?? null, amount: w.amount }))
+    })),
+    winners: hand.winners.map(w => ({ name: w.moltbook_name, hand_name: w.hand_name, hand_description: w.hand_description ?? null, pot_share: w.pot_share })),
+    fairness: hand.server_seed ? {
+      server_seed: hand.server_seed,
+      server_seed_hash: hand.server_seed_hash,
+      client_seed: hand.client_seed,
+      verify: 'GET /api/poker/verify/' + hand._id.toString()
+    } : null
+  };
+}
+
+app.get('/api/poker/history', authenticatePokerKey, async (req, res) => {
+  console.log('\n[HISTORY] History request for:', req.account.moltbook_name);
+
+  const db = getDb();
+  const { ObjectId } = await import('mongodb');
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const query = { participants: req.account.moltbook_id };
+  if (req.query.before) {
+    try {
+      query._id = { $lt: new ObjectId(req.query.before) };
+    } catch (e) {
+      console.log('[HISTORY] ERROR: Invalid before cursor');
+      return res.status(400).json({ error: 'Invalid before cursor' });
+    }
+  }
+
+  const hands = await db.collection('hands')
+    .find(query)
+    .sort({ _id: -1 })
+    .limit(limit)
+    .toArray();
+
+  console.log('[HISTORY] Found', hands.length, 'hands');
+
+  res.json({
+    hands: hands.map(hand => {
+      const you = hand.seats.find(s => s.moltbook_id === req.account.moltbook_id);
+      return {
+        hand_id: hand._id.toString(),
+        table_id: hand.table_id.toString(),
+        hand_number: hand.hand_number,
+        ended_at: hand.ended_at,
+        players: hand.seats.length,
+        your_cards: hand.hole_cards[req.account.moltbook_id] || [],
+        board: hand.board,
+        pot: hand.pot,
+        net: you ? you.net : 0,
+        winners: hand.winners.map(w => w.moltbook_name)
+      };
+    }),
+    count: hands.length,
+    next_before: hands.length === limit ? hands[hands.length - 1]._id.toString() : null
+  });
+});
+
+app.get('/api/poker/history/:handId', authenticatePokerKey, async (req, res) => {
+  console.log('\n[HISTORY] Hand request:', req.params.handId, 'for:', req.account.moltbook_name);
+
+  const db = getDb();
+  const { ObjectId } = await import('mongodb');
+
+  let handId;
+  try {
+    handId = new ObjectId(req.params.handId);
+  } catch (e) {
+    console.log('[HISTORY] ERROR: Invalid hand ID format');
+    return res.status(400).json({ error: 'Invalid hand ID' });
+  }
+
+  const hand = await db.collection('hands').findOne({ _id: handId, participants: req.account.moltbook_id });
+
+  if (!hand) {
+    console.log('[HISTORY] ERROR: Hand not found for this agent');
+    return res.status(404).json({ error: 'Hand not found' });
+  }
+
+  res.json(formatHandForPlayer(hand, req.account.moltbook_id));
+});
+
+app.get('/api/poker/transactions', authenticatePokerKey, async (req, res) => {
+  console.log('\n[TRANSACTIONS] Request for:', req.account.moltbook_name);
+
+  const db = getDb();
+  const { ObjectId } = await import('mongodb');
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  const query = { moltbook_id: req.account.moltbook_id };
+  if (req.query.kind) query.kind = String(req.query.kind);
+  if (req.query.hand_id) query.hand_id = String(req.query.hand_id);
+  try {
+    if (req.query.table_id) query.table_id = new ObjectId(req.query.table_id);
+    if (req.query.before) query._id = { $lt: new ObjectId(req.query.before) };
+  } catch (e) {
+    console.log('[TRANSACTIONS] ERROR: Invalid table_id or before cursor');
+    return res.status(400).json({ error: 'Invalid table_id or before cursor' });
+  }
+
+  const entries = await db.collection('ledger')
+    .find(query)
+    .sort({ _id: -1 })
+    .limit(limit)
+    .toArray();
+
+  console.log('[TRANSACTIONS] Found', entries.length, 'entries');
+
+  res.json({
+    transactions: entries.map(entry => describeForPlayer(entry, req.account.moltbook_id)),
+    balance: req.account.balance,
+    count: entries.length,
+    next_before: entries.length === limit ? entries[entries.length - 1]._id.toString() : null
+  });
+});
+
 app.get('/api/poker/spectate/:spectatorKey', async (req, res) => {
   const { spectatorKey } = req.params;
   console.log('\n[SPECTATE] Spectator request for key:', spectatorKey);
@@ -1369,13 +3150,13 @@ app.get('/api/poker/spectate/:spectatorKey', async (req, res) => {
     });
   }
 
-  const suitEmojis = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
-
   const players = table.seats
     .map((seat, index) => seat ? {
       seat: index,
       name: seat.moltbook_name,
-      balance: seat.balance,
+      stack: seat.stack,
+      sitting_out: Boolean(seat.sitting_out),
+      house_bot: isHouseBot(seat),
       is_your_bot: seat.moltbook_id === account.moltbook_id
     } : null)
     .filter(Boolean);
@@ -1386,7 +3167,8 @@ app.get('/api/poker/spectate/:spectatorKey', async (req, res) => {
     table_id: table._id.toString(),
     table_status: table.status,
     players: players,
-    balance: account.balance
+    balance: account.balance,
+    table_stack: players.find(p => p.is_your_bot)?.stack || 0
   };
 
   if (table.game) {
@@ -1397,23 +3179,40 @@ app.get('/api/poker/spectate/:spectatorKey', async (req, res) => {
     spectatorState.hand_number = game.hand_number;
     spectatorState.pot = game.pot;
     spectatorState.current_bet = game.current_bet;
-    spectatorState.community_cards = game.community_cards.map(c => `${c.rank}${suitEmojis[c.suit]}`);
-    spectatorState.your_bot_cards = botHand ? botHand.hole_cards.map(c => `${c.rank}${suitEmojis[c.suit]}`) : [];
+    spectatorState.community_cards = game.community_cards;
+    spectatorState.your_bot_cards = botHand ? botHand.hole_cards : [];
     spectatorState.your_bot_folded = botHand ? botHand.folded : false;
     spectatorState.your_bot_all_in = botHand ? botHand.all_in : false;
     spectatorState.is_your_bot_turn = game.current_turn_player === account.moltbook_id;
 
-    if (game.turn_started_at) {
-      const elapsed = Date.now() - new Date(game.turn_started_at).getTime();
-      spectatorState.turn_time_remaining_ms = Math.max(0, ACTION_TIMEOUT_MS - elapsed);
+    // The bot's chances against everyone still in, each holding an unknown hand
+    const opponentsLeft = Object.entries(game.player_hands).filter(([id, hand]) => id !== account.moltbook_id && !hand.folded).length;
+    if (botHand && !botHand.folded && opponentsLeft > 0 && !game.winners) {
+      const { request } = parseEquityRequest({
+        hole_cards: botHand.hole_cards,
+        board: game.community_cards,
+        opponents: Math.min(opponentsLeft, MAX_SEATS - 1),
+        iterations: SPECTATOR_EQUITY_ITERATIONS
+      });
+      const equity = cachedEquity(request);
+      spectatorState.your_bot_equity = { equity: equity.equity, win: equity.win, tie: equity.tie, opponents: opponentsLeft, made_hand: equity.made_hand.description };
+    }
+
+    const deadline = turnDeadline(game);
+    if (deadline) {
+      spectatorState.turn_time_remaining_ms = Math.max(0, deadline.getTime() - Date.now());
     }
 
     if (game.winners) {
       spectatorState.winners = game.winners;
     }
 
+    if (game.pots) {
+      spectatorState.pots = game.pots;
+    }
+
     spectatorState.players_in_hand = players.map(p => {
-      const seat = table.seats.find(s => s && s.moltbook_name === p.name);
+      const seat = table.seats[p.seat];
       const hand = seat ? game.player_hands[seat.moltbook_id] : null;
       return {
         ...p,
@@ -1429,6 +3228,355 @@ app.get('/api/poker/spectate/:spectatorKey', async (req, res) => {
   res.json(spectatorState);
 });
 
+app.get('/api/poker/events/:tableId', allowQueryApiKey, authenticatePokerKey, async (req, res) => {
+  console.log('\n[EVENTS] Stream request for table:', req.params.tableId, 'by', req.account.moltbook_name);
+
+  const db = getDb();
+  const { ObjectId } = await import('mongodb');
+
+  let tableId;
+  try {
+    tableId = new ObjectId(req.params.tableId);
+  } catch (e) {
+    console.log('[EVENTS] ERROR: Invalid table ID format');
+    return res.status(400).json({ error: 'Invalid table ID' });
+  }
+
+  const table = await db.collection('tables').findOne({ _id: tableId });
+  if (!table) {
+    console.log('[EVENTS] ERROR: Table not found');
+    return res.status(404).json({ error: 'Table not found' });
+  }
+
+  subscribe(tableId, req.account.moltbook_id, req, res, lastEventId(req), req.cardFormat);
+});
+
+app.get('/api/poker/spectate/:spectatorKey/events', async (req, res) => {
+  const { spectatorKey } = req.params;
+  console.log('\n[EVENTS] Spectator stream request for key:', spectatorKey);
+
+  const db = getDb();
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const account = await db.collection('accounts').findOne({ spectator_key: spectatorKey.toUpperCase() });
+  if (!account) {
+    console.log('[EVENTS] Invalid spectator key');
+    return res.status(404).json({ error: 'Invalid spectator key' });
+  }
+
+  if (!account.current_table) {
+    return res.status(409).json({ error: 'Bot is not currently at a table', status: 'not_playing' });
+  }
+
+  subscribe(account.current_table, account.moltbook_id, req, res, lastEventId(req), req.cardFormat);
+});
+
+async function parseTournamentId(id) {
+  const { ObjectId } = await import('mongodb');
+  try {
+    return new ObjectId(id);
+  } catch (e) {
+    return null;
+  }
+}
+
+function tournamentSummary(tournament) {
+  return {
+    tournament_id: tournament._id.toString(),
+    name: tournament.name,
+    status: tournament.status,
+    buy_in: tournament.buy_in,
+    prize_pool: tournament.prize_pool,
+    players: tournament.entrants.length,
+    max_players: tournament.max_players,
+    starting_chips: tournament.starting_chips,
+    level: tournament.level || null,
+    table_id: tournament.table_id?.toString() || null
+  };
+}
+
+async function startTournament(db, tournamentId) {
+  const tournament = await db.collection('tournaments').findOne({ _id: tournamentId });
+  if (!tournament || tournament.status !== TOURNAMENT_STATUS.REGISTERING || tournament.entrants.length < tournament.max_players) {
+    return;
+  }
+
+  const startedAt = new Date();
+  const firstLevel = getBlindLevel({ ...tournament, started_at: startedAt }, 1);
+  const seatOrder = shuffleDeck(tournament.entrants);
+  const table = {
+    seats: Array(tournament.max_players).fill(null).map((_, index) => seatOrder[index] ? {
+      moltbook_id: seatOrder[index].moltbook_id,
+      moltbook_name: seatOrder[index].moltbook_name,
+      stack: tournament.starting_chips,
+      buy_in: 0,
+      bot_version: seatOrder[index].bot_version || null,
+      client_seed: seatOrder[index].client_seed || null,
+      seated_at: startedAt
+    } : null),
+    seats_count: seatOrder.length,
+    status: 'waiting',
+    config: { ...tableConfigForLevel(tournament, firstLevel), blind_level: firstLevel.level },
+    game: null,
+    version: 0,
+    next_server_seed: nextServerSeed(),
+    tournament_id: tournament._id,
+    created_at: startedAt
+  };
+
+  const started = await withTransaction(async (session) => {
+    const claimed = await db.collection('tournaments').updateOne(
+      { _id: tournament._id, status: TOURNAMENT_STATUS.REGISTERING },
+      { $set: { status: TOURNAMENT_STATUS.RUNNING, started_at: startedAt, level: firstLevel.level } },
+      { session }
+    );
+    if (claimed.matchedCount === 0) return false;
+
+    const result = await db.collection('tables').insertOne(table, { session });
+    table._id = result.insertedId;
+
+    await db.collection('tournaments').updateOne({ _id: tournament._id }, { $set: { table_id: table._id } }, { session });
+    await recordTransfers(db, table.seats.filter(Boolean).map(seat => transfer(
+      LEDGER_KINDS.TOURNAMENT_CHIPS,
+      books.tournamentChips(tournament._id.toString()),
+      books.stack(table._id.toString(), seat.moltbook_id),
+      seat.stack,
+      { moltbook_id: seat.moltbook_id, table_id: table._id, tournament_id: tournament._id }
+    )), session);
+    await db.collection('accounts').updateMany(
+      { moltbook_id: { $in: tournament.entrants.map(e => e.moltbook_id) } },
+      { $set: { current_table: table._id } },
+      { session }
+    );
+    return true;
+  });
+  if (!started) return;
+
+  console.log('[TOURNAMENT] Started', tournament._id.toString(), 'at table', table._id.toString());
+  addLog(`${tournament.name} starts with ${seatOrder.length} players`);
+  for (const [index, seat] of table.seats.entries()) {
+    if (seat) publishEvent(table._id, EVENT_TYPES.PLAYER_JOINED, { seat: index, name: seat.moltbook_name, stack: seat.stack });
+  }
+
+  setTimeout(() => {
+    withTableLock(table._id, () => startNewHand(db, table._id)).catch(error => {
+      console.log('[TOURNAMENT] ERROR: Could not start first hand:', error.message);
+    });
+  }, 1000);
+}
+
+app.post('/api/tournaments', authenticatePokerKey, async (req, res) => {
+  console.log('\n[TOURNAMENT] Create request by', req.account.moltbook_name, JSON.stringify(req.body));
+
+  const { config, error } = createTournamentConfig(req.body || {});
+  if (error) {
+    console.log('[TOURNAMENT] ERROR:', error);
+    return res.status(400).json({ error });
+  }
+
+  const tournament = {
+    ...config,
+    status: TOURNAMENT_STATUS.REGISTERING,
+    entrants: [],
+    eliminations: [],
+    prize_pool: 0,
+    table_id: null,
+    created_by: req.account.moltbook_id,
+    created_at: new Date()
+  };
+  const result = await getDb().collection('tournaments').insertOne(tournament);
+  tournament._id = result.insertedId;
+
+  console.log('[TOURNAMENT] Created', tournament._id.toString());
+  res.json({
+    ...tournamentSummary(tournament),
+    blind_schedule: tournament.blind_schedule,
+    level_up: tournament.level_up,
+    payouts: tournament.payouts,
+    next_step: `POST /api/tournaments/${tournament._id.toString()}/register`
+  });
+});
+
+app.get('/api/tournaments', async (req, res) => {
+  const db = getDb();
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const query = req.query.status ? { status: String(req.query.status) } : {};
+  const tournaments = await db.collection('tournaments').find(query).sort({ created_at: -1 }).limit(50).toArray();
+  res.json({ tournaments: tournaments.map(tournamentSummary) });
+});
+
+app.get('/api/tournaments/:id', async (req, res) => {
+  const db = getDb();
+  const tournamentId = await parseTournamentId(req.params.id);
+  const tournament = tournamentId && await db.collection('tournaments').findOne({ _id: tournamentId });
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  const table = tournament.table_id ? await db.collection('tables').findOne({ _id: tournament.table_id }) : null;
+  const chipCounts = (table?.seats || [])
+    .filter(Boolean)
+    .map(seat => ({ name: seat.moltbook_name, chips: seat.stack }))
+    .sort((a, b) => b.chips - a.chips);
+
+  res.json({
+    ...tournamentSummary(tournament),
+    blind_schedule: tournament.blind_schedule,
+    level_up: tournament.level_up,
+    current_blinds: table && tournament.status === TOURNAMENT_STATUS.RUNNING
+      ? { small: table.config.small_blind, big: table.config.big_blind, ante: table.config.ante }
+      : null,
+    payouts: calculatePrizes(tournament.prize_pool || tournament.buy_in * tournament.max_players, tournament.payouts),
+    entrants: tournament.entrants.map(e => e.moltbook_name),
+    chip_counts: chipCounts,
+    eliminations: [...tournament.eliminations]
+      .sort((a, b) => a.place - b.place)
+      .map(({ moltbook_name, place, hand_number, eliminated_at }) => ({ name: moltbook_name, place, hand_number, eliminated_at })),
+    results: tournament.results?.map(({ moltbook_name, place, prize }) => ({ name: moltbook_name, place, prize })) || null,
+    started_at: tournament.started_at || null,
+    finished_at: tournament.finished_at || null
+  });
+});
+
+app.post('/api/tournaments/:id/register', authenticatePokerKey, async (req, res) => {
+  console.log('\n[TOURNAMENT] Register request by', req.account.moltbook_name, 'for', req.params.id);
+
+  const account = req.account;
+  const db = getDb();
+  const tournamentId = await parseTournamentId(req.params.id);
+  if (!tournamentId) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  if (account.current_table || account.current_tournament) {
+    console.log('[TOURNAMENT] ERROR: Agent is busy');
+    return res.status(400).json({ error: 'Leave your table or current tournament before registering' });
+  }
+
+  const botVersion = req.body?.bot_version === undefined ? null : String(req.body.bot_version).trim().slice(0, 40) || null;
+
+  let clientSeed = null;
+  if (req.body?.client_seed !== undefined) {
+    const parsed = parseClientSeed(req.body.client_seed);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    clientSeed = parsed.seed;
+  }
+
+  // Keyed by tournament id: registrations for one tournament run one at a time
+  const outcome = await withTableLock(tournamentId, async () => {
+    const tournament = await db.collection('tournaments').findOne({ _id: tournamentId });
+    if (!tournament) return { status: 404, body: { error: 'Tournament not found' } };
+    if (tournament.status !== TOURNAMENT_STATUS.REGISTERING) {
+      return { status: 400, body: { error: 'Registration is closed', status: tournament.status } };
+    }
+    if (tournament.entrants.length >= tournament.max_players) {
+      return { status: 400, body: { error: 'Tournament is full' } };
+    }
+
+    const registered = await withTransaction(async (session) => {
+      const debit = await db.collection('accounts').updateOne(
+        { _id: account._id, current_table: null, current_tournament: null, balance: { $gte: tournament.buy_in } },
+        { $inc: { balance: -tournament.buy_in }, $set: { current_tournament: tournament._id } },
+        { session }
+      );
+      if (debit.matchedCount === 0) return false;
+
+      await db.collection('tournaments').updateOne(
+        { _id: tournament._id },
+        {
+          $push: {
+            entrants: {
+              moltbook_id: account.moltbook_id,
+              moltbook_name: account.moltbook_name,
+              bot_version: botVersion,
+              client_seed: clientSeed,
+              registered_at: new Date()
+            }
+          },
+          $inc: { prize_pool: tournament.buy_in }
+        },
+        { session }
+      );
+      await recordTransfers(db, [transfer(LEDGER_KINDS.TOURNAMENT_BUY_IN, books.wallet(account.moltbook_id), books.tournament(tournament._id.toString()), tournament.buy_in, {
+        moltbook_id: account.moltbook_id,
+        tournament_id: tournament._id
+      })], session);
+      return true;
+    });
+
+    if (!registered) {
+      return { status: 400, body: { error: `The buy-in is $${tournament.buy_in}`, balance: account.balance } };
+    }
+
+    const players = tournament.entrants.length + 1;
+    if (players >= tournament.max_players) {
+      await startTournament(db, tournament._id);
+    }
+    return {
+      status: 200,
+      body: {
+        message: players >= tournament.max_players
+          ? 'Registered. The tournament is starting!'
+          : `Registered. Waiting for ${tournament.max_players - players} more player(s).`,
+        tournament_id: tournament._id.toString(),
+        buy_in: tournament.buy_in,
+        balance: account.balance - tournament.buy_in,
+        players,
+        max_players: tournament.max_players,
+        next_step: 'GET /api/poker/me (current_table is set when the tournament starts)'
+      }
+    };
+  });
+
+  console.log('[TOURNAMENT] Register result:', outcome.status, outcome.body.error || outcome.body.message);
+  res.status(outcome.status).json(outcome.body);
+});
+
+app.post('/api/tournaments/:id/unregister', authenticatePokerKey, async (req, res) => {
+  console.log('\n[TOURNAMENT] Unregister request by', req.account.moltbook_name, 'for', req.params.id);
+
+  const account = req.account;
+  const db = getDb();
+  const tournamentId = await parseTournamentId(req.params.id);
+  if (!tournamentId || account.current_tournament?.toString() !== tournamentId.toString()) {
+    return res.status(400).json({ error: 'You are not registered for this tournament' });
+  }
+
+  const outcome = await withTableLock(tournamentId, async () => {
+    const tournament = await db.collection('tournaments').findOne({ _id: tournamentId });
+    if (tournament.status !== TOURNAMENT_STATUS.REGISTERING) {
+      return { status: 400, body: { error: 'The tournament has already started' } };
+    }
+
+    await withTransaction(async (session) => {
+      await db.collection('tournaments').updateOne(
+        { _id: tournament._id },
+        { $pull: { entrants: { moltbook_id: account.moltbook_id } }, $inc: { prize_pool: -tournament.buy_in } },
+        { session }
+      );
+      await db.collection('accounts').updateOne(
+        { _id: account._id },
+        { $inc: { balance: tournament.buy_in }, $set: { current_tournament: null } },
+        { session }
+      );
+      await recordTransfers(db, [transfer(LEDGER_KINDS.TOURNAMENT_REFUND, books.tournament(tournament._id.toString()), books.wallet(account.moltbook_id), tournament.buy_in, {
+        moltbook_id: account.moltbook_id,
+        tournament_id: tournament._id
+      })], session);
+    });
+    return { status: 200, body: { message: 'Unregistered, buy-in refunded', refunded: tournament.buy_in, balance: account.balance + tournament.buy_in } };
+  });
+
+  res.status(outcome.status).json(outcome.body);
+});
+
 app.get('/api/poker/tables', async (req, res) => {
   console.log('\n[TABLES] Listing all tables');
 
@@ -1442,8 +3590,13 @@ app.get('/api/poker/tables', async (req, res) => {
   const summary = tables.map(t => ({
     table_id: t._id.toString(),
     players: t.seats_count,
-    max_seats: SEATS_PER_TABLE,
+    house_bots: t.seats.filter(isHouseBot).length,
+    max_seats: getTableConfig(t).max_seats,
+    stakes: getTableConfig(t).stakes,
+    ante: getTableConfig(t).ante,
+    tournament_id: t.tournament_id?.toString() || null,
     status: t.status,
+    paused: Boolean(t.paused),
     phase: t.game?.phase || 'waiting'
   }));
 
@@ -1455,16 +3608,208 @@ app.get('/api/poker/tables', async (req, res) => {
   });
 });
 
+// Equity results are cached by request so spectators and agents asking about the same spot share one calculation
+const EQUITY_CACHE_SIZE = 500;
+const SPECTATOR_EQUITY_ITERATIONS = 2000;
+const equityCache = new Map();
+
+function cachedEquity(request) {
+  const key = JSON.stringify(request);
+  if (equityCache.has(key)) return equityCache.get(key);
+  const result = calculateEquity(request);
+  equityCache.set(key, result);
+  if (equityCache.size > EQUITY_CACHE_SIZE) equityCache.delete(equityCache.keys().next().value);
+  return result;
+}
+
+// Each calculation holds the event loop, so every client gets a fixed number per window
+const EQUITY_RATE_LIMIT = Number(process.env.EQUITY_RATE_LIMIT) || 30;
+const EQUITY_RATE_WINDOW_MS = 60 * 1000;
+const equityRequests = new Map();
+
+function equityRateLimit(req, res, next) {
+  const now = Date.now();
+  const recent = (equityRequests.get(req.ip) || []).filter(at => now - at < EQUITY_RATE_WINDOW_MS);
+  if (recent.length >= EQUITY_RATE_LIMIT) {
+    equityRequests.set(req.ip, recent);
+    const retryAfter = Math.ceil((recent[0] + EQUITY_RATE_WINDOW_MS - now) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: `Too many equity requests: at most ${EQUITY_RATE_LIMIT} per ${EQUITY_RATE_WINDOW_MS / 1000} seconds`,
+      code: 'RATE_LIMITED',
+      retry_after_seconds: retryAfter
+    });
+  }
+  recent.push(now);
+  equityRequests.set(req.ip, recent);
+  next();
+}
+
+// Drops clients that have gone quiet so the map stays small
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, times] of equityRequests) {
+    if (now - times[times.length - 1] >= EQUITY_RATE_WINDOW_MS) equityRequests.delete(ip);
+  }
+}, EQUITY_RATE_WINDOW_MS);
+
+function handleEquity(input, res) {
+  const { request, error } = parseEquityRequest(input);
+  if (error) {
+    console.log('[EQUITY] ERROR:', error);
+    return res.status(400).json({ error });
+  }
+  const startTime = Date.now();
+  const result = cachedEquity(request);
+  const short = cards => cards.map(card => formatCard(card, 'short')).join('');
+  console.log('[EQUITY]', short(result.hole_cards), short(result.board), 'vs', request.opponents.length,
+    '=>', result.equity, `(${result.method}, ${Date.now() - startTime}ms)`);
+  res.json(result);
+}
+
+app.get('/api/equity', equityRateLimit, (req, res) => {
+  const { ranges } = req.query;
+  handleEquity({ ...req.query, ranges: typeof ranges === 'string' ? [ranges] : ranges }, res);
+});
+
+app.post('/api/equity', equityRateLimit, (req, res) => {
+  handleEquity(req.body || {}, res);
+});
+
+// Rankings change a hand at a time, so a short-lived copy serves repeated requests
+const LEADERBOARD_CACHE_MS = 30 * 1000;
+const LEADERBOARD_CACHE_SIZE = 100;
+const leaderboardCache = new Map();
+
+app.get('/api/leaderboard', async (req, res) => {
+  console.log('\n[LEADERBOARD] Leaderboard request:', JSON.stringify(req.query));
+
+  const db = getDb();
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const window = req.query.window || 'all';
+  const sort = req.query.sort || 'net_winnings';
+  const minHands = req.query.min_hands !== undefined ? Number(req.query.min_hands) : 0;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  if (!(window in LEADERBOARD_WINDOWS)) {
+    return res.status(400).json({ error: 'window must be one of: ' + Object.keys(LEADERBOARD_WINDOWS).join(', ') });
+  }
+  if (!LEADERBOARD_SORTS.includes(sort)) {
+    return res.status(400).json({ error: 'sort must be one of: ' + LEADERBOARD_SORTS.join(', ') });
+  }
+  if (!Number.isInteger(minHands) || minHands < 0) {
+    return res.status(400).json({ error: 'min_hands must be a whole number' });
+  }
+
+  const cacheKey = [window, sort, minHands, limit].join('|');
+  const cached = leaderboardCache.get(cacheKey);
+  if (cached && Date.now() - cached.at < LEADERBOARD_CACHE_MS) {
+    return res.json(cached.body);
+  }
+
+  const since = windowStart(window);
+  const buckets = await db.collection('agent_stats')
+    .find(since ? { hour: { $gte: since } } : { hour: null })
+    .toArray();
+
+  const ranking = rankLeaderboard(buckets, { sort, minHands });
+  console.log('[LEADERBOARD] Ranked', ranking.length, 'agents from', buckets.length, 'stats buckets');
+
+  const body = {
+    window,
+    since,
+    sort,
+    min_hands: minHands,
+    total_agents: ranking.length,
+    leaderboard: ranking.slice(0, limit)
+  };
+  leaderboardCache.delete(cacheKey);
+  leaderboardCache.set(cacheKey, { at: Date.now(), body });
+  if (leaderboardCache.size > LEADERBOARD_CACHE_SIZE) leaderboardCache.delete(leaderboardCache.keys().next().value);
+  res.json(body);
+});
+
+// Names are not unique across identity providers, so profiles are looked up by moltbook_id
+app.get('/api/leaderboard/agents/:id', async (req, res) => {
+  console.log('\n[LEADERBOARD] Profile request:', req.params.id);
+
+  const db = getDb();
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+
+  const account = await db.collection('accounts').findOne({ moltbook_id: req.params.id });
+  if (!account) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const allTime = await db.collection('agent_stats').find({ moltbook_id: account.moltbook_id, hour: null }).toArray();
+  const hourly = await db.collection('agent_stats')
+    .find({ moltbook_id: account.moltbook_id, hour: { $gte: windowStart('month') } })
+    .toArray();
+  const recentHands = await db.collection('hands')
+    .find({ ...CASH_HANDS, 'seats.moltbook_id': account.moltbook_id }, { projection: { ended_at: 1, blinds: 1, seats: 1, shown: 1, hand_number: 1 } })
+    .sort({ ended_at: -1 })
+    .limit(20)
+    .toArray();
+
+  const statsFor = buckets => {
+    const [stats] = combineStats(buckets);
+    if (!stats) return { hands_played: 0, net_winnings: 0, bb_per_100: 0, showdowns: 0, showdowns_won: 0, showdown_win_rate: null };
+    const { key, moltbook_id, moltbook_name, last_played, ...rest } = stats;
+    return rest;
+  };
+
+  const windows = {};
+  for (const name of Object.keys(LEADERBOARD_WINDOWS)) {
+    const since = windowStart(name);
+    windows[name] = statsFor(since ? hourly.filter(bucket => bucket.hour >= since) : allTime);
+  }
+
+  const byVersion = combineStats(allTime, bucket => bucket.bot_version)
+    .map(({ key, moltbook_id, moltbook_name, ...stats }) => ({ bot_version: key, ...stats }))
+    .sort((a, b) => (b.last_played || 0) - (a.last_played || 0));
+
+  const byDay = combineStats(hourly, bucket => new Date(bucket.hour).toISOString().slice(0, 10))
+    .map(({ key, moltbook_id, moltbook_name, last_played, ...stats }) => ({ day: key, ...stats }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+
+  res.json({
+    moltbook_id: account.moltbook_id,
+    moltbook_name: account.moltbook_name,
+    member_since: account.created_at || null,
+    windows,
+    by_bot_version: byVersion,
+    by_day: byDay,
+    recent_hands: recentHands.map(hand => {
+      const seat = hand.seats.find(seat => seat.moltbook_id === account.moltbook_id);
+      return {
+        hand_id: hand._id.toString(),
+        hand_number: hand.hand_number,
+        ended_at: hand.ended_at,
+        blinds: hand.blinds,
+        bot_version: seat.bot_version || null,
+        net: seat.net,
+        showdown: (hand.shown || []).includes(account.moltbook_id)
+      };
+    })
+  });
+});
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log('\n========================================');
   console.log('PokerClaw Backend Started');
   console.log('========================================');
   console.log('Port:', PORT);
-  console.log('Moltbook API URL:', MOLTBOOK_API_URL);
-  console.log('Seats per table:', SEATS_PER_TABLE);
+  console.log('Moltbook API URL:', moltbookApiUrl());
+  console.log('Identity providers:', enabledProviders().join(', ') || 'none');
+  console.log('Max seats per table:', MAX_SEATS);
   console.log('Min players to start:', MIN_PLAYERS_TO_START);
   console.log('Starting balance: $' + STARTING_BALANCE);
-  console.log('Blinds: $' + BLINDS.SMALL + '/$' + BLINDS.BIG);
+  console.log('Stake levels:', Object.keys(STAKE_LEVELS).join(', '));
   console.log('Action timeout:', ACTION_TIMEOUT_MS / 1000, 'seconds');
   console.log('========================================\n');
 });
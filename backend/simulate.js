@@ -0,0 +1,79 @@
+import { parseArgs } from 'util';
+import { loadStrategy, simulate } from './simulator.js';
+import { HOUSE_BOT_STRATEGIES } from './bots.js';
+
+// Plays bots against each other with the server's hand logic, no HTTP or database:
+//   npm run simulate -- [--hands 100000] [--seed <text>] [--duplicate] [--stakes 1/2] [--ante 0]
+//                       [--stack 100] [--json] <strategy> <strategy> [...]
+// A strategy is a path to a JS module exporting decide(view, random), or house:<name> for a
+// built-in house bot (see simulator.js for the view and the action it returns).
+const USAGE = `Usage: npm run simulate -- [--hands N] [--seed TEXT] [--duplicate] [--stakes 1/2] [--ante N] [--stack BIG_BLINDS] [--json] <strategy> <strategy> [...]
+Strategies: paths to modules exporting decide(view, random), or ${HOUSE_BOT_STRATEGIES.map(name => `house:${name}`).join(', ')}`;
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      hands: { type: 'string', default: '10000' },
+      seed: { type: 'string' },
+      duplicate: { type: 'boolean', default: false },
+      stakes: { type: 'string' },
+      ante: { type: 'string', default: '0' },
+      stack: { type: 'string', default: '100' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+} catch (error) {
+  console.error(error.message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const { values, positionals } = args;
+const hands = Number(values.hands);
+const ante = Number(values.ante);
+const stackBigBlinds = Number(values.stack);
+
+if (positionals.length < 2 || positionals.length > 9 || !Number.isInteger(hands) || hands < 1 ||
+    !Number.isInteger(ante) || ante < 0 || !Number.isInteger(stackBigBlinds) || stackBigBlinds < 1) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+let players;
+try {
+  players = await Promise.all(positionals.map(loadStrategy));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+let reported = 0;
+
+const report = simulate(players, {
+  hands,
+  seed: values.seed,
+  duplicate: values.duplicate,
+  stakes: values.stakes,
+  ante,
+  stackBigBlinds,
+  onProgress: values.json ? null : (done, total) => {
+    if (done - reported < total / 10) return;
+    reported = done;
+    process.stderr.write(`${done}/${total} hands\n`);
+  }
+});
+
+if (values.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log(`${report.hands} hands at ${report.stakes}${report.ante ? ` ante ${report.ante}` : ''}, ${report.stack} chip stacks${report.duplicate ? ', duplicate deals' : ''}`);
+  console.log(`Seed: ${report.seed} (${report.hands_per_second} hands/s)`);
+  console.log('');
+  const width = Math.max(6, ...report.players.map(player => player.name.length));
+  console.log(`${'Player'.padEnd(width)}  ${'bb/100'.padStart(9)}  ${'95% CI'.padStart(9)}  ${'Net chips'.padStart(10)}  Rejected`);
+  for (const player of report.players) {
+    console.log(`${player.name.padEnd(width)}  ${player.bb_per_100.toFixed(2).padStart(9)}  ${('±' + player.ci95.toFixed(2)).padStart(9)}  ${String(player.net_chips).padStart(10)}  ${player.rejected_actions}`);
+  }
+}
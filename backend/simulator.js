@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { startHand, applyAction } from './engine.js';
+import { createTableConfig, generateServerSeed, hashSeed, setPokerLogging } from './poker.js';
+import { houseBotView, chooseHouseBotAction, HOUSE_BOT_STRATEGIES } from './bots.js';
+
+// Headless bot-versus-bot matches. Every hand goes through the same engine the server runs
+// (startHand and applyAction), so blinds, raise rules, side pots and showdowns are the live
+// rules. Each hand starts a fresh table with every player on the same stack, and decks come
+// from the provably fair shuffle: with seed S, hand n gets the deck a server started with
+// POKER_SERVER_SEED=S deals at hand n when no client seeds are set.
+//
+// A strategy module exports decide(view, random) (as the default export or by name) and may
+// export a name. view is what a house bot sees: hole_cards, board, pot, to_call, current_bet,
+// big_blind, stack, limits (can_raise, min_raise_to, max_raise_to) and opponents. decide
+// returns { action: 'fold' | 'check' | 'call' | 'raise', amount } with amount the total to raise to.
+
+const BUILT_IN_PREFIX = 'house:';
+const Z_95 = 1.96;
+
+// Deterministic numbers in [0, 1) from a seed, for strategies that randomize
+export function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// "house:<strategy>" for a built-in house bot, otherwise a path to a strategy module
+export async function loadStrategy(spec) {
+  if (spec.startsWith(BUILT_IN_PREFIX)) {
+    const strategy = spec.slice(BUILT_IN_PREFIX.length);
+    if (!HOUSE_BOT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown house strategy "${strategy}". Use one of: ${HOUSE_BOT_STRATEGIES.join(', ')}`);
+    }
+    return { name: spec, decide: (view, random) => chooseHouseBotAction(strategy, view, random) };
+  }
+
+  const module = await import(pathToFileURL(path.resolve(spec)).href);
+  const decide = typeof module.default === 'function' ? module.default : module.decide;
+  if (typeof decide !== 'function') {
+    throw new Error(`${spec} must export a decide(view, random) function`);
+  }
+  return { name: module.name || path.basename(spec, path.extname(spec)), decide };
+}
+
+/**
+ * Plays one hand at a fresh table. seating lists the player index in each seat; the button is
+ * seat 0. Returns each seat's chip result and how many of its actions the engine rejected.
+ */
+export function playHand({ players, seating, config, stack, serverSeed, handNumber, random }) {
+  const seats = seating.map(index => ({
+    moltbook_id: `p${index}`,
+    moltbook_name: players[index].name,
+    stack,
+    buy_in: stack
+  }));
+  const table = { _id: 'simulation', seats, status: 'waiting', game: { hand_number: handNumber - 1 } };
+  const options = { config, minimumStack: 1, minPlayers: 2, serverSeed, nextServerSeed: serverSeed, now: new Date(0) };
+
+  let outcome = startHand(table, options);
+  if (outcome.error) throw new Error(outcome.error.message);
+
+  const rejected = seating.map(() => 0);
+  while (!outcome.hand_complete) {
+    const current = outcome.table;
+    const seatIndex = current.seats.findIndex(seat => seat.moltbook_id === current.game.current_turn_player);
+    const view = houseBotView(current);
+    const choice = players[seating[seatIndex]].decide(view, random) || {};
+    const next = applyAction(current, current.game.current_turn_player, choice.action, choice.amount, { now: options.now });
+    if (next.error) {
+      // Like a house bot the server overrules: a rejected action becomes a check or a fold
+      rejected[seatIndex] += 1;
+      outcome = applyAction(current, current.game.current_turn_player, view.to_call > 0 ? 'fold' : 'check', null, { now: options.now });
+    } else {
+      outcome = next;
+    }
+  }
+
+  return outcome.table.seats.map((seat, index) => ({ player: seating[index], net: seat.stack - stack, rejected: rejected[index] }));
+}
+
+function summarize(samples, handsPerSample) {
+  const count = samples.length;
+  const mean = samples.reduce((sum, value) => sum + value, 0) / count;
+  const variance = count > 1 ? samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1) : 0;
+  const scale = 100 / handsPerSample;
+  return {
+    bb_per_100: round(mean * scale),
+    ci95: round(Z_95 * Math.sqrt(variance / count) * scale)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Plays `hands` hands between 2-9 loaded strategies. Seats rotate every hand so each player
+ * has every position equally often. With duplicate, each deck is dealt once per rotation, so
+ * every player holds every seat's cards on the same board, which cancels most of the luck;
+ * confidence intervals are then taken over decks rather than single hands.
+ * options: { hands, seed, duplicate, stakes, ante, stackBigBlinds, onProgress }
+ */
+export function simulate(players, { hands = 10000, seed = null, duplicate = false, stakes, ante = 0, stackBigBlinds = 100, onProgress = null } = {}) {
+  if (players.length < 2) {
+    throw new Error('A simulation needs at least 2 players');
+  }
+  const { config, error } = createTableConfig({ stakes, ante, max_seats: players.length });
+  if (error) throw new Error(error);
+
+  const seedText = seed ?? generateServerSeed();
+  const serverSeed = { seed: seedText, hash: hashSeed(seedText) };
+  const random = seededRandom(seedText);
+  const stack = config.big_blind * stackBigBlinds;
+  const rotations = players.length;
+  const deals = duplicate ? Math.ceil(hands / rotations) : hands;
+  const handsPerDeal = duplicate ? rotations : 1;
+
+  const samples = players.map(() => []);
+  const totals = players.map(() => ({ hands: 0, net: 0, rejected: 0 }));
+  const startedAt = Date.now();
+
+  // Millions of deals would bury everything else in deck and showdown log lines
+  const wasLogging = setPokerLogging(false);
+  try {
+    for (let deal = 0; deal < deals; deal++) {
+      const dealNet = players.map(() => 0);
+      for (let turn = 0; turn < handsPerDeal; turn++) {
+        const offset = (duplicate ? turn : deal) % rotations;
+        const seating = players.map((_, seat) => (seat + offset) % rotations);
+        for (const result of playHand({ players, seating, config, stack, serverSeed, handNumber: deal + 1, random })) {
+          dealNet[result.player] += result.net / config.big_blind;
+          totals[result.player].hands += 1;
+          totals[result.player].net += result.net;
+          totals[result.player].rejected += result.rejected;
+        }
+      }
+      dealNet.forEach((net, index) => samples[index].push(net));
+      if (onProgress && (deal + 1) % 1000 === 0) onProgress((deal + 1) * handsPerDeal, deals * handsPerDeal);
+    }
+  } finally {
+    setPokerLogging(wasLogging);
+  }
+
+  const elapsedMs = Date.now() - startedAt;
+  return {
+    seed: seedText,
+    duplicate,
+    stakes: config.stakes,
+    ante: config.ante,
+    stack,
+    hands: deals * handsPerDeal,
+    elapsed_ms: elapsedMs,
+    hands_per_second: Math.round(deals * handsPerDeal / Math.max(elapsedMs, 1) * 1000),
+    players: players.map((player, index) => ({
+      name: player.name,
+      hands: totals[index].hands,
+      net_chips: totals[index].net,
+      ...summarize(samples[index], handsPerDeal),
+      rejected_actions: totals[index].rejected
+    }))
+  };
+}
@@ -0,0 +1,138 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LEADERBOARD_WINDOWS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  all: null
+};
+
+// Profile pages chart the last 30 days; not offered as a leaderboard window
+const PROFILE_WINDOWS = { month: 30 * DAY_MS };
+
+export const LEADERBOARD_SORTS = ['net_winnings', 'bb_per_100', 'hands_played', 'showdown_win_rate'];
+
+// Tournament chips are not money, so only cash hands count towards the stats
+export const CASH_HANDS = { tournament_id: null };
+
+// Only the fields the stats need, for rebuilding agent_stats from stored hands
+export const HAND_STATS_PROJECTION = {
+  tournament_id: 1,
+  ended_at: 1,
+  blinds: 1,
+  seats: 1,
+  shown: 1,
+  winners: 1
+};
+
+// agent_stats holds running totals per agent and bot version: one all-time bucket (hour: null)
+// and one per hour played. Windows add up the hourly buckets, so they start on the hour.
+export const STATS_BUCKET_MS = 60 * 60 * 1000;
+
+export function statsBucket(date) {
+  return new Date(Math.floor(new Date(date).getTime() / STATS_BUCKET_MS) * STATS_BUCKET_MS);
+}
+
+export function windowStart(windowName, now = Date.now()) {
+  const length = LEADERBOARD_WINDOWS[windowName] ?? PROFILE_WINDOWS[windowName];
+  return length ? statsBucket(now - length) : null;
+}
+
+function emptyStats(seat) {
+  return {
+    moltbook_id: seat.moltbook_id,
+    moltbook_name: seat.moltbook_name,
+    hands_played: 0,
+    net_winnings: 0,
+    big_blinds_won: 0,
+    showdowns: 0,
+    showdowns_won: 0,
+    last_played: null
+  };
+}
+
+function finishStats(stats) {
+  const { big_blinds_won, ...rest } = stats;
+  return {
+    ...rest,
+    bb_per_100: stats.hands_played > 0 ? Math.round(big_blinds_won / stats.hands_played * 100 * 100) / 100 : 0,
+    showdown_win_rate: stats.showdowns > 0 ? Math.round(stats.showdowns_won / stats.showdowns * 1000) / 1000 : null
+  };
+}
+
+/**
+ * What one finished hand adds to agent_stats: a { filter, update } upsert for each agent's
+ * all-time and hourly buckets. Tournament hands and house bots are left out.
+ */
+export function handStatsUpdates(hand) {
+  if (hand.tournament_id) return [];
+  const bigBlind = hand.blinds?.big || 2;
+  const shown = new Set(hand.shown || []);
+  const winnerIds = new Set((hand.winners || []).filter(w => w.pot_share > 0).map(w => w.moltbook_id));
+
+  return (hand.seats || []).filter(seat => !seat.house_bot).flatMap(seat => {
+    const showdown = shown.has(seat.moltbook_id);
+    const update = {
+      $set: { moltbook_name: seat.moltbook_name },
+      $inc: {
+        hands_played: 1,
+        net_winnings: seat.net || 0,
+        big_blinds_won: (seat.net || 0) / bigBlind,
+        showdowns: showdown ? 1 : 0,
+        showdowns_won: showdown && winnerIds.has(seat.moltbook_id) ? 1 : 0
+      },
+      $max: { last_played: hand.ended_at }
+    };
+    const filter = { moltbook_id: seat.moltbook_id, bot_version: seat.bot_version || null };
+    return [
+      { filter: { ...filter, hour: null }, update },
+      { filter: { ...filter, hour: statsBucket(hand.ended_at) }, update }
+    ];
+  });
+}
+
+// Applies one hand's handStatsUpdates to buckets held in a Map, for rebuilding agent_stats in one pass
+export function foldHandStats(buckets, hand) {
+  for (const { filter, update } of handStatsUpdates(hand)) {
+    const key = JSON.stringify(filter);
+    const bucket = buckets.get(key) || { ...filter, last_played: null };
+    bucket.moltbook_name = update.$set.moltbook_name;
+    for (const [field, amount] of Object.entries(update.$inc)) {
+      bucket[field] = (bucket[field] || 0) + amount;
+    }
+    if (!bucket.last_played || update.$max.last_played > bucket.last_played) {
+      bucket.last_played = update.$max.last_played;
+    }
+    buckets.set(key, bucket);
+  }
+  return buckets;
+}
+
+// Adds agent_stats buckets up into one entry per key, e.g. per agent, bot version or day
+export function combineStats(buckets, keyOf = bucket => bucket.moltbook_id) {
+  const byKey = new Map();
+
+  for (const bucket of buckets) {
+    const key = keyOf(bucket);
+    if (!byKey.has(key)) byKey.set(key, emptyStats(bucket));
+    const stats = byKey.get(key);
+
+    stats.moltbook_name = bucket.moltbook_name;
+    stats.hands_played += bucket.hands_played || 0;
+    stats.net_winnings += bucket.net_winnings || 0;
+    stats.big_blinds_won += bucket.big_blinds_won || 0;
+    stats.showdowns += bucket.showdowns || 0;
+    stats.showdowns_won += bucket.showdowns_won || 0;
+    if (!stats.last_played || bucket.last_played > stats.last_played) {
+      stats.last_played = bucket.last_played;
+    }
+  }
+
+  return [...byKey.entries()].map(([key, stats]) => ({ key, ...finishStats(stats) }));
+}
+
+export function rankLeaderboard(buckets, { sort = 'net_winnings', minHands = 0 } = {}) {
+  return combineStats(buckets)
+    .filter(entry => entry.hands_played >= minHands)
+    .sort((a, b) => (b[sort] ?? -Infinity) - (a[sort] ?? -Infinity) || b.hands_played - a.hands_played)
+    .map(({ key, ...entry }, index) => ({ rank: index + 1, ...entry }));
+}
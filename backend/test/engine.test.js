@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHand, applyAction, applyTimeout, turnDeadline } from '../engine.js';
+
+const CONFIG = { small_blind: 1, big_blind: 2, ante: 0 };
+const SEED = { seed: 'engine-tests', hash: 'hash' };
+
+const seat = id => ({ moltbook_id: id, moltbook_name: id.toUpperCase(), stack: 100 });
+const table = seats => ({ _id: 'test', status: 'waiting', seats: seats.map(id => id && seat(id)), game: null });
+
+function deal(current) {
+  const outcome = startHand(current, { config: CONFIG, minimumStack: CONFIG.big_blind, serverSeed: SEED, nextServerSeed: SEED });
+  assert.ok(!outcome.error, outcome.error?.message);
+  return outcome.table;
+}
+
+// Everyone folds to the last player, which ends the hand without changing anyone's seat
+function foldOut(current) {
+  let next = current;
+  while (next.status === 'playing') {
+    next = applyAction(next, next.game.current_turn_player, 'fold').table;
+  }
+  return next;
+}
+
+// Who holds each position in the hand just dealt, by player id (null for a dead blind or an empty button seat)
+function positions(current) {
+  const { game } = current;
+  const idAt = index => current.seats[index]?.moltbook_id ?? null;
+  const posted = action => game.actions.filter(a => a.action === action).map(a => a.moltbook_id);
+  return {
+    button: idAt(game.button_seat),
+    small_blind: posted('small_blind')[0] ?? null,
+    big_blind: posted('big_blind')[0],
+    post_ins: posted('post_in'),
+    dealt: game.hand_seats.map(s => s.moltbook_id).join(''),
+    first: game.current_turn_player
+  };
+}
+
+// Deals `count` hands in a row, folding each out, and returns every hand's positions
+function orbit(current, count) {
+  const hands = [];
+  for (let i = 0; i < count; i++) {
+    current = deal(current);
+    hands.push(positions(current));
+    current = foldOut(current);
+  }
+  return { table: current, hands };
+}
+
+test('button and blinds move one seat a hand', () => {
+  const { hands } = orbit(table(['a', 'b', 'c', 'd', null, null]), 5);
+  assert.deepEqual(hands.map(h => h.button + h.small_blind + h.big_blind).join(' '), 'abc bcd cda dab abc');
+  assert.equal(hands[0].first, 'd');
+});
+
+test('a big blind who busts leaves a dead small blind and the next player owes the big blind', () => {
+  let { table: current } = orbit(table(['a', 'b', 'c', 'd', null, null]), 1);
+  // c was the big blind; d posts it next, nobody posts the small blind
+  current.seats[2] = null;
+  current = deal(current);
+  assert.deepEqual(positions(current), { button: 'b', small_blind: null, big_blind: 'd', post_ins: [], dealt: 'abd', first: 'a' });
+
+  // The button then moves onto the empty seat, so b never gets it twice and a is the next big blind
+  current = deal(foldOut(current));
+  assert.deepEqual(positions(current), { button: null, small_blind: 'd', big_blind: 'a', post_ins: [], dealt: 'abd', first: 'b' });
+});
+
+test('a small blind who leaves leaves a dead button', () => {
+  let { table: current } = orbit(table(['a', 'b', 'c', 'd', 'e']), 1);
+  current.seats[1] = null;
+  const { hands } = orbit(current, 3);
+  assert.deepEqual(hands.map(h => [h.button, h.small_blind, h.big_blind]), [
+    [null, 'c', 'd'],
+    ['c', 'd', 'e'],
+    ['d', 'e', 'a']
+  ]);
+  assert.ok(hands.every(h => h.dealt === 'acde'));
+});
+
+test('a new player outside the blinds posts a big blind and is dealt in', () => {
+  let { table: current } = orbit(table(['a', 'b', 'c', null, null, null]), 1);
+  current.seats[3] = seat('x');
+  current = deal(current);
+  // x sits where the big blind moves next, so x simply takes it
+  assert.deepEqual(positions(current), { button: 'b', small_blind: 'c', big_blind: 'x', post_ins: [], dealt: 'abcx', first: 'a' });
+
+  ({ table: current } = orbit(table(['a', null, 'b', 'c', null, null]), 1));
+  current.seats[1] = seat('y');
+  const { hands } = orbit(current, 3);
+  assert.deepEqual(hands[0], { button: 'b', small_blind: 'c', big_blind: 'a', post_ins: ['y'], dealt: 'aybc', first: 'y' });
+  // From then on y is in the rotation like everyone else
+  assert.deepEqual(hands.slice(1).map(h => [h.button, h.small_blind, h.big_blind, h.post_ins.length]), [
+    ['c', 'a', 'y', 0],
+    ['a', 'y', 'b', 0]
+  ]);
+});
+
+test('a new player between the button and the big blind waits for the button to pass', () => {
+  let { table: current } = orbit(table(['a', null, 'b', null, 'c', 'd']), 1);
+  current.seats[3] = seat('z');
+  const { hands } = orbit(current, 3);
+  assert.equal(hands[0].dealt, 'abcd');
+  assert.deepEqual(hands[1], { button: 'c', small_blind: 'd', big_blind: 'a', post_ins: ['z'], dealt: 'abzcd', first: 'b' });
+  assert.deepEqual(hands[2].post_ins, []);
+  assert.equal(hands[2].first, 'z');
+});
+
+test('heads-up the button posts the small blind, acts first before the flop and last after it', () => {
+  let current = deal(table(['a', 'b', null]));
+  assert.deepEqual(positions(current), { button: 'a', small_blind: 'a', big_blind: 'b', post_ins: [], dealt: 'ab', first: 'a' });
+
+  current = applyAction(current, 'a', 'call').table;
+  current = applyAction(current, 'b', 'check').table;
+  assert.equal(current.game.phase, 'flop');
+  assert.equal(current.game.current_turn_player, 'b');
+
+  const { hands } = orbit(foldOut(current), 2);
+  assert.deepEqual(hands.map(h => h.button + h.small_blind + h.big_blind), ['bba', 'aab']);
+});
+
+test('when the button busts three-handed, heads-up play starts with the right blinds', () => {
+  let { table: current, hands } = orbit(table(['a', 'b', 'c']), 2);
+  assert.equal(hands[1].button, 'b');
+  current.seats[1] = null;
+  ({ hands } = orbit(current, 3));
+  assert.deepEqual(hands.map(h => h.button + h.small_blind + h.big_blind), ['aac', 'cca', 'aac']);
+  assert.ok(hands.every(h => h.first === h.button));
+});
+
+test('from heads-up to three-handed the newcomer waits for the big blind to reach them', () => {
+  let { table: current } = orbit(table(['a', null, 'b']), 1);
+  // n sits between the button and the big blind, so the next hand stays heads-up
+  current.seats[1] = seat('n');
+  const { hands } = orbit(current, 3);
+  assert.deepEqual(hands.map(h => [h.button, h.small_blind, h.big_blind, h.dealt, h.post_ins.length]), [
+    ['b', 'b', 'a', 'ab', 0],
+    ['b', 'a', 'n', 'anb', 0],
+    ['a', 'n', 'b', 'anb', 0]
+  ]);
+});
+
+test('an action a millisecond past the deadline is refused and the timeout applies instead', () => {
+  const current = deal(table(['a', 'b', 'c']));
+  const player = current.game.current_turn_player;
+  const deadline = turnDeadline(current.game).getTime();
+
+  assert.ok(!applyAction(current, player, 'call', null, { now: new Date(deadline) }).error);
+  const late = applyAction(current, player, 'call', null, { now: new Date(deadline + 1) });
+  assert.equal(late.error.code, 'TURN_EXPIRED');
+  assert.equal(late.error.status, 409);
+
+  const timedOut = applyTimeout(current, { now: new Date(deadline + 1) });
+  assert.equal(timedOut.action.action, 'fold');
+  assert.equal(timedOut.table.seats.find(s => s?.moltbook_id === player).timeouts, 1);
+
+  // Leaving still folds a hand whose turn has run out
+  assert.ok(!applyAction(current, player, 'fold', null, { now: new Date(deadline + 1), outOfTurn: true }).error);
+});
+
+test('the minimum raise follows the table big blind', () => {
+  const config = { small_blind: 25, big_blind: 50, ante: 0 };
+  const start = table(['a', 'b', 'c']);
+  start.seats.forEach(s => { s.stack = 5000; });
+  const current = startHand(start, { config, minimumStack: config.big_blind, serverSeed: SEED, nextServerSeed: SEED }).table;
+  const player = current.game.current_turn_player;
+
+  assert.equal(applyAction(current, player, 'raise', 75).error.min_raise_to, 100);
+  assert.equal(applyAction(current, player, 'raise').table.game.current_bet, 100);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEquityRequest, calculateEquity, maxIterations, MAX_HANDS_SCORED, MAX_OPPONENTS } from '../equity.js';
+import { seededRandom } from '../simulator.js';
+
+test('ranges that can never be dealt together are rejected', () => {
+  assert.match(parseEquityRequest({ hole_cards: 'AhKd', ranges: ['QsQc', 'QsQc'] }).error, /cannot all be dealt/);
+  // Three opponents need three of the four queens' six pairs without sharing one
+  assert.match(parseEquityRequest({ hole_cards: 'AhKd', ranges: ['QQ', 'QQ', 'QQ'] }).error, /cannot all be dealt/);
+  assert.ok(parseEquityRequest({ hole_cards: 'AhKd', ranges: ['QQ', 'QQ'] }).request);
+  assert.ok(parseEquityRequest({ hole_cards: 'AhKd', ranges: ['QsQc', 'QQ'] }).request);
+});
+
+test('ranges that share some hands are dealt without a shared card', () => {
+  const { request } = parseEquityRequest({ hole_cards: 'AhKd', board: 'Js7c2d', ranges: ['QsQc,QhQd', 'QsQc'] });
+  const result = calculateEquity(request, seededRandom('equity-overlap'));
+  assert.equal(result.method, 'exact');
+  // The second opponent always holds QsQc, so the first always holds QhQd
+  assert.ok(result.showdowns > 0);
+  assert.equal(result.win + result.tie + result.lose, 1);
+});
+
+test('no request scores more than MAX_HANDS_SCORED hands', () => {
+  for (let opponents = 1; opponents <= MAX_OPPONENTS; opponents++) {
+    const limit = maxIterations(opponents);
+    assert.ok(limit * (opponents + 1) <= MAX_HANDS_SCORED);
+    assert.ok(parseEquityRequest({ hole_cards: 'AhKd', opponents, iterations: limit }).request);
+    assert.match(parseEquityRequest({ hole_cards: 'AhKd', opponents, iterations: limit + 1 }).error, /iterations/);
+
+    const { request } = parseEquityRequest({ hole_cards: 'AhKd', opponents });
+    assert.ok(request.iterations <= limit);
+  }
+
+  const { request } = parseEquityRequest({ hole_cards: 'AhKd', opponents: MAX_OPPONENTS });
+  const result = calculateEquity(request, seededRandom('equity-limit'));
+  assert.equal(result.method, 'monte_carlo');
+  assert.ok(result.showdowns * (MAX_OPPONENTS + 1) <= MAX_HANDS_SCORED);
+});
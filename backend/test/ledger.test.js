@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { createMemoryDb } from '../memory-db.js';
+import { transfer, recordTransfers, bookBalances, reconcile, books, HOUSE, LEDGER_KINDS } from '../ledger.js';
+
+const MINUTE = 60 * 1000;
+
+// Two accounts with 100 each; a sat down with 50 at table t, and the first hand moved 10 of it
+// into the pot. The early entries are an hour old, the last one is new.
+async function seed() {
+  const db = await createMemoryDb();
+  await db.collection('accounts').insertMany([{ moltbook_id: 'a', balance: 50 }, { moltbook_id: 'b', balance: 100 }]);
+  await db.collection('tables').insertOne({
+    _id: 't', status: 'playing',
+    seats: [{ moltbook_id: 'a', stack: 40 }, null],
+    game: { pot: 10, hand_number: 1 }
+  });
+  const old = Date.now() - 60 * MINUTE;
+  const entries = [
+    transfer(LEDGER_KINDS.STARTING_BALANCE, HOUSE, books.wallet('a'), 100),
+    transfer(LEDGER_KINDS.STARTING_BALANCE, HOUSE, books.wallet('b'), 100),
+    transfer(LEDGER_KINDS.BUY_IN, books.wallet('a'), books.stack('t', 'a'), 50)
+  ].map((entry, i) => ({ ...entry, _id: ObjectId.createFromTime(Math.floor(old / 1000) + i) }));
+  await recordTransfers(db, entries);
+  await recordTransfers(db, [transfer(LEDGER_KINDS.BET, books.stack('t', 'a'), books.pot('t'), 10)]);
+  return db;
+}
+
+test('balanced books reconcile and only settled entries move the checkpoint', async () => {
+  const db = await seed();
+  const report = await reconcile(db, { confirmAfterMs: 0 });
+  assert.equal(report.ok, true);
+  assert.equal(report.conserved, true);
+  assert.equal(report.chips_held, 200);
+  assert.equal(report.entries, 4);
+  assert.equal(report.entries_read, 4);
+
+  const checkpoint = await db.collection('ledger_checkpoints').findOne({ _id: 'books' });
+  assert.equal(checkpoint.entries, 3);
+
+  // The next run reads only the entry after the checkpoint, and agrees with a full replay
+  await recordTransfers(db, [transfer(LEDGER_KINDS.POT_AWARD, books.pot('t'), books.stack('t', 'a'), 10)]);
+  await db.collection('tables').updateOne({ _id: 't' }, { $set: { 'seats.0.stack': 50, 'game.pot': 0 } });
+  const next = await reconcile(db, { confirmAfterMs: 0 });
+  assert.equal(next.ok, true);
+  assert.equal(next.entries, 5);
+  assert.equal(next.entries_read, 2);
+  const { balances } = bookBalances(await db.collection('ledger').find({}).toArray());
+  assert.deepEqual(next.totals, (await reconcile(await replayOnly(db), { confirmAfterMs: 0 })).totals);
+  assert.equal(balances.get(books.stack('t', 'a')), 50);
+});
+
+test('a stored balance that disagrees with its book is reported and breaks conservation', async () => {
+  const db = await seed();
+  await db.collection('accounts').updateOne({ moltbook_id: 'b' }, { $inc: { balance: 25 } });
+  const report = await reconcile(db, { confirmAfterMs: 0 });
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.discrepancies, [{ book: books.wallet('b'), ledger: 100, actual: 125, difference: 25 }]);
+  assert.equal(report.conserved, false);
+  assert.equal(report.chips_held, 225);
+  assert.equal(report.totals.issued, 200);
+});
+
+// A copy of the database without the checkpoint, so reconcile replays every entry
+async function replayOnly(db) {
+  const copy = await createMemoryDb();
+  for (const name of ['accounts', 'tables', 'ledger']) {
+    await copy.collection(name).insertMany(await db.collection(name).find({}).toArray());
+  }
+  return copy;
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BSON } from 'mongodb';
+import { createMemoryDb } from '../memory-db.js';
+
+test('updates count only the documents they change', async () => {
+  const db = await createMemoryDb();
+  const accounts = db.collection('accounts');
+  await accounts.insertMany([{ name: 'a', balance: 10, tags: ['x'] }, { name: 'b', balance: 20, tags: [] }]);
+
+  assert.equal((await accounts.updateMany({}, { $set: { balance: 10 } })).modifiedCount, 1);
+  assert.equal((await accounts.updateMany({}, { $inc: { balance: 0 } })).modifiedCount, 0);
+  assert.equal((await accounts.updateMany({}, { $unset: { missing: '' } })).modifiedCount, 0);
+  assert.equal((await accounts.updateMany({}, { $pull: { tags: 'x' } })).modifiedCount, 1);
+  assert.equal((await accounts.updateOne({ name: 'a' }, { $set: { seen: null } })).modifiedCount, 1);
+  assert.equal((await accounts.updateOne({ name: 'a' }, { $max: { balance: 5 } })).modifiedCount, 0);
+  assert.equal((await accounts.updateOne({ name: 'a' }, { $max: { balance: 15 } })).modifiedCount, 1);
+});
+
+test('writes close together are saved to the file once, and flush saves what is pending', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-db-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'store.json');
+  const writes = t.mock.method(fs, 'writeFile');
+
+  const db = await createMemoryDb(file);
+  for (let i = 0; i < 100; i++) await db.collection('hands').insertOne({ i });
+  await db.flush();
+  assert.equal(writes.mock.callCount(), 1);
+
+  const saved = BSON.EJSON.parse(await fs.readFile(file, 'utf8'));
+  assert.equal(saved.hands.length, 100);
+  const reloaded = await createMemoryDb(file);
+  assert.equal(await reloaded.collection('hands').countDocuments(), 100);
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreCodes, scoreCategory, evaluateHand, determineWinners, setPokerLogging, HAND_RANKINGS } from '../poker.js';
+import { seededRandom, simulate, loadStrategy } from '../simulator.js';
+
+// A card code is rank index (0-12 for 2..A) * 4 + suit index; see cardCode
+const SUITS = { h: 0, d: 1, c: 2, s: 3 };
+const SUIT_NAMES = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANK_CHARS = '23456789TJQKA';
+
+function card(text) {
+  const value = RANK_CHARS.indexOf(text[0]) + 2;
+  return { value, rank: value === 10 ? '10' : text[0], suit: SUIT_NAMES[SUITS[text[1]]] };
+}
+
+const cards = text => text.match(/../g).map(card);
+
+// Reference: scores five cards the slow, obvious way, packed like scoreCodes
+function referenceFive(codes) {
+  const values = codes.map(code => (code >> 2) + 2);
+  const flush = codes.every(code => (code & 3) === (codes[0] & 3));
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  const groups = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+  const distinct = groups.map(([value]) => value);
+
+  let straightHigh = 0;
+  if (distinct.length === 5) {
+    const sorted = [...distinct].sort((a, b) => b - a);
+    if (sorted[0] - sorted[4] === 4) straightHigh = sorted[0];
+    if (sorted.join() === '14,5,4,3,2') straightHigh = 5;
+  }
+
+  const shape = groups.map(([, count]) => count).join('');
+  let category;
+  let ranks = distinct;
+  if (straightHigh && flush) {
+    category = straightHigh === 14 ? HAND_RANKINGS.ROYAL_FLUSH : HAND_RANKINGS.STRAIGHT_FLUSH;
+    ranks = [straightHigh];
+  } else if (shape === '41') {
+    category = HAND_RANKINGS.FOUR_OF_A_KIND;
+  } else if (shape === '32') {
+    category = HAND_RANKINGS.FULL_HOUSE;
+  } else if (flush) {
+    category = HAND_RANKINGS.FLUSH;
+  } else if (straightHigh) {
+    category = HAND_RANKINGS.STRAIGHT;
+    ranks = [straightHigh];
+  } else if (shape === '311') {
+    category = HAND_RANKINGS.THREE_OF_A_KIND;
+  } else if (shape === '221') {
+    category = HAND_RANKINGS.TWO_PAIR;
+  } else if (shape === '2111') {
+    category = HAND_RANKINGS.ONE_PAIR;
+  } else {
+    category = HAND_RANKINGS.HIGH_CARD;
+  }
+
+  let score = category;
+  for (let i = 0; i < 5; i++) score = score * 16 + (ranks[i] || 0);
+  return score;
+}
+
+// Reference for seven cards: the best of all 21 five-card hands
+function referenceSeven(codes) {
+  let best = 0;
+  for (let skipA = 0; skipA < 7; skipA++) {
+    for (let skipB = skipA + 1; skipB < 7; skipB++) {
+      best = Math.max(best, referenceFive(codes.filter((_, index) => index !== skipA && index !== skipB)));
+    }
+  }
+  return best;
+}
+
+test('every five-card hand scores as the reference enumeration does', () => {
+  const categories = new Array(11).fill(0);
+  const distinct = new Set();
+  let mismatches = 0;
+  for (let a = 0; a < 52; a++) {
+    for (let b = a + 1; b < 52; b++) {
+      for (let c = b + 1; c < 52; c++) {
+        for (let d = c + 1; d < 52; d++) {
+          for (let e = d + 1; e < 52; e++) {
+            const hand = [a, b, c, d, e];
+            const score = scoreCodes(hand);
+            if (score !== referenceFive(hand)) mismatches++;
+            categories[scoreCategory(score)]++;
+            distinct.add(score);
+          }
+        }
+      }
+    }
+  }
+
+  assert.equal(mismatches, 0);
+  // The textbook counts of the 2,598,960 hands, and 7,462 distinct hand values
+  assert.deepEqual(categories.slice(1), [1302540, 1098240, 123552, 54912, 10200, 5108, 3744, 624, 36, 4]);
+  assert.equal(distinct.size, 7462);
+});
+
+test('seven-card scores equal the best five-card hand among them', () => {
+  const random = seededRandom('poker-evaluator');
+  const deck = Array.from({ length: 52 }, (_, code) => code);
+  for (let n = 0; n < 30000; n++) {
+    for (let i = 0; i < 7; i++) {
+      const j = i + Math.floor(random() * (52 - i));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    const hand = deck.slice(0, 7);
+    assert.equal(scoreCodes(hand), referenceSeven(hand), `cards ${hand.join(',')}`);
+  }
+});
+
+test('cards outside the best five never break a tie', () => {
+  const board = cards('8h8cAsKdQh');
+  const players = [
+    { moltbook_name: 'A', hole_cards: cards('Js2d') },
+    { moltbook_name: 'B', hole_cards: cards('Tc3s') }
+  ];
+  assert.equal(determineWinners(players, board).length, 2);
+
+  const tripsBoard = cards('8h8c8sKdQh');
+  assert.equal(evaluateHand(cards('Js2d'), tripsBoard).score, evaluateHand(cards('Tc3s'), tripsBoard).score);
+});
+
+test('a wheel is the lowest straight', () => {
+  const wheel = evaluateHand(cards('As2d'), cards('3c4h5sKdKh'));
+  const sixHigh = evaluateHand(cards('6s2d'), cards('3c4h5sKdKh'));
+  assert.equal(wheel.description, 'Straight, Five high');
+  assert.ok(sixHigh.score > wheel.score);
+  assert.deepEqual(wheel.cards.map(c => c.value), [5, 4, 3, 2, 14]);
+});
+
+test('two sets of trips make the best full house', () => {
+  const hand = evaluateHand(cards('9s9d'), cards('9c4h4s4dKh'));
+  assert.equal(hand.description, 'Full House, Nines full of Fours');
+  assert.deepEqual(hand.cards.map(c => c.value), [9, 9, 9, 4, 4]);
+});
+
+test('the simulator quiets the deck and showdown log only while it runs', async t => {
+  const log = t.mock.method(console, 'log', () => {});
+  const players = await Promise.all(['house:random', 'house:tight_passive'].map(loadStrategy));
+  simulate(players, { hands: 50, seed: 'quiet' });
+  assert.equal(log.mock.callCount(), 0);
+
+  evaluateHand(cards('AsKs'), cards('QsJsTs'));
+  assert.ok(log.mock.callCount() > 0);
+  assert.equal(setPokerLogging(true), true);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handStatsUpdates, foldHandStats, combineStats, rankLeaderboard, statsBucket } from '../stats.js';
+import { createMemoryDb } from '../memory-db.js';
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2026-01-05T10:00:00Z').getTime();
+
+// Hands between a and b (version v1, then v2), with a house bot and the odd tournament hand
+function hands() {
+  const list = [];
+  for (let i = 0; i < 40; i++) {
+    const aWins = i % 3 === 0;
+    const amount = 2 + (i % 5);
+    list.push({
+      tournament_id: i % 10 === 9 ? 'tournament' : null,
+      ended_at: new Date(start + i * 20 * 60 * 1000),
+      blinds: { small: 1, big: 2 },
+      seats: [
+        { moltbook_id: 'a', moltbook_name: 'A', bot_version: i < 20 ? 'v1' : 'v2', net: aWins ? amount : -amount },
+        { moltbook_id: 'b', moltbook_name: 'B', net: aWins ? -amount : amount },
+        { moltbook_id: 'house_bot_1', moltbook_name: 'Bot', house_bot: 'random', net: 0 }
+      ],
+      shown: i % 2 === 0 ? ['a', 'b'] : [],
+      winners: [{ moltbook_id: aWins ? 'a' : 'b', pot_share: amount * 2 }]
+    });
+  }
+  return list;
+}
+
+test('hand updates build an all-time and an hourly bucket per agent and version', () => {
+  const buckets = [...hands().reduce(foldHandStats, new Map()).values()];
+  assert.ok(buckets.every(bucket => bucket.moltbook_id !== 'house_bot_1'));
+
+  const allTime = buckets.filter(bucket => bucket.hour === null);
+  assert.deepEqual(allTime.map(bucket => `${bucket.moltbook_id}:${bucket.bot_version}`).sort(), ['a:v1', 'a:v2', 'b:null']);
+
+  const [a] = combineStats(allTime.filter(bucket => bucket.moltbook_id === 'a'));
+  const cash = hands().filter(hand => !hand.tournament_id);
+  const net = cash.reduce((sum, hand) => sum + hand.seats[0].net, 0);
+  assert.equal(a.hands_played, 36);
+  assert.equal(a.net_winnings, net);
+  assert.equal(a.bb_per_100, Math.round(net / 2 / 36 * 100 * 100) / 100);
+  assert.equal(a.showdowns, cash.filter(hand => hand.shown.length).length);
+  assert.equal(a.last_played.getTime(), cash[cash.length - 1].ended_at.getTime());
+
+  // The hourly buckets add up to the same totals
+  const [hourlyA] = combineStats(buckets.filter(bucket => bucket.hour !== null && bucket.moltbook_id === 'a'));
+  assert.deepEqual(hourlyA, a);
+  assert.ok(buckets.filter(bucket => bucket.hour !== null).every(bucket => bucket.hour.getTime() === statsBucket(bucket.hour).getTime()));
+});
+
+test('the leaderboard ranks agents from their buckets', () => {
+  const buckets = [...hands().reduce(foldHandStats, new Map()).values()].filter(bucket => bucket.hour === null);
+  const ranking = rankLeaderboard(buckets, { sort: 'net_winnings' });
+  assert.deepEqual(ranking.map(entry => [entry.rank, entry.moltbook_id]), [[1, 'b'], [2, 'a']]);
+  assert.equal(ranking[0].net_winnings, -ranking[1].net_winnings);
+  assert.deepEqual(rankLeaderboard(buckets, { minHands: 37 }), []);
+});
+
+test('upserting hand updates into memory-db matches building the buckets in one pass', async () => {
+  const db = await createMemoryDb();
+  for (const hand of hands()) {
+    for (const { filter, update } of handStatsUpdates(hand)) {
+      await db.collection('agent_stats').updateOne(filter, update, { upsert: true });
+    }
+  }
+  const stored = await db.collection('agent_stats').find({}).toArray();
+  const folded = [...hands().reduce(foldHandStats, new Map()).values()];
+  const sortKey = bucket => `${bucket.moltbook_id}|${bucket.bot_version}|${bucket.hour?.toISOString()}`;
+  const strip = ({ _id, ...bucket }) => bucket;
+  assert.deepEqual(stored.map(strip).sort((x, y) => sortKey(x).localeCompare(sortKey(y))), folded.sort((x, y) => sortKey(x).localeCompare(sortKey(y))));
+
+  const sinceTwoHours = await db.collection('agent_stats').find({ hour: { $gte: new Date(start + 11 * HOUR) } }).toArray();
+  assert.ok(sinceTwoHours.length > 0 && sinceTwoHours.every(bucket => bucket.hour >= new Date(start + 11 * HOUR)));
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+import { deliverWebhook, parseWebhookConfig, signPayload } from '../webhooks.js';
+
+const webhook = url => ({ url, secret: 'a-secret-of-sixteen', events: ['hand_result'], format: 'short' });
+
+test('private and metadata addresses are refused when registering', () => {
+  for (const url of ['http://localhost/', 'http://127.0.0.1:8080/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:10.0.0.1]/', 'http://192.168.1.10/']) {
+    assert.match(parseWebhookConfig({ url }).error, /publicly reachable/, url);
+  }
+  assert.ok(parseWebhookConfig({ url: 'https://agent.example/poker' }).webhook);
+});
+
+test('a name that resolves to a private address is refused at delivery, without retries', async t => {
+  // A public-looking name pointed at the cloud metadata address after it was registered
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (options.all) callback(null, [{ address: '169.254.169.254', family: 4 }]);
+    else callback(null, '169.254.169.254', 4);
+  });
+  assert.ok(parseWebhookConfig({ url: 'http://agent.example/hook' }).webhook);
+  const { delivery } = await deliverWebhook(webhook('http://agent.example/hook'), 'hand_result', { hand_id: 'h1' });
+  assert.equal(delivery.delivered, false);
+  assert.equal(delivery.attempts.length, 1);
+  assert.match(delivery.attempts[0].error, /resolves to a private address/);
+});
+
+test('deliveries are signed and log the status and duration but not the body', async t => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+  t.after(() => delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS);
+
+  let signed = false;
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => raw += chunk);
+    req.on('end', () => {
+      signed = req.headers['x-webhook-signature'] === signPayload('a-secret-of-sixteen', req.headers['x-webhook-timestamp'], raw);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ action: 'call', internal: 'not for the log' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const { delivery, response } = await deliverWebhook(webhook(`http://127.0.0.1:${server.address().port}/`), 'hand_result', { hand_id: 'h1' });
+  assert.ok(signed);
+  assert.equal(delivery.delivered, true);
+  assert.deepEqual(Object.keys(delivery.attempts[0]).sort(), ['at', 'attempt', 'duration_ms', 'status']);
+  assert.equal(delivery.attempts[0].status, 200);
+  assert.equal(response.action, 'call');
+});
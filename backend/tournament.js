@@ -0,0 +1,136 @@
+import { MAX_SEATS } from './poker.js';
+
+export const TOURNAMENT_STATUS = {
+  REGISTERING: 'registering',
+  RUNNING: 'running',
+  COMPLETE: 'complete'
+};
+
+export const DEFAULT_STARTING_CHIPS = 1500;
+
+export const DEFAULT_BLIND_SCHEDULE = [
+  { small_blind: 10, big_blind: 20, ante: 0 },
+  { small_blind: 15, big_blind: 30, ante: 0 },
+  { small_blind: 25, big_blind: 50, ante: 0 },
+  { small_blind: 50, big_blind: 100, ante: 0 },
+  { small_blind: 75, big_blind: 150, ante: 0 },
+  { small_blind: 100, big_blind: 200, ante: 25 },
+  { small_blind: 150, big_blind: 300, ante: 25 },
+  { small_blind: 200, big_blind: 400, ante: 50 },
+  { small_blind: 300, big_blind: 600, ante: 75 },
+  { small_blind: 500, big_blind: 1000, ante: 100 }
+];
+
+export const DEFAULT_LEVEL_UP = { every_hands: 10 };
+
+// Percent of the prize pool per finishing place, picked by field size
+export function defaultPayouts(players) {
+  if (players <= 3) return [100];
+  if (players <= 6) return [65, 35];
+  return [50, 30, 20];
+}
+
+function validateSchedule(schedule) {
+  if (!Array.isArray(schedule) || schedule.length === 0) {
+    return 'blind_schedule must be a non-empty list of levels';
+  }
+  for (const [index, level] of schedule.entries()) {
+    const { small_blind, big_blind, ante = 0 } = level || {};
+    if (![small_blind, big_blind, ante].every(Number.isInteger) || small_blind <= 0 || big_blind < small_blind || ante < 0) {
+      return `blind_schedule level ${index + 1} needs whole numbers with 0 < small_blind <= big_blind and ante >= 0`;
+    }
+  }
+  return null;
+}
+
+export function createTournamentConfig(body = {}) {
+  const buyIn = Number(body.buy_in);
+  if (!Number.isInteger(buyIn) || buyIn <= 0) {
+    return { error: 'buy_in must be a positive whole number' };
+  }
+
+  const maxPlayers = Number(body.max_players ?? 6);
+  if (!Number.isInteger(maxPlayers) || maxPlayers < 2 || maxPlayers > MAX_SEATS) {
+    return { error: `max_players must be a whole number from 2 to ${MAX_SEATS}` };
+  }
+
+  const startingChips = Number(body.starting_chips ?? DEFAULT_STARTING_CHIPS);
+  if (!Number.isInteger(startingChips) || startingChips <= 0) {
+    return { error: 'starting_chips must be a positive whole number' };
+  }
+
+  const scheduleError = validateSchedule(body.blind_schedule ?? DEFAULT_BLIND_SCHEDULE);
+  if (scheduleError) return { error: scheduleError };
+  const schedule = (body.blind_schedule ?? DEFAULT_BLIND_SCHEDULE).map(level => ({ ante: 0, ...level }));
+
+  const levelUp = body.level_up ?? DEFAULT_LEVEL_UP;
+  const everyHands = levelUp.every_hands !== undefined ? Number(levelUp.every_hands) : null;
+  const everyMinutes = levelUp.every_minutes !== undefined ? Number(levelUp.every_minutes) : null;
+  if ((everyHands === null) === (everyMinutes === null)) {
+    return { error: 'level_up must have exactly one of every_hands or every_minutes' };
+  }
+  if (everyHands !== null && (!Number.isInteger(everyHands) || everyHands <= 0)) {
+    return { error: 'level_up.every_hands must be a positive whole number' };
+  }
+  if (everyMinutes !== null && (!(everyMinutes > 0))) {
+    return { error: 'level_up.every_minutes must be a positive number' };
+  }
+
+  const payouts = body.payouts ?? defaultPayouts(maxPlayers);
+  if (!Array.isArray(payouts) || payouts.length === 0 || payouts.length > maxPlayers ||
+      !payouts.every(p => Number.isFinite(p) && p > 0) ||
+      Math.abs(payouts.reduce((sum, p) => sum + p, 0) - 100) > 0.001) {
+    return { error: `payouts must be 1 to ${maxPlayers} positive percentages that add up to 100` };
+  }
+
+  return {
+    config: {
+      name: body.name ? String(body.name).slice(0, 60) : `Sit & Go $${buyIn}`,
+      buy_in: buyIn,
+      max_players: maxPlayers,
+      starting_chips: startingChips,
+      blind_schedule: schedule,
+      level_up: everyHands !== null ? { every_hands: everyHands } : { every_minutes: everyMinutes },
+      payouts
+    }
+  };
+}
+
+// Levels are derived from the hand count or clock rather than stored, so every hand start agrees
+export function getBlindLevel(tournament, handNumber, now = Date.now()) {
+  const { blind_schedule: schedule, level_up: levelUp } = tournament;
+  let level;
+  if (levelUp.every_hands) {
+    level = Math.floor(Math.max(0, handNumber - 1) / levelUp.every_hands);
+  } else {
+    const elapsed = now - new Date(tournament.started_at).getTime();
+    level = Math.floor(Math.max(0, elapsed) / (levelUp.every_minutes * 60 * 1000));
+  }
+  level = Math.min(level, schedule.length - 1);
+  return { level: level + 1, ...schedule[level] };
+}
+
+export function tableConfigForLevel(tournament, blindLevel) {
+  return {
+    stakes: `${blindLevel.small_blind}/${blindLevel.big_blind}`,
+    small_blind: blindLevel.small_blind,
+    big_blind: blindLevel.big_blind,
+    ante: blindLevel.ante,
+    min_buy_in: tournament.starting_chips,
+    max_buy_in: tournament.starting_chips,
+    max_seats: tournament.max_players
+  };
+}
+
+// Players busted in the same hand share the lowest places; the bigger starting stack finishes higher
+export function placeEliminations(busted, playersRemaining) {
+  return [...busted]
+    .sort((a, b) => a.starting_stack - b.starting_stack)
+    .map((player, index) => ({ ...player, place: playersRemaining - index }));
+}
+
+export function calculatePrizes(prizePool, payouts) {
+  const prizes = payouts.map(percent => Math.floor(prizePool * percent / 100));
+  prizes[0] += prizePool - prizes.reduce((sum, amount) => sum + amount, 0);
+  return prizes.map((amount, index) => ({ place: index + 1, amount }));
+}
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { isIP } from 'net';
+import { CARD_FORMATS, DEFAULT_CARD_FORMAT, serializeCards } from './poker.js';
+
+// Webhooks: an agent registers a URL and the server POSTs to it when it is the agent's turn,
+// when a hand it played is over and when it loses its seat. Every body is signed with the
+// agent's secret so the receiver can check it came from us.
+
+export const WEBHOOK_EVENTS = ['your_turn', 'hand_result', 'removed_from_table'];
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_URL_LENGTH = 2048;
+const ATTEMPT_TIMEOUT_MS = 5000;
+// Waits before the second and third attempts
+const RETRY_DELAYS_MS = [1000, 3000];
+// Only a your_turn answer is read, for its action; anything longer is cut off
+const MAX_RESPONSE_BYTES = 16 * 1024;
+
+function allowPrivateUrls() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+// Loopback, private, link-local (cloud metadata at 169.254.169.254), shared and multicast addresses
+function isPrivateAddress(address) {
+  if (isIP(address) === 4) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 || (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+  }
+  if (isIP(address) === 6) {
+    const host = address.toLowerCase();
+    const mapped = host.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return host === '::' || host === '::1' || host.startsWith('::ffff:') || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || /^ff/.test(host);
+  }
+  return false;
+}
+
+// A URL's host when it is a local name or a literal private address. Other names are checked
+// when a delivery resolves them.
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+// dns.lookup, failing when the name resolves to any private address. Deliveries connect
+// through it, so the address checked is the one connected to and a name cannot be rebound
+// to an internal address between the check and the request.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!allowPrivateUrls() && addresses.some(isPrivateAddress)) {
+      const refused = new Error(`${hostname} resolves to a private address`);
+      refused.code = 'EPRIVATEADDRESS';
+      return callback(refused);
+    }
+    callback(null, address, family);
+  });
+}
+
+// One POST, without following redirects. Resolves { status, text } with the first
+// MAX_RESPONSE_BYTES of the body.
+function post(url, headers, body, signal) {
+  const target = new URL(url);
+  if (isPrivateHost(target.hostname) && !allowPrivateUrls()) {
+    const refused = new Error(`${target.hostname} is a private address`);
+    refused.code = 'EPRIVATEADDRESS';
+    return Promise.reject(refused);
+  }
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal
+    }, res => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        if (size >= MAX_RESPONSE_BYTES) return;
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= MAX_RESPONSE_BYTES) res.destroy();
+      });
+      const finish = () => resolve({ status: res.statusCode, text: Buffer.concat(chunks).toString('utf8', 0, MAX_RESPONSE_BYTES) });
+      res.on('end', finish);
+      res.on('close', finish);
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Validates an agent's webhook settings: { url, secret, events, format }. url must be http(s);
+ * secret defaults to the current one, or a new random one; events defaults to all of them;
+ * format is the card format of the payloads. Returns { webhook } or { error }.
+ */
+export function parseWebhookConfig(body = {}, current = null) {
+  let url;
+  try {
+    url = new URL(String(body.url ?? ''));
+  } catch {
+    return { error: 'url must be an absolute http or https URL' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || body.url.length > MAX_URL_LENGTH) {
+    return { error: 'url must be an absolute http or https URL' };
+  }
+  if (url.username || url.password) {
+    return { error: 'url must not contain credentials; verify requests with the signature instead' };
+  }
+  if (isPrivateHost(url.hostname) && !allowPrivateUrls()) {
+    return { error: 'url must be publicly reachable, not a local or private address' };
+  }
+
+  let secret = current?.secret || crypto.randomBytes(32).toString('hex');
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== 'string' || body.secret.length < MIN_SECRET_LENGTH || body.secret.length > 256) {
+      return { error: `secret must be a string of ${MIN_SECRET_LENGTH} to 256 characters` };
+    }
+    secret = body.secret;
+  }
+
+  let events = WEBHOOK_EVENTS;
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.length === 0 || body.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return { error: 'events must be a list of: ' + WEBHOOK_EVENTS.join(', ') };
+    }
+    events = WEBHOOK_EVENTS.filter(event => body.events.includes(event));
+  }
+
+  const format = body.format ?? DEFAULT_CARD_FORMAT;
+  if (!CARD_FORMATS.includes(format)) {
+    return { error: 'format must be one of: ' + CARD_FORMATS.join(', ') };
+  }
+
+  return { webhook: { url: url.href, secret, events, format, updated_at: new Date() } };
+}
+
+// A webhook as shown back to its owner and to admins: everything but the secret
+export function webhookView(webhook) {
+  if (!webhook) return null;
+  const { secret, ...view } = webhook;
+  return view;
+}
+
+/**
+ * The X-Webhook-Signature value: "sha256=" and the hex HMAC-SHA256, keyed with the secret, of
+ * "<timestamp>.<body>", where timestamp is the X-Webhook-Timestamp header (Unix seconds).
+ */
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function parseResponse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * POSTs one event to a webhook. Network errors, timeouts, 429 and 5xx answers are retried
+ * twice; with a deadline (a turn's), no attempt starts or runs past it. Hosts that resolve to
+ * a private address are refused and not retried. Returns the delivery log ({ id, event, url,
+ * delivered, attempts, created_at }, each attempt with its status and duration but never the
+ * body) and the parsed JSON the receiver answered with, if it succeeded.
+ */
+export async function deliverWebhook(webhook, event, payload, { deadline = null } = {}) {
+  const id = crypto.randomUUID();
+  const createdAt = new Date();
+  const body = JSON.stringify({ id, event, created_at: createdAt.toISOString(), data: serializeCards(payload, webhook.format) });
+  const attempts = [];
+  let response = null;
+
+  for (let attempt = 0; attempt <= RETRY_DELAYS_MS.length; attempt++) {
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAYS_MS[attempt - 1]));
+    }
+    const timeoutMs = deadline ? Math.min(ATTEMPT_TIMEOUT_MS, deadline - Date.now()) : ATTEMPT_TIMEOUT_MS;
+    if (timeoutMs <= 0) break;
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const record = { attempt: attempt + 1, at: new Date(startedAt), status: null };
+    let retry = true;
+    try {
+      const res = await post(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'moltiespoker-webhooks',
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      }, body, AbortSignal.timeout(timeoutMs));
+      record.status = res.status;
+      if (res.status >= 200 && res.status < 300) {
+        response = parseResponse(res.text);
+        retry = false;
+      } else {
+        record.error = `HTTP ${res.status}`;
+        retry = res.status === 429 || res.status >= 500;
+      }
+    } catch (error) {
+      if (error.code === 'EPRIVATEADDRESS') {
+        record.error = error.message;
+        retry = false;
+      } else {
+        record.error = error.name === 'TimeoutError' || error.name === 'AbortError' ? `No answer within ${timeoutMs} ms` : error.message;
+      }
+    }
+    record.duration_ms = Date.now() - startedAt;
+    attempts.push(record);
+    if (!retry) break;
+  }
+
+  return {
+    delivery: { id, event, url: webhook.url, delivered: attempts.some(a => !a.error), attempts, created_at: createdAt },
+    response
+  };
+}
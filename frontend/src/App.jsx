@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react'
+import { Leaderboard, AgentProfile } from './components/Leaderboard'
 
 function App() {
   const API_BASE = import.meta.env.VITE_API_URL || 'https://pokerclaw-5250q6-backend-production.up.railway.app'
@@ -11,9 +12,16 @@ function App() {
   const [spectatorError, setSpectatorError] = useState(null)
   const [isWatching, setIsWatching] = useState(false)
 
+  const [showLeaderboard, setShowLeaderboard] = useState(false)
+  const [profileAgent, setProfileAgent] = useState(null)
+
   useEffect(() => {
     if (!isWatching || !spectatorKey) return
 
+    // Live events trigger a refresh; the slow poll picks up table changes and dropped streams
+    let events = null
+    let streamTableId = null
+
     const fetchSpectator = async () => {
       try {
         const res = await fetch(`${API_BASE}/api/poker/spectate/${spectatorKey}`)
@@ -28,14 +36,29 @@ function App() {
         const data = await res.json()
         setSpectatorData(data)
         setSpectatorError(null)
+        if (data.table_id && (data.table_id !== streamTableId || events?.readyState === EventSource.CLOSED)) {
+          connectEvents(data.table_id)
+        }
       } catch (e) {
         setSpectatorError(e.message)
       }
     }
 
+    const connectEvents = (tableId) => {
+      if (events) events.close()
+      streamTableId = tableId
+      events = new EventSource(`${API_BASE}/api/poker/spectate/${spectatorKey}/events`)
+      for (const type of ['hand_started', 'action', 'street_dealt', 'showdown', 'player_joined', 'player_left', 'table_status', 'player_eliminated', 'tournament_complete', 'resync']) {
+        events.addEventListener(type, fetchSpectator)
+      }
+    }
+
     fetchSpectator()
-    const interval = setInterval(fetchSpectator, 2000)
-    return () => clearInterval(interval)
+    const interval = setInterval(fetchSpectator, 15000)
+    return () => {
+      clearInterval(interval)
+      if (events) events.close()
+    }
   }, [API_BASE, spectatorKey, isWatching])
 
   const startWatching = () => {
@@ -76,13 +99,19 @@ function App() {
             Spectate
           </button>
           <button
-            disabled
-            className="px-6 py-3 rounded-lg font-bold transition bg-zinc-900 text-zinc-500 border border-zinc-700 cursor-not-allowed"
+            onClick={() => { setShowLeaderboard(true); setProfileAgent(null) }}
+            className="px-6 py-3 rounded-lg font-bold transition bg-zinc-900 text-zinc-100 border border-zinc-700 hover:border-red-600"
           >
-            Leaderboard (Soon)
+            Leaderboard
           </button>
         </div>
 
+        {showLeaderboard && (profileAgent ? (
+          <AgentProfile apiBase={API_BASE} agent={profileAgent} onBack={() => setProfileAgent(null)} />
+        ) : (
+          <Leaderboard apiBase={API_BASE} onSelectAgent={setProfileAgent} onClose={() => setShowLeaderboard(false)} />
+        ))}
+
         {isWatching && spectatorData && (
           <div className="mb-8 p-6 bg-zinc-900/50 rounded-lg border border-red-900/50 text-left">
             <div className="flex justify-between items-center mb-4">
@@ -100,6 +129,9 @@ function App() {
                 <div>
                   <span className="text-2xl font-bold text-white">{spectatorData.agent_name}</span>
                   <span className="ml-3 text-red-400 font-bold">${spectatorData.balance}</span>
+                  {spectatorData.table_stack > 0 && (
+                    <span className="ml-2 text-zinc-400 text-sm">+ ${spectatorData.table_stack} on table</span>
+                  )}
                 </div>
                 {spectatorData.status === 'watching' && (
                   <span className="px-3 py-1 bg-red-900/50 text-red-400 rounded text-sm">
@@ -163,6 +195,15 @@ function App() {
                       <span className="text-zinc-500">Hand: </span>
                       <span className="text-white">#{spectatorData.hand_number || '-'}</span>
                     </div>
+                    {spectatorData.your_bot_equity && (
+                      <div>
+                        <span className="text-zinc-500">Equity: </span>
+                        <span className="text-white">
+                          {Math.round(spectatorData.your_bot_equity.equity * 100)}% vs {spectatorData.your_bot_equity.opponents}
+                        </span>
+                        <span className="ml-2 text-zinc-400">{spectatorData.your_bot_equity.made_hand}</span>
+                      </div>
+                    )}
                     {spectatorData.is_your_bot_turn && (
                       <span className="px-2 py-1 bg-red-600 rounded text-xs animate-pulse">YOUR MOLTY'S TURN</span>
                     )}
@@ -184,10 +225,13 @@ function App() {
                             } ${p.is_current_turn ? 'ring-2 ring-red-500' : ''}`}
                           >
                             <span className={p.folded ? 'line-through' : ''}>{p.name}</span>
-                            <span className="ml-2 text-red-400">${p.balance}</span>
+                            <span className="ml-2 text-red-400">${p.stack}</span>
                             {p.current_bet > 0 && (
                               <span className="ml-2 text-zinc-400">(bet ${p.current_bet})</span>
                             )}
+                            {p.sitting_out && (
+                              <span className="ml-2 text-zinc-500 text-xs">SITTING OUT</span>
+                            )}
                           </div>
                         ))}
                       </div>
@@ -197,7 +241,7 @@ function App() {
                   {spectatorData.winners && (
                     <div className="mt-4 p-3 bg-red-900/30 rounded border border-red-600/50">
                       <p className="text-red-300 font-bold">
-                        Winner: {spectatorData.winners.map(w => `${w.moltbook_name} ($${w.pot_share} - ${w.hand_name})`).join(', ')}
+                        Winner: {spectatorData.winners.map(w => `${w.moltbook_name} ($${w.pot_share} - ${w.hand_description || w.hand_name})`).join(', ')}
                       </p>
                     </div>
                   )}